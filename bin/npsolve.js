@@ -0,0 +1,332 @@
+#!/usr/bin/env node
+/**
+ * Command-line runner for NPSolver
+ *
+ * Solves instance files, verifies solutions against instances and runs
+ * benchmark size sweeps for headless batch jobs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { SeededRandom } = require('../src/random');
+const { ParseError } = require('../src/errors');
+const { ProblemRegistry } = require('../src/registry');
+const { ProblemGenerator } = require('../src/problems');
+const { NPSolver } = require('../src/solver');
+const { CertificateChecker } = require('../src/checker');
+const { BenchmarkAnalyzer } = require('../src/benchmark');
+
+/**
+ * Usage text, listing the problem types registered so far
+ */
+function usage() {
+  return `Usage:
+  npsolve solve <instance> [--strategy <name>] [--no-exact] [--output <file>] [--solution <file>]
+                [--proof <file>]
+  npsolve verify <instance> <solution> [--proof <file>]
+  npsolve benchmark --type <type> [--family <family>] [--sizes <n,n,...>] [--repeats <n>]
+                    [--seed <seed>] [--strategy <name>] [--json <file>] [--csv <file>]
+
+Instances:  ${instanceFormats().join(', ')}
+Solutions:  .tour (TSPLIB), "l <vertex> <color>" lines, "v <literals> 0" lines, or .json
+Types:      ${Object.keys(ProblemGenerator.FAMILIES).join(', ')}
+Families:   ${Object.entries(ProblemGenerator.FAMILIES).map(([type, families]) => `${type}: ${families.join(', ')}`).join('\n            ')}
+Strategies: ${NPSolver.STRATEGIES.join(', ')}
+Options:    --require <file,...> loads modules that register in-house problem types first`;
+}
+
+/**
+ * Instance file extensions the registered problem types read, for the usage text
+ */
+function instanceFormats() {
+  const formats = [];
+  for (const type of ProblemRegistry.types()) {
+    const { name, extensions = [], parse } = ProblemRegistry.get(type).formats;
+    if (parse) formats.push(...extensions.map(extension => `${extension} (${name || type})`));
+  }
+  return [...formats, '.json (problem object)'];
+}
+
+// Flags that take no value; "--no-<flag>" sets them to false
+const BOOLEAN_FLAGS = ['exact', 'help'];
+
+/**
+ * Split arguments into positionals and --flags
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const name = arg.slice(2);
+    if (name.startsWith('no-') && BOOLEAN_FLAGS.includes(name.slice(3))) {
+      flags[name.slice(3)] = false;
+    } else if (BOOLEAN_FLAGS.includes(name)) {
+      flags[name] = true;
+    } else if (i + 1 < argv.length) {
+      flags[name] = argv[++i];
+    } else {
+      throw new UsageError(`Missing value for --${name}`);
+    }
+  }
+
+  return { positional, flags };
+}
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Load an instance file, choosing the reader by extension
+ */
+function loadInstance(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const extension = path.extname(file).toLowerCase();
+
+  if (extension === '.json') {
+    return JSON.parse(text);
+  }
+
+  const definition = ProblemRegistry.forExtension(extension);
+  if (!definition) {
+    throw new UsageError(`Unrecognised instance format: ${file}`);
+  }
+  return definition.formats.parse(text, { name: path.basename(file) });
+}
+
+/**
+ * Read a solution file as a raw answer for the certificate checker, with the
+ * problem type's native reader; the proof file is passed along for UNSAT answers
+ */
+function loadSolution(problem, file, proofFile) {
+  const text = fs.readFileSync(file, 'utf8');
+
+  if (path.extname(file).toLowerCase() === '.json') {
+    return JSON.parse(text);
+  }
+
+  const { parseSolution } = ProblemRegistry.has(problem.type) ? ProblemRegistry.get(problem.type).formats : {};
+  if (!parseSolution) {
+    throw new UsageError(`Solutions for ${problem.type} must be JSON`);
+  }
+  return parseSolution(text, problem, { proof: proofFile ? fs.readFileSync(proofFile, 'utf8') : undefined });
+}
+
+/**
+ * Write a solution in the native format for its problem type, or as JSON
+ */
+function saveSolution(problem, solution, file) {
+  const { serializeSolution } = ProblemRegistry.get(problem.type).formats;
+  const text = serializeSolution
+    ? serializeSolution(problem, solution, { name: path.basename(file) })
+    : JSON.stringify(solution, null, 2) + '\n';
+  fs.writeFileSync(file, text);
+}
+
+/**
+ * Generate a benchmark instance
+ */
+function generateProblem(type, family, size, seed) {
+  if (!ProblemGenerator.FAMILIES[type]) {
+    throw new UsageError(`Unknown problem type: ${type}`);
+  }
+  if (family !== undefined && !ProblemGenerator.FAMILIES[type].includes(family)) {
+    throw new UsageError(`Unknown ${type} family "${family}", expected one of ${ProblemGenerator.FAMILIES[type].join(', ')}`);
+  }
+  return ProblemGenerator.generate(type, family, size, seed);
+}
+
+/**
+ * Check a --strategy value
+ */
+function readStrategy(flags) {
+  const strategy = flags.strategy || 'projection';
+  if (!NPSolver.STRATEGIES.includes(strategy)) {
+    throw new UsageError(`Unknown strategy "${strategy}", expected one of ${NPSolver.STRATEGIES.join(', ')}`);
+  }
+  return strategy;
+}
+
+function commandSolve({ positional, flags }) {
+  if (positional.length !== 1) {
+    throw new UsageError('solve takes exactly one instance file');
+  }
+
+  const problem = loadInstance(positional[0]);
+  const solver = new NPSolver();
+  const strategy = readStrategy(flags);
+  if (flags.proof && strategy !== 'cdcl') {
+    throw new UsageError('--proof needs the cdcl strategy');
+  }
+  const result = solver.solve(problem, { strategy, exact: flags.exact !== false });
+
+  // Proofs can be long; they only go to the --proof file
+  const { proof, ...solution } = result.solution;
+  if (flags.proof) {
+    if (proof !== undefined) {
+      fs.writeFileSync(flags.proof, proof);
+    } else {
+      console.error(`No proof written: the answer is ${result.solution.status}, not UNSAT`);
+    }
+  }
+
+  const output = JSON.stringify({ problem: problem.name, ...result, solution }, null, 2) + '\n';
+  if (flags.output) {
+    fs.writeFileSync(flags.output, output);
+  } else {
+    process.stdout.write(output);
+  }
+
+  if (flags.solution) {
+    saveSolution(problem, result.solution, flags.solution);
+  }
+
+  return result.isValid ? 0 : 1;
+}
+
+function commandVerify({ positional, flags }) {
+  if (positional.length !== 2) {
+    throw new UsageError('verify takes an instance file and a solution file');
+  }
+
+  const problem = loadInstance(positional[0]);
+  const answer = loadSolution(problem, positional[1], flags.proof);
+  const report = CertificateChecker.check(problem, answer);
+
+  process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+  return report.valid ? 0 : 1;
+}
+
+async function commandBenchmark({ flags }) {
+  if (!flags.type) {
+    throw new UsageError('benchmark needs --type');
+  }
+
+  const sizes = (flags.sizes || '10,20,30,50,75,100').split(',').map(value => {
+    const size = parseInt(value, 10);
+    if (!Number.isInteger(size) || size < 2) {
+      throw new UsageError(`Invalid size "${value}"`);
+    }
+    return size;
+  });
+  const repeats = flags.repeats ? parseInt(flags.repeats, 10) : 5;
+  if (!Number.isInteger(repeats) || repeats < 1) {
+    throw new UsageError(`Invalid repeat count "${flags.repeats}"`);
+  }
+
+  const strategy = readStrategy(flags);
+  const seed = flags.seed === undefined
+    ? SeededRandom.randomSeed()
+    : SeededRandom.normalizeSeed(/^\d+$/.test(flags.seed) ? parseInt(flags.seed, 10) : flags.seed);
+  const solver = new NPSolver();
+
+  const samples = await BenchmarkAnalyzer.runSeries(
+    (size, repeat) => generateProblem(flags.type, flags.family, size, SeededRandom.deriveSeed(seed, `${size}-${repeat}`)),
+    problem => solver.solve(problem, { strategy, exact: false }),
+    sizes,
+    {
+      repeats,
+      onProgress: ({ completed, total, size }) => console.error(`[${completed}/${total}] size ${size}`)
+    }
+  );
+
+  const analysis = BenchmarkAnalyzer.analyze(samples);
+  const rows = samples.map(({ size, repeat, time, result }) => ({
+    size,
+    repeat,
+    seed: SeededRandom.deriveSeed(seed, `${size}-${repeat}`),
+    time,
+    valid: result.isValid
+  }));
+
+  if (flags.json) {
+    const report = { type: flags.type, strategy, seed, repeats, sizes, samples: rows, analysis };
+    fs.writeFileSync(flags.json, JSON.stringify(report, null, 2) + '\n');
+  }
+
+  if (flags.csv) {
+    const lines = ['size,repeat,seed,time_ms,valid'];
+    for (const row of rows) {
+      lines.push([row.size, row.repeat, row.seed, row.time, row.valid].join(','));
+    }
+    fs.writeFileSync(flags.csv, lines.join('\n') + '\n');
+  }
+
+  const { powerLaw, exponential } = analysis.models;
+  const lines = [`${flags.type} / ${strategy}, seed ${seed}, ${repeats} runs per size`];
+  for (const row of analysis.sizes) {
+    lines.push(`  n = ${String(row.size).padStart(5)}  median ${row.median.toFixed(3)} ms  mean ${row.mean.toFixed(3)} ± ${row.stdDev.toFixed(3)} ms`);
+  }
+  if (powerLaw) {
+    lines.push(`  power law    ${powerLaw.formula}, b in [${powerLaw.degreeInterval.map(v => v.toFixed(2)).join(', ')}], R² = ${powerLaw.r2.toFixed(3)}`);
+  }
+  if (exponential) {
+    lines.push(`  exponential  ${exponential.formula}, c in [${exponential.rateInterval.map(v => v.toFixed(4)).join(', ')}], R² = ${exponential.r2.toFixed(3)}`);
+  }
+  if (analysis.bestModel) {
+    lines.push(`  best fit: ${analysis.bestModel}`);
+  }
+  process.stdout.write(lines.join('\n') + '\n');
+
+  return 0;
+}
+
+async function main(argv) {
+  const [command, ...rest] = argv;
+  const args = parseArgs(rest);
+
+  // Register in-house problem types before anything looks them up
+  if (args.flags.require) {
+    for (const file of args.flags.require.split(',')) {
+      require(path.resolve(file));
+    }
+  }
+
+  if (!command || command === '--help' || args.flags.help) {
+    process.stdout.write(usage() + '\n');
+    return command ? 0 : 2;
+  }
+
+  // Keep stdout for results; the solver's progress logging goes to stderr
+  console.log = (...messages) => console.error(...messages);
+
+  switch (command) {
+    case 'solve':
+      return commandSolve(args);
+    case 'verify':
+      return commandVerify(args);
+    case 'benchmark':
+      return commandBenchmark(args);
+    default:
+      throw new UsageError(`Unknown command "${command}"`);
+  }
+}
+
+main(process.argv.slice(2)).then(
+  code => {
+    process.exitCode = code;
+  },
+  error => {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\n${usage()}`);
+      process.exitCode = 2;
+    } else if (error instanceof ParseError || error.code === 'ENOENT') {
+      console.error(error.message);
+      process.exitCode = 2;
+    } else {
+      console.error(error.stack);
+      process.exitCode = 1;
+    }
+  }
+);
@@ -0,0 +1,254 @@
+/**
+ * Benchmark Analysis
+ *
+ * Repeats solver runs across a series of sizes and fits growth models to the
+ * timings by least squares on log-transformed data:
+ *
+ *   power law    t = a * n^b   ->  log t = log a + b log n
+ *   exponential  t = a * e^cn  ->  log t = log a + c n
+ *
+ * Each fit reports R² and a confidence interval for its growth parameter.
+ */
+
+class BenchmarkAnalyzer {
+  /**
+   * Timings at or below this many milliseconds are clamped before taking logs,
+   * since timer resolution can report 0 for very fast runs
+   */
+  static get MIN_TIME() {
+    return 1e-3;
+  }
+
+  /**
+   * Run a benchmark series
+   * @param {Function} generate - (size, repeat) => problem instance
+   * @param {Function} solve - problem => result with `timeElapsed` (may return a promise)
+   * @param {number[]} sizes - Problem sizes
+   * @param {Object} options - Series options
+   * @param {number} options.repeats - Runs per size (default 5)
+   * @param {Function} options.onProgress - Called with `{size, repeat, completed, total}` after each run
+   * @returns {Promise<Object[]>} Samples `{size, repeat, time, result}`
+   */
+  static async runSeries(generate, solve, sizes, options = {}) {
+    const repeats = options.repeats || 5;
+    const total = sizes.length * repeats;
+    const samples = [];
+
+    for (const size of sizes) {
+      for (let repeat = 0; repeat < repeats; repeat++) {
+        const problem = generate(size, repeat);
+        const result = await solve(problem);
+        samples.push({ size, repeat, time: result.timeElapsed, result });
+
+        if (options.onProgress) {
+          options.onProgress({ size, repeat, completed: samples.length, total });
+        }
+      }
+    }
+
+    return samples;
+  }
+
+  /**
+   * Summarise samples per size and fit both growth models
+   * @param {Object[]} samples - `{size, time}` measurements, several per size
+   * @param {Object} options - Analysis options
+   * @param {number} options.confidence - Confidence level for intervals (default 0.95)
+   * @returns {Object} `{sizes, models: {powerLaw, exponential}, bestModel}`
+   */
+  static analyze(samples, options = {}) {
+    const confidence = options.confidence || 0.95;
+
+    const bySize = new Map();
+    for (const { size, time } of samples) {
+      if (!bySize.has(size)) bySize.set(size, []);
+      bySize.get(size).push(time);
+    }
+
+    const sizes = [...bySize.keys()].sort((a, b) => a - b).map(size => {
+      const times = bySize.get(size).slice().sort((a, b) => a - b);
+      const mean = times.reduce((a, b) => a + b, 0) / times.length;
+      const variance = times.length > 1
+        ? times.reduce((sum, t) => sum + (t - mean) ** 2, 0) / (times.length - 1)
+        : 0;
+      const middle = Math.floor(times.length / 2);
+
+      return {
+        size,
+        runs: times.length,
+        mean,
+        median: times.length % 2 ? times[middle] : (times[middle - 1] + times[middle]) / 2,
+        min: times[0],
+        max: times[times.length - 1],
+        stdDev: Math.sqrt(variance)
+      };
+    });
+
+    const models = {
+      powerLaw: BenchmarkAnalyzer.fitPowerLaw(samples, confidence),
+      exponential: BenchmarkAnalyzer.fitExponential(samples, confidence)
+    };
+
+    // Both models have two parameters and share the response log t, so R² compares them directly
+    let bestModel = null;
+    if (models.powerLaw && models.exponential) {
+      bestModel = models.powerLaw.r2 >= models.exponential.r2 ? 'powerLaw' : 'exponential';
+    }
+
+    return { sizes, models, bestModel, confidence };
+  }
+
+  /**
+   * Fit t = a * n^b
+   * @param {Object[]} samples - `{size, time}` measurements
+   * @param {number} confidence - Confidence level for the interval on b
+   * @returns {Object|null} Fit, or null with fewer than three points or two distinct sizes
+   */
+  static fitPowerLaw(samples, confidence = 0.95) {
+    const points = samples.filter(sample => sample.size > 0);
+    const fit = BenchmarkAnalyzer._fitLogLinear(
+      points.map(sample => Math.log(sample.size)),
+      points.map(sample => BenchmarkAnalyzer._logTime(sample.time)),
+      confidence
+    );
+    if (!fit) return null;
+
+    return {
+      model: 'power-law',
+      coefficient: Math.exp(fit.intercept),
+      degree: fit.slope,
+      degreeInterval: fit.slopeInterval,
+      r2: fit.r2,
+      points: fit.n,
+      formula: `O(n^${fit.slope.toFixed(2)})`
+    };
+  }
+
+  /**
+   * Fit t = a * e^(c n)
+   * @param {Object[]} samples - `{size, time}` measurements
+   * @param {number} confidence - Confidence level for the interval on c
+   * @returns {Object|null} Fit, or null with fewer than three points or two distinct sizes
+   */
+  static fitExponential(samples, confidence = 0.95) {
+    const fit = BenchmarkAnalyzer._fitLogLinear(
+      samples.map(sample => sample.size),
+      samples.map(sample => BenchmarkAnalyzer._logTime(sample.time)),
+      confidence
+    );
+    if (!fit) return null;
+
+    return {
+      model: 'exponential',
+      coefficient: Math.exp(fit.intercept),
+      rate: fit.slope,
+      rateInterval: fit.slopeInterval,
+      base: Math.exp(fit.slope),
+      r2: fit.r2,
+      points: fit.n,
+      formula: `O(${Math.exp(fit.slope).toFixed(3)}^n)`
+    };
+  }
+
+  /**
+   * Ordinary least squares y = intercept + slope * x with a t-interval on the slope
+   * @private
+   */
+  static _fitLogLinear(xs, ys, confidence) {
+    const n = xs.length;
+    if (n < 3 || new Set(xs).size < 2) return null;
+
+    const meanX = xs.reduce((a, b) => a + b, 0) / n;
+    const meanY = ys.reduce((a, b) => a + b, 0) / n;
+
+    let sxx = 0, sxy = 0, syy = 0;
+    for (let i = 0; i < n; i++) {
+      sxx += (xs[i] - meanX) ** 2;
+      sxy += (xs[i] - meanX) * (ys[i] - meanY);
+      syy += (ys[i] - meanY) ** 2;
+    }
+
+    const slope = sxy / sxx;
+    const intercept = meanY - slope * meanX;
+
+    let residual = 0;
+    for (let i = 0; i < n; i++) {
+      residual += (ys[i] - intercept - slope * xs[i]) ** 2;
+    }
+
+    const r2 = syy === 0 ? 1 : 1 - residual / syy;
+    const standardError = Math.sqrt(residual / (n - 2) / sxx);
+    const margin = BenchmarkAnalyzer.tQuantile(1 - (1 - confidence) / 2, n - 2) * standardError;
+
+    return {
+      n,
+      slope,
+      intercept,
+      r2,
+      slopeInterval: [slope - margin, slope + margin]
+    };
+  }
+
+  /**
+   * Quantile of Student's t distribution (Cornish-Fisher expansion, exact for df 1 and 2)
+   * @param {number} p - Probability in (0, 1)
+   * @param {number} df - Degrees of freedom
+   * @returns {number}
+   */
+  static tQuantile(p, df) {
+    if (df === 1) return Math.tan(Math.PI * (p - 0.5));
+    if (df === 2) return (2 * p - 1) / Math.sqrt(2 * p * (1 - p));
+
+    const z = BenchmarkAnalyzer.normalQuantile(p);
+    const z3 = z ** 3, z5 = z ** 5, z7 = z ** 7;
+    return z +
+      (z3 + z) / (4 * df) +
+      (5 * z5 + 16 * z3 + 3 * z) / (96 * df ** 2) +
+      (3 * z7 + 19 * z5 + 17 * z3 - 15 * z) / (384 * df ** 3);
+  }
+
+  /**
+   * Quantile of the standard normal distribution (Acklam's rational approximation)
+   * @param {number} p - Probability in (0, 1)
+   * @returns {number}
+   */
+  static normalQuantile(p) {
+    const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+      1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+    const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+      6.680131188771972e+01, -1.328068155288572e+01];
+    const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+      -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+    const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+      3.754408661907416e+00];
+    const low = 0.02425;
+
+    if (p < low) {
+      const q = Math.sqrt(-2 * Math.log(p));
+      return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+        ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+
+    if (p > 1 - low) {
+      return -BenchmarkAnalyzer.normalQuantile(1 - p);
+    }
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+      (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  }
+
+  /**
+   * Log of a timing, clamped to the timer resolution
+   * @private
+   */
+  static _logTime(time) {
+    return Math.log(Math.max(time, BenchmarkAnalyzer.MIN_TIME));
+  }
+}
+
+// Export the benchmark analyzer
+if (typeof module !== 'undefined') {
+  module.exports = { BenchmarkAnalyzer };
+}
@@ -0,0 +1,543 @@
+/**
+ * Conflict-Driven Clause Learning SAT Solver
+ *
+ * A complete solver: it either finds a model or proves that none exists.
+ *
+ *   propagation   two watched literals per clause
+ *   learning      first-UIP conflict analysis with local clause minimisation
+ *   decisions     VSIDS activity heap with phase saving
+ *   restarts      Luby sequence
+ *   clause DB     learned clauses beyond a growing limit are deleted by LBD and activity
+ *
+ * With `proof: true` every learned and deleted clause is logged in DRAT
+ * format, so an UNSAT answer can be checked independently.
+ */
+
+class CDCLSolver {
+  /**
+   * Default search settings
+   */
+  static get DEFAULTS() {
+    return {
+      maxConflicts: Infinity,
+      deadline: Infinity,
+      proof: false,
+      restartBase: 100,
+      variableDecay: 0.95,
+      clauseDecay: 0.999
+    };
+  }
+
+  /**
+   * Decide a SAT problem
+   * @param {Object} problem - SAT problem instance
+   * @param {Object} options - Search options
+   * @param {number} options.maxConflicts - Give up with UNKNOWN after this many conflicts (default unlimited)
+   * @param {number} options.deadline - Give up with UNKNOWN once `performance.now()` passes this time (default none)
+   * @param {boolean} options.proof - Record a DRAT proof (default false)
+   * @param {number} options.restartBase - Conflicts per Luby restart unit (default 100)
+   * @returns {Object} `{status, satisfiable, assignment, stats, proof, timedOut}`; status is 'SAT', 'UNSAT'
+   *   or 'UNKNOWN', `assignment` is the model for SAT and null otherwise, `proof` the DRAT text or null,
+   *   and `timedOut` tells whether the deadline, rather than the conflict budget, ended an UNKNOWN run
+   */
+  static solve(problem, options = {}) {
+    return new CDCLSolver(problem, { ...CDCLSolver.DEFAULTS, ...options })._run();
+  }
+
+  /**
+   * Load the problem; use CDCLSolver.solve instead
+   * @private
+   */
+  constructor(problem, settings) {
+    const n = problem.variables;
+    this.settings = settings;
+    this.n = n;
+    this.ok = true;
+
+    // assigns[v]: 1 true, -1 false, 0 unassigned
+    this.assigns = new Int8Array(n + 1);
+    this.level = new Int32Array(n + 1);
+    this.reason = Array(n + 1).fill(null);
+    this.polarity = new Int8Array(n + 1).fill(-1);
+    this.seen = new Uint8Array(n + 1);
+    this.trail = new Int32Array(n);
+    this.trailLength = 0;
+    this.trailLimits = [];
+    this.queueHead = 0;
+
+    // watches[index(l)] holds the clauses watching literal l
+    this.watches = Array.from({ length: 2 * n + 2 }, () => []);
+    this.learnts = [];
+    this.maxLearnts = Math.max(2000, problem.clauses.length / 3);
+
+    this.activity = new Float64Array(n + 1);
+    this.variableIncrement = 1;
+    this.clauseIncrement = 1;
+    this.heap = [];
+    this.heapIndex = new Int32Array(n + 1).fill(-1);
+    for (let v = 1; v <= n; v++) this._heapInsert(v);
+
+    this.stats = { decisions: 0, propagations: 0, conflicts: 0, learned: 0, deleted: 0, restarts: 0 };
+    this.proof = settings.proof ? [] : null;
+
+    for (const clause of problem.clauses) {
+      this._addInputClause(clause);
+    }
+  }
+
+  /**
+   * Main CDCL loop
+   * @private
+   */
+  _run() {
+    if (!this.ok || this._propagate() !== null) {
+      return this._finish('UNSAT');
+    }
+
+    let restart = 0;
+    let restartLimit = CDCLSolver._luby(restart) * this.settings.restartBase;
+    let conflictsSinceRestart = 0;
+
+    for (;;) {
+      const conflict = this._propagate();
+
+      if (conflict) {
+        this.stats.conflicts++;
+        conflictsSinceRestart++;
+        if (this.trailLimits.length === 0) {
+          return this._finish('UNSAT');
+        }
+
+        const { learnt, backtrackLevel, lbd } = this._analyze(conflict);
+        this._cancelUntil(backtrackLevel);
+        this._logClause(learnt);
+        this.stats.learned++;
+
+        if (learnt.length === 1) {
+          this._enqueue(learnt[0], null);
+        } else {
+          const clause = { lits: learnt, learnt: true, activity: 0, lbd, deleted: false };
+          this._attach(clause);
+          this.learnts.push(clause);
+          this._bumpClause(clause);
+          this._enqueue(learnt[0], clause);
+        }
+
+        this.variableIncrement /= this.settings.variableDecay;
+        this.clauseIncrement /= this.settings.clauseDecay;
+
+        if (this.stats.conflicts >= this.settings.maxConflicts) {
+          return this._finish('UNKNOWN');
+        }
+        if ((this.stats.conflicts & 255) === 0 && performance.now() > this.settings.deadline) {
+          return this._finish('UNKNOWN', true);
+        }
+        continue;
+      }
+
+      if (conflictsSinceRestart >= restartLimit) {
+        this.stats.restarts++;
+        this._cancelUntil(0);
+        restartLimit = CDCLSolver._luby(++restart) * this.settings.restartBase;
+        conflictsSinceRestart = 0;
+      }
+
+      if (this.learnts.length >= this.maxLearnts) {
+        this._reduceLearnts();
+      }
+
+      const variable = this._pickBranchVariable();
+      if (variable === 0) {
+        return this._finish('SAT');
+      }
+
+      this.stats.decisions++;
+      this.trailLimits.push(this.trailLength);
+      this._enqueue(this.polarity[variable] === 1 ? variable : -variable, null);
+    }
+  }
+
+  /**
+   * Build the result object
+   * @private
+   */
+  _finish(status, timedOut = false) {
+    if (status === 'UNSAT') this._logClause([]);
+
+    return {
+      status,
+      satisfiable: status === 'SAT' ? true : status === 'UNSAT' ? false : null,
+      assignment: status === 'SAT' ? Array.from(this.assigns.slice(1), value => value === 1) : null,
+      stats: this.stats,
+      proof: this.proof && this.proof.join('\n') + '\n',
+      timedOut
+    };
+  }
+
+  /**
+   * Add a problem clause: drop repeated literals and tautologies, assign units
+   * @private
+   */
+  _addInputClause(raw) {
+    if (!this.ok) return;
+
+    const lits = [...new Set(raw)];
+    if (lits.some(literal => lits.includes(-literal))) return;
+
+    if (lits.length === 0) {
+      this.ok = false;
+    } else if (lits.length === 1) {
+      const value = this._value(lits[0]);
+      if (value === -1) this.ok = false;
+      else if (value === 0) this._enqueue(lits[0], null);
+    } else {
+      this._attach({ lits, learnt: false, activity: 0, lbd: 0, deleted: false });
+    }
+  }
+
+  /**
+   * Propagate queued assignments; returns a conflicting clause or null
+   * @private
+   */
+  _propagate() {
+    while (this.queueHead < this.trailLength) {
+      const falseLiteral = -this.trail[this.queueHead++];
+      const list = this.watches[CDCLSolver._index(falseLiteral)];
+      let i = 0;
+      let j = 0;
+
+      while (i < list.length) {
+        const clause = list[i++];
+        if (clause.deleted) continue;
+
+        // Keep the false literal in slot 1
+        const lits = clause.lits;
+        if (lits[0] === falseLiteral) {
+          lits[0] = lits[1];
+          lits[1] = falseLiteral;
+        }
+
+        const first = lits[0];
+        if (this._value(first) === 1) {
+          list[j++] = clause;
+          continue;
+        }
+
+        let moved = false;
+        for (let k = 2; k < lits.length; k++) {
+          if (this._value(lits[k]) !== -1) {
+            lits[1] = lits[k];
+            lits[k] = falseLiteral;
+            this.watches[CDCLSolver._index(lits[1])].push(clause);
+            moved = true;
+            break;
+          }
+        }
+        if (moved) continue;
+
+        list[j++] = clause;
+        if (this._value(first) === -1) {
+          while (i < list.length) list[j++] = list[i++];
+          list.length = j;
+          this.queueHead = this.trailLength;
+          return clause;
+        }
+
+        this._enqueue(first, clause);
+        this.stats.propagations++;
+      }
+
+      list.length = j;
+    }
+
+    return null;
+  }
+
+  /**
+   * First-UIP conflict analysis
+   * @private
+   */
+  _analyze(conflict) {
+    const { seen, level, reason, trail } = this;
+    const currentLevel = this.trailLimits.length;
+    const learnt = [0];
+    let pending = 0;
+    let literal = 0;
+    let index = this.trailLength - 1;
+    let clause = conflict;
+
+    do {
+      if (clause.learnt) this._bumpClause(clause);
+
+      // Slot 0 of a reason clause is the literal it implied
+      for (let k = literal === 0 ? 0 : 1; k < clause.lits.length; k++) {
+        const q = clause.lits[k];
+        const v = Math.abs(q);
+        if (!seen[v] && level[v] > 0) {
+          this._bumpVariable(v);
+          seen[v] = 1;
+          if (level[v] >= currentLevel) pending++;
+          else learnt.push(q);
+        }
+      }
+
+      while (!seen[Math.abs(trail[index])]) index--;
+      literal = trail[index--];
+      clause = reason[Math.abs(literal)];
+      seen[Math.abs(literal)] = 0;
+      pending--;
+    } while (pending > 0);
+
+    learnt[0] = -literal;
+
+    // Drop literals implied by the rest of the clause
+    const marked = learnt.slice(1);
+    const minimised = [learnt[0]];
+    for (const q of marked) {
+      const why = reason[Math.abs(q)];
+      if (!why || why.lits.some((r, k) => k > 0 && !seen[Math.abs(r)] && level[Math.abs(r)] > 0)) {
+        minimised.push(q);
+      }
+    }
+    for (const q of marked) seen[Math.abs(q)] = 0;
+
+    // The literal with the highest level below the conflict level goes to slot 1
+    let backtrackLevel = 0;
+    if (minimised.length > 1) {
+      let highest = 1;
+      for (let k = 2; k < minimised.length; k++) {
+        if (level[Math.abs(minimised[k])] > level[Math.abs(minimised[highest])]) highest = k;
+      }
+      [minimised[1], minimised[highest]] = [minimised[highest], minimised[1]];
+      backtrackLevel = level[Math.abs(minimised[1])];
+    }
+
+    const lbd = new Set(minimised.map(q => level[Math.abs(q)])).size;
+    return { learnt: minimised, backtrackLevel, lbd };
+  }
+
+  /**
+   * Undo assignments above a decision level, saving their phases
+   * @private
+   */
+  _cancelUntil(target) {
+    if (this.trailLimits.length <= target) return;
+
+    const stop = this.trailLimits[target];
+    for (let k = this.trailLength - 1; k >= stop; k--) {
+      const literal = this.trail[k];
+      const v = Math.abs(literal);
+      this.polarity[v] = literal > 0 ? 1 : -1;
+      this.assigns[v] = 0;
+      this.reason[v] = null;
+      if (this.heapIndex[v] === -1) this._heapInsert(v);
+    }
+
+    this.trailLength = stop;
+    this.queueHead = stop;
+    this.trailLimits.length = target;
+  }
+
+  /**
+   * Delete the less useful half of the learned clauses
+   * @private
+   */
+  _reduceLearnts() {
+    const locked = clause => {
+      const v = Math.abs(clause.lits[0]);
+      return this.reason[v] === clause && this._value(clause.lits[0]) === 1;
+    };
+
+    // Glue clauses (LBD <= 2) are kept; the rest are ranked by LBD, then activity
+    const candidates = this.learnts
+      .filter(clause => clause.lbd > 2 && !locked(clause))
+      .sort((a, b) => b.lbd - a.lbd || a.activity - b.activity);
+
+    for (const clause of candidates.slice(0, Math.floor(candidates.length / 2))) {
+      clause.deleted = true;
+      this.stats.deleted++;
+      this._logClause(clause.lits, true);
+    }
+
+    this.learnts = this.learnts.filter(clause => !clause.deleted);
+    this.maxLearnts *= 1.1;
+
+    // Purge deleted clauses from the watch lists now rather than one visit at a time
+    for (let i = 0; i < this.watches.length; i++) {
+      this.watches[i] = this.watches[i].filter(clause => !clause.deleted);
+    }
+  }
+
+  /**
+   * Highest-activity unassigned variable, or 0 when all are assigned
+   * @private
+   */
+  _pickBranchVariable() {
+    while (this.heap.length > 0) {
+      const v = this._heapPop();
+      if (this.assigns[v] === 0) return v;
+    }
+    return 0;
+  }
+
+  /**
+   * Assign a literal at the current decision level
+   * @private
+   */
+  _enqueue(literal, reason) {
+    const v = Math.abs(literal);
+    this.assigns[v] = literal > 0 ? 1 : -1;
+    this.level[v] = this.trailLimits.length;
+    this.reason[v] = reason;
+    this.trail[this.trailLength++] = literal;
+  }
+
+  /**
+   * Value of a literal: 1 true, -1 false, 0 unassigned
+   * @private
+   */
+  _value(literal) {
+    const value = this.assigns[Math.abs(literal)];
+    return literal > 0 ? value : -value;
+  }
+
+  /**
+   * Watch the first two literals of a clause
+   * @private
+   */
+  _attach(clause) {
+    this.watches[CDCLSolver._index(clause.lits[0])].push(clause);
+    this.watches[CDCLSolver._index(clause.lits[1])].push(clause);
+  }
+
+  /**
+   * Append a clause (or a deletion) to the DRAT proof
+   * @private
+   */
+  _logClause(lits, deletion = false) {
+    if (!this.proof) return;
+    this.proof.push(`${deletion ? 'd ' : ''}${lits.length ? lits.join(' ') + ' ' : ''}0`);
+  }
+
+  /**
+   * Raise a variable's VSIDS activity
+   * @private
+   */
+  _bumpVariable(v) {
+    this.activity[v] += this.variableIncrement;
+    if (this.activity[v] > 1e100) {
+      for (let u = 1; u <= this.n; u++) this.activity[u] *= 1e-100;
+      this.variableIncrement *= 1e-100;
+    }
+    if (this.heapIndex[v] !== -1) this._heapUp(this.heapIndex[v]);
+  }
+
+  /**
+   * Raise a learned clause's activity
+   * @private
+   */
+  _bumpClause(clause) {
+    clause.activity += this.clauseIncrement;
+    if (clause.activity > 1e20) {
+      for (const learnt of this.learnts) learnt.activity *= 1e-20;
+      this.clauseIncrement *= 1e-20;
+    }
+  }
+
+  /**
+   * Add a variable to the decision heap
+   * @private
+   */
+  _heapInsert(v) {
+    this.heapIndex[v] = this.heap.length;
+    this.heap.push(v);
+    this._heapUp(this.heap.length - 1);
+  }
+
+  /**
+   * Remove the highest-activity variable from the heap
+   * @private
+   */
+  _heapPop() {
+    const { heap, heapIndex } = this;
+    const top = heap[0];
+    const last = heap.pop();
+    heapIndex[top] = -1;
+    if (heap.length > 0) {
+      heap[0] = last;
+      heapIndex[last] = 0;
+      this._heapDown(0);
+    }
+    return top;
+  }
+
+  /**
+   * Restore heap order upwards from slot i
+   * @private
+   */
+  _heapUp(i) {
+    const { heap, heapIndex, activity } = this;
+    const v = heap[i];
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (activity[heap[parent]] >= activity[v]) break;
+      heap[i] = heap[parent];
+      heapIndex[heap[i]] = i;
+      i = parent;
+    }
+    heap[i] = v;
+    heapIndex[v] = i;
+  }
+
+  /**
+   * Restore heap order downwards from slot i
+   * @private
+   */
+  _heapDown(i) {
+    const { heap, heapIndex, activity } = this;
+    const v = heap[i];
+    for (;;) {
+      let child = 2 * i + 1;
+      if (child >= heap.length) break;
+      if (child + 1 < heap.length && activity[heap[child + 1]] > activity[heap[child]]) child++;
+      if (activity[heap[child]] <= activity[v]) break;
+      heap[i] = heap[child];
+      heapIndex[heap[i]] = i;
+      i = child;
+    }
+    heap[i] = v;
+    heapIndex[v] = i;
+  }
+
+  /**
+   * Watch list slot of a literal
+   * @private
+   */
+  static _index(literal) {
+    return literal > 0 ? 2 * literal : -2 * literal + 1;
+  }
+
+  /**
+   * Luby restart sequence 1 1 2 1 1 2 4 ...
+   * @private
+   */
+  static _luby(i) {
+    let size = 1;
+    let sequence = 0;
+    while (size < i + 1) {
+      sequence++;
+      size = 2 * size + 1;
+    }
+    while (size - 1 !== i) {
+      size = (size - 1) >> 1;
+      sequence--;
+      i %= size;
+    }
+    return 2 ** sequence;
+  }
+}
+
+// Export the CDCL solver
+if (typeof module !== 'undefined') {
+  module.exports = { CDCLSolver };
+}
@@ -0,0 +1,618 @@
+/**
+ * Solution Certificate Checker
+ *
+ * Checks a raw answer against a problem by recomputing everything from
+ * scratch, independently of whatever the solver claims about it. Every
+ * failure is reported as a structured reason.
+ */
+
+// Load sibling modules under Node; in the browser they are included as scripts
+if (typeof module !== 'undefined') {
+  Object.assign(globalThis, require('./errors'), require('./registry'), require('./tsplib'), require('./drat'), require('./graph'));
+}
+
+class CertificateChecker {
+  /**
+   * Check an answer for any registered problem type with its type's check
+   * @param {Object} problem - Problem instance
+   * @param {Object|Array} answer - Raw answer (tour, assignment, coloring, cycle, vertex or index set)
+   *   or a solver solution object whose claims are checked as well
+   * @returns {Object} `{valid, reasons, ...recomputed values}`
+   */
+  static check(problem, answer) {
+    if (!ProblemRegistry.has(problem.type)) {
+      return CertificateChecker._report([{
+        code: 'unsupported-problem',
+        message: `Unsupported problem type: ${problem.type}`
+      }]);
+    }
+    return ProblemRegistry.get(problem.type).check(problem, answer);
+  }
+
+  /**
+   * Check a TSP tour: every city exactly once, length recomputed
+   * @param {Object} problem - TSP problem instance
+   * @param {number[]|Object} answer - City order, or a solution with `path` and claimed `distance`
+   * @returns {Object} `{valid, reasons, distance}`
+   */
+  static checkTSP(problem, answer) {
+    const path = Array.isArray(answer) ? answer : answer && answer.path;
+    const n = problem.size;
+    const reasons = [];
+
+    if (!Array.isArray(path)) {
+      return CertificateChecker._report([{ code: 'missing-answer', message: 'No tour given' }]);
+    }
+
+    const seen = new Map();
+    path.forEach((city, position) => {
+      if (!Number.isInteger(city) || city < 0 || city >= n) {
+        reasons.push({
+          code: 'invalid-city',
+          position,
+          city,
+          message: `Position ${position} holds ${city}, not a city index in 0..${n - 1}`
+        });
+      } else if (seen.has(city)) {
+        reasons.push({
+          code: 'duplicate-city',
+          city,
+          positions: [seen.get(city), position],
+          message: `City ${city} is visited twice (positions ${seen.get(city)} and ${position})`
+        });
+      } else {
+        seen.set(city, position);
+      }
+    });
+
+    const missing = [];
+    for (let city = 0; city < n; city++) {
+      if (!seen.has(city)) missing.push(city);
+    }
+    if (missing.length > 0) {
+      reasons.push({
+        code: 'missing-cities',
+        cities: missing,
+        message: `${missing.length} cities are never visited: ${CertificateChecker._preview(missing)}`
+      });
+    }
+
+    if (reasons.length > 0) {
+      return CertificateChecker._report(reasons);
+    }
+
+    const distance = TSPLIB.tourLength(problem, path);
+
+    if (!Array.isArray(answer) && answer.distance !== undefined &&
+        !CertificateChecker._close(answer.distance, distance)) {
+      reasons.push({
+        code: 'distance-mismatch',
+        claimed: answer.distance,
+        actual: distance,
+        message: `Claimed distance ${answer.distance} but the tour is ${distance} long`
+      });
+    }
+
+    return CertificateChecker._report(reasons, { distance });
+  }
+
+  /**
+   * Check a graph coloring: no conflicting edge, colours within `maxColors`
+   * @param {Object} problem - Graph coloring problem instance, with `graph` in any form SparseGraph reads
+   * @param {number[]|Object} answer - Colour per vertex, or a solution with `coloring` and claimed `colorCount`
+   * @returns {Object} `{valid, reasons, colorCount}`
+   */
+  static checkGraphColoring(problem, answer) {
+    const coloring = Array.isArray(answer) ? answer : answer && answer.coloring;
+    const { maxColors } = problem;
+    const graph = SparseGraph.from(problem.graph);
+    const n = graph.nodes;
+    const reasons = [];
+
+    if (!Array.isArray(coloring)) {
+      return CertificateChecker._report([{ code: 'missing-answer', message: 'No coloring given' }]);
+    }
+
+    if (coloring.length !== n) {
+      reasons.push({
+        code: 'wrong-length',
+        expected: n,
+        actual: coloring.length,
+        message: `Coloring covers ${coloring.length} vertices, graph has ${n}`
+      });
+    }
+
+    for (let vertex = 0; vertex < Math.min(n, coloring.length); vertex++) {
+      const color = coloring[vertex];
+      if (!Number.isInteger(color) || color < 0) {
+        reasons.push({
+          code: 'invalid-color',
+          vertex,
+          color,
+          message: `Vertex ${vertex} has invalid colour ${color}`
+        });
+      } else if (maxColors !== undefined && color >= maxColors) {
+        reasons.push({
+          code: 'color-out-of-range',
+          vertex,
+          color,
+          maxColors,
+          message: `Vertex ${vertex} uses colour ${color}, only ${maxColors} colours allowed`
+        });
+      }
+    }
+
+    SparseGraph.forEachEdge(graph, (i, j) => {
+      if (j < coloring.length && coloring[i] === coloring[j]) {
+        reasons.push({
+          code: 'edge-conflict',
+          edge: [i, j],
+          color: coloring[i],
+          message: `Edge (${i}, ${j}) joins two vertices of colour ${coloring[i]}`
+        });
+      }
+    });
+
+    const colorCount = new Set(coloring).size;
+
+    // A claim may count distinct colours or the palette up to the highest label
+    const paletteSize = coloring.reduce((max, color) => Math.max(max, color + 1), 0);
+    if (!Array.isArray(answer) && answer.colorCount !== undefined &&
+        answer.colorCount !== colorCount && answer.colorCount !== paletteSize) {
+      reasons.push({
+        code: 'color-count-mismatch',
+        claimed: answer.colorCount,
+        actual: colorCount,
+        message: `Claimed ${answer.colorCount} colours but ${colorCount} are used`
+      });
+    }
+
+    return CertificateChecker._report(reasons, { colorCount });
+  }
+
+  /**
+   * Check a SAT assignment: every clause has a true literal
+   *
+   * An UNSAT claim (`satisfiable: false`) is only accepted with a DRAT `proof`
+   * that DratChecker verifies against the problem's clauses.
+   * @param {Object} problem - SAT problem instance
+   * @param {boolean[]|number[]|Object} answer - Truth value per variable, a list of signed literals,
+   *   or a solution with `assignment` and claimed `satisfied`, or `{satisfiable: false, proof}`
+   * @returns {Object} `{valid, reasons, unsatisfiedClauses}`, or `{valid, reasons, unsat, proofVerified, proof}`
+   *   for an UNSAT claim
+   */
+  static checkSAT(problem, answer) {
+    if (answer && !Array.isArray(answer) && answer.satisfiable === false) {
+      return CertificateChecker._checkUnsatClaim(problem, answer.proof);
+    }
+
+    const raw = Array.isArray(answer) ? answer : answer && answer.assignment;
+    const { variables, clauses } = problem;
+    const reasons = [];
+
+    if (!Array.isArray(raw)) {
+      return CertificateChecker._report([{ code: 'missing-answer', message: 'No assignment given' }]);
+    }
+
+    const assignment = CertificateChecker._toAssignment(raw, variables, reasons);
+
+    const unassigned = [];
+    for (let variable = 1; variable <= variables; variable++) {
+      if (assignment[variable - 1] === undefined) unassigned.push(variable);
+    }
+    if (unassigned.length > 0) {
+      reasons.push({
+        code: 'unassigned-variables',
+        variables: unassigned,
+        message: `${unassigned.length} variables have no value: ${CertificateChecker._preview(unassigned)}`
+      });
+    }
+
+    let unsatisfiedClauses = 0;
+    clauses.forEach((clause, index) => {
+      const satisfied = clause.some(literal => assignment[Math.abs(literal) - 1] === literal > 0);
+      if (!satisfied) {
+        unsatisfiedClauses++;
+        reasons.push({
+          code: 'violated-clause',
+          clause: index,
+          literals: clause,
+          message: `Clause ${index} (${clause.join(' ')}) has no true literal`
+        });
+      }
+    });
+
+    if (!Array.isArray(answer) && answer.satisfied !== undefined &&
+        answer.satisfied !== (unsatisfiedClauses === 0)) {
+      reasons.push({
+        code: 'satisfied-mismatch',
+        claimed: answer.satisfied,
+        actual: unsatisfiedClauses === 0,
+        message: `Claimed satisfied = ${answer.satisfied} but ${unsatisfiedClauses} clauses are violated`
+      });
+    }
+
+    return CertificateChecker._report(reasons, { unsatisfiedClauses });
+  }
+
+  /**
+   * Verify the DRAT proof behind an UNSAT claim
+   * @private
+   */
+  static _checkUnsatClaim(problem, proof) {
+    if (typeof proof !== 'string' && !Array.isArray(proof)) {
+      return CertificateChecker._report([{
+        code: 'unproven-unsat',
+        message: 'Claimed unsatisfiable without a proof'
+      }], { unsat: true, proofVerified: false });
+    }
+
+    let result;
+    try {
+      result = DratChecker.check(problem, proof);
+    } catch (error) {
+      if (!(error instanceof ParseError)) throw error;
+      return CertificateChecker._report([{
+        code: 'malformed-proof',
+        message: `Proof could not be read: ${error.message}`
+      }], { unsat: true, proofVerified: false });
+    }
+
+    const { lemmas, checkedLemmas, ratLemmas } = result;
+    return CertificateChecker._report(result.reasons, {
+      unsat: true,
+      proofVerified: result.valid,
+      proof: { lemmas, checkedLemmas, ratLemmas }
+    });
+  }
+
+  /**
+   * Check a subset sum answer: distinct valid indices summing exactly to the target
+   * @param {Object} problem - Subset sum problem instance
+   * @param {number[]|Object} answer - Selected indices, or a solution with `subset` and claimed `sum`
+   * @returns {Object} `{valid, reasons, sum, difference}`
+   */
+  static checkSubsetSum(problem, answer) {
+    const subset = Array.isArray(answer) ? answer : answer && answer.subset;
+    const { numbers, target } = problem;
+    const reasons = [];
+
+    if (!Array.isArray(subset)) {
+      return CertificateChecker._report([{ code: 'missing-answer', message: 'No index set given' }]);
+    }
+
+    const seen = new Set();
+    let sum = 0;
+    for (const index of subset) {
+      if (!Number.isInteger(index) || index < 0 || index >= numbers.length) {
+        reasons.push({
+          code: 'invalid-index',
+          index,
+          message: `${index} is not an index in 0..${numbers.length - 1}`
+        });
+      } else if (seen.has(index)) {
+        reasons.push({
+          code: 'duplicate-index',
+          index,
+          message: `Index ${index} is selected twice`
+        });
+      } else {
+        seen.add(index);
+        sum += numbers[index];
+      }
+    }
+
+    if (sum !== target) {
+      reasons.push({
+        code: 'wrong-sum',
+        sum,
+        target,
+        message: `Selected numbers sum to ${sum}, target is ${target}`
+      });
+    }
+
+    if (!Array.isArray(answer) && answer.sum !== undefined && answer.sum !== sum) {
+      reasons.push({
+        code: 'sum-mismatch',
+        claimed: answer.sum,
+        actual: sum,
+        message: `Claimed sum ${answer.sum} but the selected numbers sum to ${sum}`
+      });
+    }
+
+    return CertificateChecker._report(reasons, { sum, difference: Math.abs(sum - target) });
+  }
+
+  /**
+   * Check a vertex cover: every edge has at least one endpoint in the cover
+   * @param {Object} problem - Vertex cover problem instance
+   * @param {number[]|Object} answer - Cover vertices, or a solution with `cover` and claimed `coverSize`
+   * @returns {Object} `{valid, reasons, coverSize}`
+   */
+  static checkVertexCover(problem, answer) {
+    const cover = Array.isArray(answer) ? answer : answer && answer.cover;
+    const graph = SparseGraph.from(problem.graph);
+    const reasons = [];
+
+    if (!Array.isArray(cover)) {
+      return CertificateChecker._report([{ code: 'missing-answer', message: 'No cover given' }]);
+    }
+
+    const inCover = CertificateChecker._toVertexSet(cover, graph.nodes, reasons);
+    SparseGraph.forEachEdge(graph, (i, j) => {
+      if (!inCover.has(i) && !inCover.has(j)) {
+        reasons.push({
+          code: 'uncovered-edge',
+          edge: [i, j],
+          message: `Edge (${i}, ${j}) has neither endpoint in the cover`
+        });
+      }
+    });
+
+    const coverSize = inCover.size;
+    if (!Array.isArray(answer) && answer.coverSize !== undefined && answer.coverSize !== coverSize) {
+      reasons.push({
+        code: 'cover-size-mismatch',
+        claimed: answer.coverSize,
+        actual: coverSize,
+        message: `Claimed a cover of ${answer.coverSize} vertices but it has ${coverSize}`
+      });
+    }
+
+    return CertificateChecker._report(reasons, { coverSize });
+  }
+
+  /**
+   * Check a knapsack packing: distinct valid items whose total weight fits the capacity
+   * @param {Object} problem - Knapsack problem instance
+   * @param {number[]|Object} answer - Packed item indices, or a solution with `items` and claimed
+   *   `weight` and `value`
+   * @returns {Object} `{valid, reasons, weight, value}`
+   */
+  static checkKnapsack(problem, answer) {
+    const items = Array.isArray(answer) ? answer : answer && answer.items;
+    const { weights, values, capacity } = problem;
+    const reasons = [];
+
+    if (!Array.isArray(items)) {
+      return CertificateChecker._report([{ code: 'missing-answer', message: 'No item set given' }]);
+    }
+
+    const seen = new Set();
+    let weight = 0;
+    let value = 0;
+    for (const index of items) {
+      if (!Number.isInteger(index) || index < 0 || index >= weights.length) {
+        reasons.push({
+          code: 'invalid-index',
+          index,
+          message: `${index} is not an item index in 0..${weights.length - 1}`
+        });
+      } else if (seen.has(index)) {
+        reasons.push({
+          code: 'duplicate-index',
+          index,
+          message: `Item ${index} is packed twice`
+        });
+      } else {
+        seen.add(index);
+        weight += weights[index];
+        value += values[index];
+      }
+    }
+
+    if (weight > capacity) {
+      reasons.push({
+        code: 'over-capacity',
+        weight,
+        capacity,
+        message: `Packed items weigh ${weight}, capacity is ${capacity}`
+      });
+    }
+
+    if (!Array.isArray(answer)) {
+      for (const [field, actual] of [['weight', weight], ['value', value]]) {
+        if (answer[field] !== undefined && !CertificateChecker._close(answer[field], actual)) {
+          reasons.push({
+            code: `${field}-mismatch`,
+            claimed: answer[field],
+            actual,
+            message: `Claimed ${field} ${answer[field]} but the packed items have ${field} ${actual}`
+          });
+        }
+      }
+    }
+
+    return CertificateChecker._report(reasons, { weight, value });
+  }
+
+  /**
+   * Check a Hamiltonian cycle: every vertex exactly once, consecutive vertices adjacent
+   * (including the last and the first)
+   * @param {Object} problem - Hamiltonian cycle problem instance
+   * @param {number[]|Object} answer - Vertex order, or a solution with `cycle` and claimed `hamiltonian`
+   * @returns {Object} `{valid, reasons, missingEdges}`
+   */
+  static checkHamiltonianCycle(problem, answer) {
+    const cycle = Array.isArray(answer) ? answer : answer && answer.cycle;
+    const graph = SparseGraph.from(problem.graph);
+    const n = graph.nodes;
+    const reasons = [];
+
+    if (!Array.isArray(cycle)) {
+      return CertificateChecker._report([{ code: 'missing-answer', message: 'No cycle given' }]);
+    }
+
+    const visited = CertificateChecker._toVertexSet(cycle, n, reasons);
+    const missing = [];
+    for (let vertex = 0; vertex < n; vertex++) {
+      if (!visited.has(vertex)) missing.push(vertex);
+    }
+    if (missing.length > 0) {
+      reasons.push({
+        code: 'missing-vertices',
+        vertices: missing,
+        message: `${missing.length} vertices are never visited: ${CertificateChecker._preview(missing)}`
+      });
+    }
+
+    let missingEdges = 0;
+    cycle.forEach((vertex, position) => {
+      const next = cycle[(position + 1) % cycle.length];
+      if (!visited.has(vertex) || !visited.has(next)) return;
+      if (!SparseGraph.hasEdge(graph, vertex, next)) {
+        missingEdges++;
+        reasons.push({
+          code: 'missing-edge',
+          edge: [vertex, next],
+          position,
+          message: `Position ${position} steps from ${vertex} to ${next}, which are not adjacent`
+        });
+      }
+    });
+
+    const hamiltonian = reasons.length === 0;
+    if (!Array.isArray(answer) && answer.hamiltonian !== undefined && answer.hamiltonian !== hamiltonian) {
+      reasons.push({
+        code: 'hamiltonian-mismatch',
+        claimed: answer.hamiltonian,
+        actual: hamiltonian,
+        message: `Claimed hamiltonian = ${answer.hamiltonian} but the order ${hamiltonian ? 'is' : 'is not'} a Hamiltonian cycle`
+      });
+    }
+
+    return CertificateChecker._report(reasons, { missingEdges });
+  }
+
+  /**
+   * Check a clique: every two chosen vertices are adjacent
+   * @param {Object} problem - Maximum clique problem instance
+   * @param {number[]|Object} answer - Clique vertices, or a solution with `clique` and claimed `cliqueSize`
+   * @returns {Object} `{valid, reasons, cliqueSize}`
+   */
+  static checkMaxClique(problem, answer) {
+    const clique = Array.isArray(answer) ? answer : answer && answer.clique;
+    const graph = SparseGraph.from(problem.graph);
+    const reasons = [];
+
+    if (!Array.isArray(clique)) {
+      return CertificateChecker._report([{ code: 'missing-answer', message: 'No clique given' }]);
+    }
+
+    const members = [...CertificateChecker._toVertexSet(clique, graph.nodes, reasons)];
+    for (let a = 0; a < members.length; a++) {
+      for (let b = a + 1; b < members.length; b++) {
+        if (!SparseGraph.hasEdge(graph, members[a], members[b])) {
+          reasons.push({
+            code: 'missing-edge',
+            edge: [members[a], members[b]],
+            message: `Vertices ${members[a]} and ${members[b]} are not adjacent`
+          });
+        }
+      }
+    }
+
+    const cliqueSize = members.length;
+    if (!Array.isArray(answer) && answer.cliqueSize !== undefined && answer.cliqueSize !== cliqueSize) {
+      reasons.push({
+        code: 'clique-size-mismatch',
+        claimed: answer.cliqueSize,
+        actual: cliqueSize,
+        message: `Claimed a clique of ${answer.cliqueSize} vertices but it has ${cliqueSize}`
+      });
+    }
+
+    return CertificateChecker._report(reasons, { cliqueSize });
+  }
+
+  /**
+   * Collect distinct valid vertices, reporting invalid and repeated ones
+   * @private
+   */
+  static _toVertexSet(list, n, reasons) {
+    const vertices = new Set();
+    list.forEach((vertex, position) => {
+      if (!Number.isInteger(vertex) || vertex < 0 || vertex >= n) {
+        reasons.push({
+          code: 'invalid-vertex',
+          position,
+          vertex,
+          message: `Position ${position} holds ${vertex}, not a vertex in 0..${n - 1}`
+        });
+      } else if (vertices.has(vertex)) {
+        reasons.push({
+          code: 'duplicate-vertex',
+          vertex,
+          message: `Vertex ${vertex} is listed twice`
+        });
+      } else {
+        vertices.add(vertex);
+      }
+    });
+    return vertices;
+  }
+
+  /**
+   * Normalise a boolean array or a list of signed literals to a boolean array
+   * @private
+   */
+  static _toAssignment(raw, variables, reasons) {
+    if (raw.every(value => typeof value === 'boolean')) {
+      return raw.slice(0, variables);
+    }
+
+    const assignment = Array(variables);
+    for (const literal of raw) {
+      const variable = Math.abs(literal);
+      if (!Number.isInteger(literal) || literal === 0 || variable > variables) {
+        reasons.push({
+          code: 'invalid-literal',
+          literal,
+          message: `${literal} is not a literal over variables 1..${variables}`
+        });
+      } else if (assignment[variable - 1] !== undefined && assignment[variable - 1] !== literal > 0) {
+        reasons.push({
+          code: 'contradictory-literals',
+          variable,
+          message: `Variable ${variable} is assigned both true and false`
+        });
+      } else {
+        assignment[variable - 1] = literal > 0;
+      }
+    }
+    return assignment;
+  }
+
+  /**
+   * Build a check report
+   * @private
+   */
+  static _report(reasons, values = {}) {
+    return {
+      valid: reasons.length === 0,
+      reasons,
+      ...values
+    };
+  }
+
+  /**
+   * Compare floating point tour lengths
+   * @private
+   */
+  static _close(a, b) {
+    return Math.abs(a - b) <= 1e-6 * Math.max(1, Math.abs(b));
+  }
+
+  /**
+   * Shorten a long list for a message
+   * @private
+   */
+  static _preview(list) {
+    return list.length > 10 ? `${list.slice(0, 10).join(', ')}, ...` : list.join(', ');
+  }
+}
+
+// Export the certificate checker
+if (typeof module !== 'undefined') {
+  module.exports = { CertificateChecker };
+}
@@ -0,0 +1,344 @@
+/**
+ * Graph Coloring Heuristics
+ *
+ * DSATUR builds a first coloring by always coloring the vertex that already
+ * sees the most distinct colours among its neighbours. TabuCol then searches
+ * for a coloring with one colour fewer: it minimises the number of
+ * conflicting edges by recolouring conflicting vertices, forbidding a vertex
+ * from returning to a colour it just left for a few iterations. Each success
+ * lowers k again until TabuCol fails within its budget or k reaches the size
+ * of a clique, which no coloring can go below.
+ *
+ * All steps work on adjacency lists, so their cost grows with the number of
+ * edges and colours rather than with n^2.
+ */
+
+// Load sibling modules under Node; in the browser they are included as scripts
+if (typeof module !== 'undefined') {
+  Object.assign(globalThis, require('./random'), require('./graph'));
+}
+
+class GraphColorer {
+  /**
+   * Default search settings
+   */
+  static get DEFAULTS() {
+    return {
+      maxIterations: 10000,
+      tenure: 10,
+      alpha: 0.6,
+      deadline: Infinity
+    };
+  }
+
+  /**
+   * Color a graph with as few colours as DSATUR and TabuCol can reach
+   * @param {Object} problem - Graph coloring problem instance
+   * @param {Object} options - Search options
+   * @param {number} options.maxIterations - TabuCol iteration budget per value of k (default 10000)
+   * @param {number} options.tenure - Random part of the tabu tenure, in iterations (default 10)
+   * @param {number} options.alpha - Tenure added per conflicting vertex (default 0.6)
+   * @param {number|string} options.seed - Random seed (derived from the problem seed when omitted)
+   * @param {number[]} options.initial - A coloring to start from when it is valid and beats DSATUR
+   * @param {number} options.deadline - `performance.now()` time after which TabuCol stops and the best
+   *   coloring so far is kept (default none)
+   * @param {Function} options.onImprove - Called with the colour count of the starting coloring and
+   *   of each coloring TabuCol finds with fewer colours
+   * @returns {Object} `{coloring, colorCount, lowerBound, clique, optimal, history, iterations, timedOut}`, where
+   *   `history` lists each attempt as `{k, method, found, iterations, conflicts}` and `timedOut` tells
+   *   whether the deadline stopped TabuCol
+   */
+  static color(problem, options = {}) {
+    const settings = { ...GraphColorer.DEFAULTS, ...options };
+    const neighbors = GraphColorer.neighborLists(problem.graph);
+    const seed = settings.seed !== undefined
+      ? settings.seed
+      : problem.seed !== undefined ? SeededRandom.deriveSeed(problem.seed, 'tabucol') : undefined;
+    const rng = new SeededRandom(seed);
+
+    const clique = GraphColorer.greedyClique(neighbors);
+    const lowerBound = clique.length;
+
+    let best = GraphColorer.dsatur(neighbors);
+    let bestCount = GraphColorer._colorCount(best);
+    const history = [{ k: bestCount, method: 'dsatur', found: true, iterations: 0, conflicts: 0 }];
+
+    const initial = settings.initial;
+    if (initial && GraphColorer._isProper(neighbors, initial)) {
+      const count = GraphColorer._colorCount(initial);
+      history.push({ k: count, method: 'initial', found: true, iterations: 0, conflicts: 0 });
+      if (count < bestCount) {
+        best = initial.slice();
+        bestCount = count;
+      }
+    }
+    if (settings.onImprove) settings.onImprove(bestCount);
+
+    // Keep asking TabuCol for one colour fewer until it fails or hits the clique bound
+    let iterations = 0;
+    let timedOut = false;
+    for (let k = bestCount - 1; k >= Math.max(1, lowerBound); k--) {
+      if (performance.now() > settings.deadline) {
+        timedOut = true;
+        break;
+      }
+      const start = GraphColorer._dropColor(neighbors, best, k);
+      const result = GraphColorer._tabuSearch(neighbors, k, start, settings, rng);
+      iterations += result.iterations;
+      timedOut = result.timedOut;
+      history.push({
+        k,
+        method: 'tabucol',
+        found: result.conflicts === 0,
+        iterations: result.iterations,
+        conflicts: result.conflicts
+      });
+      if (result.conflicts > 0) break;
+
+      best = result.coloring;
+      bestCount = GraphColorer._colorCount(best);
+      if (settings.onImprove) settings.onImprove(bestCount);
+      k = bestCount;
+    }
+
+    return {
+      coloring: best,
+      colorCount: bestCount,
+      lowerBound,
+      clique,
+      optimal: bestCount === lowerBound,
+      history,
+      iterations,
+      timedOut
+    };
+  }
+
+  /**
+   * DSATUR coloring: repeatedly color the vertex with the most distinct neighbour colours
+   * @param {number[][]} neighbors - Adjacency lists
+   * @returns {number[]} Colour per vertex
+   */
+  static dsatur(neighbors) {
+    const n = neighbors.length;
+    const coloring = Array(n).fill(-1);
+    const seen = neighbors.map(() => new Set());
+
+    // Max-heap on (saturation, degree, lowest index); stale entries are skipped when popped
+    const heap = [];
+    const before = (a, b) => a.saturation !== b.saturation ? a.saturation > b.saturation
+      : a.degree !== b.degree ? a.degree > b.degree : a.vertex < b.vertex;
+    const push = entry => {
+      let at = heap.length;
+      heap.push(entry);
+      while (at > 0) {
+        const parent = (at - 1) >> 1;
+        if (!before(heap[at], heap[parent])) break;
+        [heap[at], heap[parent]] = [heap[parent], heap[at]];
+        at = parent;
+      }
+    };
+    const pop = () => {
+      const top = heap[0];
+      const last = heap.pop();
+      if (heap.length > 0) {
+        heap[0] = last;
+        let at = 0;
+        for (;;) {
+          let child = 2 * at + 1;
+          if (child >= heap.length) break;
+          if (child + 1 < heap.length && before(heap[child + 1], heap[child])) child++;
+          if (!before(heap[child], heap[at])) break;
+          [heap[at], heap[child]] = [heap[child], heap[at]];
+          at = child;
+        }
+      }
+      return top;
+    };
+
+    for (let v = 0; v < n; v++) push({ vertex: v, saturation: 0, degree: neighbors[v].length });
+
+    while (heap.length > 0) {
+      const { vertex, saturation } = pop();
+      if (coloring[vertex] !== -1 || saturation !== seen[vertex].size) continue;
+
+      let color = 0;
+      while (seen[vertex].has(color)) color++;
+      coloring[vertex] = color;
+
+      for (const u of neighbors[vertex]) {
+        if (coloring[u] !== -1 || seen[u].has(color)) continue;
+        seen[u].add(color);
+        push({ vertex: u, saturation: seen[u].size, degree: neighbors[u].length });
+      }
+    }
+
+    return coloring;
+  }
+
+  /**
+   * Largest clique found by growing one greedily from every vertex
+   * @param {number[][]} neighbors - Adjacency lists
+   * @returns {number[]} Clique vertices; its size is a lower bound on the chromatic number
+   */
+  static greedyClique(neighbors) {
+    const adjacent = neighbors.map(list => new Set(list));
+    let best = neighbors.length > 0 ? [0] : [];
+
+    for (let start = 0; start < neighbors.length; start++) {
+      if (neighbors[start].length < best.length) continue;
+
+      const clique = [start];
+      const candidates = [...neighbors[start]].sort((a, b) => neighbors[b].length - neighbors[a].length);
+      for (const v of candidates) {
+        if (clique.every(u => adjacent[v].has(u))) clique.push(v);
+      }
+      if (clique.length > best.length) best = clique;
+    }
+
+    return best;
+  }
+
+  /**
+   * Adjacency lists of a graph in any form SparseGraph reads
+   * @param {Object|number[][]} graph - CSR object, adjacency matrix or adjacency lists
+   * @returns {Int32Array[]} Neighbours of each vertex
+   */
+  static neighborLists(graph) {
+    return SparseGraph.adjacencyLists(graph);
+  }
+
+  /**
+   * TabuCol: minimise conflicting edges over colourings with k colours
+   * @private
+   */
+  static _tabuSearch(neighbors, k, start, settings, rng) {
+    const n = neighbors.length;
+    const colors = Int32Array.from(start);
+
+    // gamma[v * k + c] counts the neighbours of v that have colour c
+    const gamma = new Int32Array(n * k);
+    for (let v = 0; v < n; v++) {
+      for (const u of neighbors[v]) gamma[v * k + colors[u]]++;
+    }
+    let conflicts = 0;
+    for (let v = 0; v < n; v++) conflicts += gamma[v * k + colors[v]];
+    conflicts /= 2;
+
+    // Vertices with a same-coloured neighbour, kept up to date after every move
+    const conflicting = new Int32Array(n);
+    const position = new Int32Array(n).fill(-1);
+    let conflictingCount = 0;
+    const update = v => {
+      const inConflict = gamma[v * k + colors[v]] > 0;
+      if (inConflict && position[v] === -1) {
+        position[v] = conflictingCount;
+        conflicting[conflictingCount++] = v;
+      } else if (!inConflict && position[v] !== -1) {
+        const last = conflicting[--conflictingCount];
+        conflicting[position[v]] = last;
+        position[last] = position[v];
+        position[v] = -1;
+      }
+    };
+    for (let v = 0; v < n; v++) update(v);
+
+    const tabu = new Int32Array(n * k);
+    let best = colors.slice();
+    let bestConflicts = conflicts;
+    let iteration = 0;
+
+    while (iteration < settings.maxIterations && conflicts > 0 &&
+           ((iteration & 255) !== 0 || performance.now() <= settings.deadline)) {
+      iteration++;
+      let bestDelta = Infinity;
+      let moves = [];
+
+      for (let i = 0; i < conflictingCount; i++) {
+        const v = conflicting[i];
+        const current = gamma[v * k + colors[v]];
+
+        for (let c = 0; c < k; c++) {
+          if (c === colors[v]) continue;
+          const delta = gamma[v * k + c] - current;
+          // A tabu move is still allowed when it beats the best coloring so far
+          if (tabu[v * k + c] >= iteration && conflicts + delta >= bestConflicts) continue;
+          if (delta < bestDelta) {
+            bestDelta = delta;
+            moves = [v, c];
+          } else if (delta === bestDelta) {
+            moves.push(v, c);
+          }
+        }
+      }
+      if (moves.length === 0) continue;
+
+      const pick = 2 * rng.nextInt(moves.length / 2);
+      const vertex = moves[pick];
+      const color = moves[pick + 1];
+      const previous = colors[vertex];
+
+      colors[vertex] = color;
+      for (const u of neighbors[vertex]) {
+        gamma[u * k + previous]--;
+        gamma[u * k + color]++;
+      }
+      conflicts += bestDelta;
+      tabu[vertex * k + previous] = iteration + rng.nextInt(settings.tenure) +
+        Math.floor(settings.alpha * conflictingCount);
+      update(vertex);
+      for (const u of neighbors[vertex]) update(u);
+
+      if (conflicts < bestConflicts) {
+        bestConflicts = conflicts;
+        best = colors.slice();
+      }
+    }
+
+    // Conflicts left with iterations to spare mean the deadline ended the search
+    const timedOut = conflicts > 0 && iteration < settings.maxIterations;
+    return { coloring: Array.from(best), conflicts: bestConflicts, iterations: iteration, timedOut };
+  }
+
+  /**
+   * Recolour every vertex with colour k or above to its least conflicting colour below k
+   * @private
+   */
+  static _dropColor(neighbors, coloring, k) {
+    const colors = coloring.slice();
+    const counts = new Int32Array(k);
+
+    colors.forEach((color, v) => {
+      if (color < k) return;
+      counts.fill(0);
+      for (const u of neighbors[v]) {
+        if (colors[u] < k) counts[colors[u]]++;
+      }
+      colors[v] = counts.indexOf(Math.min(...counts));
+    });
+
+    return colors;
+  }
+
+  /**
+   * Does the coloring use valid colours with no edge conflict?
+   * @private
+   */
+  static _isProper(neighbors, coloring) {
+    if (coloring.length !== neighbors.length) return false;
+    return coloring.every((color, v) => Number.isInteger(color) && color >= 0 &&
+      neighbors[v].every(u => coloring[u] !== color));
+  }
+
+  /**
+   * Palette size up to the highest colour label
+   * @private
+   */
+  static _colorCount(coloring) {
+    return coloring.reduce((max, color) => Math.max(max, color + 1), 0);
+  }
+}
+
+// Export the graph colorer
+if (typeof module !== 'undefined') {
+  module.exports = { GraphColorer };
+}
@@ -0,0 +1,417 @@
+/**
+ * DIMACS File Formats
+ *
+ * Reads and writes DIMACS CNF so SATLIB and SAT-competition benchmarks can be
+ * solved directly, using the same problem shape as ProblemGenerator.generateSAT,
+ * and DIMACS .col graphs for the graph coloring benchmarks.
+ */
+
+// Load sibling modules under Node; in the browser they are included as scripts
+if (typeof module !== 'undefined') {
+  Object.assign(globalThis, require('./errors'), require('./graph'));
+}
+
+class DimacsCNF {
+  /**
+   * Parse a DIMACS CNF file into a SAT problem instance
+   * @param {string} text - File contents
+   * @param {Object} options - Parser options
+   * @param {string} options.name - Problem name (defaults to a generated name)
+   * @returns {Object} SAT problem instance
+   * @throws {ParseError} On a malformed header, out-of-range literal or unterminated clause
+   */
+  static parse(text, options = {}) {
+    const lines = text.split(/\r?\n/);
+    const comments = [];
+    const clauses = [];
+    let header = null;
+    let current = [];
+    let clauseStartLine = 0;
+
+    for (let i = 0; i < lines.length; i++) {
+      const lineNumber = i + 1;
+      const line = lines[i].trim();
+
+      if (line === '') continue;
+
+      if (line[0] === 'c') {
+        comments.push(line.slice(1).trim());
+        continue;
+      }
+
+      // SATLIB files end with a '%' marker followed by a stray '0'
+      if (line[0] === '%') break;
+
+      if (line[0] === 'p') {
+        if (header) {
+          throw new ParseError('Duplicate problem line', lineNumber);
+        }
+        header = DimacsCNF._parseHeader(line, lineNumber);
+        continue;
+      }
+
+      if (!header) {
+        throw new ParseError('Clause data before "p cnf" problem line', lineNumber);
+      }
+
+      for (const token of line.split(/\s+/)) {
+        if (!/^-?\d+$/.test(token)) {
+          throw new ParseError(`Invalid literal "${token}"`, lineNumber);
+        }
+
+        const literal = parseInt(token, 10);
+        if (literal === 0) {
+          clauses.push(current);
+          current = [];
+          continue;
+        }
+
+        if (Math.abs(literal) > header.variables) {
+          throw new ParseError(
+            `Literal ${literal} out of range (header declares ${header.variables} variables)`,
+            lineNumber
+          );
+        }
+
+        if (current.length === 0) {
+          clauseStartLine = lineNumber;
+        }
+        current.push(literal);
+      }
+    }
+
+    if (!header) {
+      throw new ParseError('Missing "p cnf" problem line');
+    }
+
+    if (current.length > 0) {
+      throw new ParseError('Clause is missing its terminating 0', clauseStartLine);
+    }
+
+    if (clauses.length !== header.clauses) {
+      throw new ParseError(
+        `Header declares ${header.clauses} clauses but ${clauses.length} were found`,
+        header.line
+      );
+    }
+
+    return {
+      type: 'sat',
+      name: options.name || `SAT Problem (${header.variables} variables, ${clauses.length} clauses)`,
+      size: header.variables,
+      variables: header.variables,
+      clauses,
+      comments,
+      dimensions: 11
+    };
+  }
+
+  /**
+   * Parse a "p cnf <variables> <clauses>" line
+   * @private
+   */
+  static _parseHeader(line, lineNumber) {
+    const parts = line.split(/\s+/);
+
+    if (parts.length !== 4 || parts[1] !== 'cnf') {
+      throw new ParseError(`Malformed problem line "${line}", expected "p cnf <variables> <clauses>"`, lineNumber);
+    }
+
+    if (!/^\d+$/.test(parts[2]) || !/^\d+$/.test(parts[3])) {
+      throw new ParseError(`Problem line counts must be non-negative integers in "${line}"`, lineNumber);
+    }
+
+    return {
+      variables: parseInt(parts[2], 10),
+      clauses: parseInt(parts[3], 10),
+      line: lineNumber
+    };
+  }
+
+  /**
+   * Serialize a SAT problem instance as DIMACS CNF
+   * @param {Object} problem - SAT problem instance
+   * @param {Object} options - Writer options
+   * @param {string[]} options.comments - Comment lines (defaults to the problem name and seed)
+   * @returns {string} File contents
+   */
+  static serialize(problem, options = {}) {
+    const { variables, clauses } = problem;
+    const comments = options.comments || [
+      problem.name,
+      ...(problem.seed !== undefined ? [`seed ${problem.seed}`] : [])
+    ].filter(Boolean);
+
+    const lines = comments.map(comment => `c ${comment}`);
+    lines.push(`p cnf ${variables} ${clauses.length}`);
+
+    for (const clause of clauses) {
+      lines.push([...clause, 0].join(' '));
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Serialize a SAT solution in SAT-competition output format
+   * ("s SATISFIABLE" followed by "v" lines of signed literals ending in 0,
+   * or just "s UNSATISFIABLE" for a proven unsatisfiable instance)
+   * @param {Object} problem - SAT problem instance
+   * @param {Object} solution - Solution with a boolean `assignment` and `satisfied`,
+   *   and `satisfiable: false` when unsatisfiability was proven
+   * @returns {string} File contents
+   */
+  static serializeModel(problem, solution) {
+    if (solution.satisfiable === false) {
+      return 's UNSATISFIABLE\n';
+    }
+
+    const literals = solution.assignment.map((value, i) => (value ? i + 1 : -(i + 1)));
+    const lines = [`s ${solution.satisfied ? 'SATISFIABLE' : 'UNKNOWN'}`];
+
+    for (let i = 0; i < literals.length; i += 10) {
+      lines.push(`v ${literals.slice(i, i + 10).join(' ')}`);
+    }
+    lines.push('v 0');
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Parse SAT-competition output into a boolean assignment
+   * @param {string} text - File contents
+   * @param {number} variables - Number of variables in the problem
+   * @returns {Object} `{status, assignment, literals}`; unassigned variables are undefined in `assignment`
+   * @throws {ParseError} On malformed value lines or a missing terminating 0
+   */
+  static parseModel(text, variables) {
+    const lines = text.split(/\r?\n/);
+    const assignment = Array(variables);
+    const literals = [];
+    let status = null;
+    let terminated = false;
+
+    for (let i = 0; i < lines.length; i++) {
+      const lineNumber = i + 1;
+      const line = lines[i].trim();
+
+      if (line === '' || line[0] === 'c') continue;
+
+      if (line[0] === 's') {
+        status = line.slice(1).trim();
+        continue;
+      }
+
+      if (line[0] !== 'v') {
+        throw new ParseError(`Unexpected line "${line}"`, lineNumber);
+      }
+
+      for (const token of line.slice(1).trim().split(/\s+/).filter(Boolean)) {
+        if (!/^-?\d+$/.test(token)) {
+          throw new ParseError(`Invalid literal "${token}"`, lineNumber);
+        }
+
+        const literal = parseInt(token, 10);
+        if (literal === 0) {
+          terminated = true;
+          continue;
+        }
+        if (Math.abs(literal) > variables) {
+          throw new ParseError(`Literal ${literal} out of range (problem has ${variables} variables)`, lineNumber);
+        }
+        assignment[Math.abs(literal) - 1] = literal > 0;
+        literals.push(literal);
+      }
+    }
+
+    if (status === 'SATISFIABLE' && !terminated) {
+      throw new ParseError('Value lines are missing their terminating 0');
+    }
+
+    return { status, assignment, literals };
+  }
+}
+
+class DimacsGraph {
+  /**
+   * Parse a DIMACS .col file into a graph coloring problem instance
+   * @param {string} text - File contents
+   * @param {Object} options - Parser options
+   * @param {string} options.name - Problem name (defaults to a generated name)
+   * @returns {Object} Graph coloring problem instance
+   * @throws {ParseError} On a malformed header or edge line
+   */
+  static parse(text, options = {}) {
+    const lines = text.split(/\r?\n/);
+    const comments = [];
+    let edges = null;
+    let nodes = 0;
+
+    for (let i = 0; i < lines.length; i++) {
+      const lineNumber = i + 1;
+      const line = lines[i].trim();
+
+      if (line === '') continue;
+
+      const parts = line.split(/\s+/);
+
+      switch (parts[0]) {
+        case 'c':
+          comments.push(line.slice(1).trim());
+          break;
+
+        case 'p':
+          if (edges) {
+            throw new ParseError('Duplicate problem line', lineNumber);
+          }
+          if (parts.length !== 4 || !['edge', 'col'].includes(parts[1]) ||
+              !/^\d+$/.test(parts[2]) || !/^\d+$/.test(parts[3])) {
+            throw new ParseError(`Malformed problem line "${line}", expected "p edge <nodes> <edges>"`, lineNumber);
+          }
+          nodes = parseInt(parts[2], 10);
+          edges = [];
+          break;
+
+        case 'e': {
+          if (!edges) {
+            throw new ParseError('Edge before "p edge" problem line', lineNumber);
+          }
+          if (parts.length !== 3 || !/^\d+$/.test(parts[1]) || !/^\d+$/.test(parts[2])) {
+            throw new ParseError(`Malformed edge line "${line}", expected "e <u> <v>"`, lineNumber);
+          }
+
+          const u = parseInt(parts[1], 10);
+          const v = parseInt(parts[2], 10);
+          for (const node of [u, v]) {
+            if (node < 1 || node > nodes) {
+              throw new ParseError(`Node ${node} out of range 1..${nodes}`, lineNumber);
+            }
+          }
+          if (u === v) {
+            throw new ParseError(`Self-loop on node ${u} cannot be coloured`, lineNumber);
+          }
+
+          edges.push([u - 1, v - 1]);
+          break;
+        }
+
+        case 'n':
+          // Node weights are not used by graph coloring
+          break;
+
+        default:
+          throw new ParseError(`Unexpected line "${line}"`, lineNumber);
+      }
+    }
+
+    if (!edges) {
+      throw new ParseError('Missing "p edge" problem line');
+    }
+
+    // Repeated edges, in either direction, are merged
+    const csr = SparseGraph.fromEdges(nodes, edges);
+
+    // Greedy colouring never needs more than max degree + 1 colours
+    let maxDegree = 0;
+    for (let v = 0; v < nodes; v++) {
+      maxDegree = Math.max(maxDegree, csr.offsets[v + 1] - csr.offsets[v]);
+    }
+
+    return {
+      type: 'graph-coloring',
+      name: options.name || `Graph Coloring Problem (${nodes} nodes, ${csr.edges} edges)`,
+      size: nodes,
+      graph: SparseGraph.toJSON(csr),
+      maxColors: Math.min(nodes, maxDegree + 1),
+      comments,
+      dimensions: 11
+    };
+  }
+
+  /**
+   * Serialize a graph coloring problem instance as a DIMACS .col file
+   * @param {Object} problem - Graph coloring problem instance
+   * @param {Object} options - Writer options
+   * @param {string[]} options.comments - Comment lines (defaults to the problem name and seed)
+   * @returns {string} File contents
+   */
+  static serialize(problem, options = {}) {
+    const graph = SparseGraph.from(problem.graph);
+    const comments = options.comments || [
+      problem.name,
+      ...(problem.seed !== undefined ? [`seed ${problem.seed}`] : [])
+    ].filter(Boolean);
+
+    const edgeLines = [];
+    SparseGraph.forEachEdge(graph, (u, v) => edgeLines.push(`e ${u + 1} ${v + 1}`));
+
+    const lines = comments.map(comment => `c ${comment}`);
+    lines.push(`p edge ${graph.nodes} ${edgeLines.length}`);
+    lines.push(...edgeLines);
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Serialize a coloring as one "l <vertex> <color>" line per vertex (1-based),
+   * preceded by an "s col <k>" summary line
+   * @param {Object} problem - Graph coloring problem instance
+   * @param {Object} solution - Solution with a 0-based `coloring`
+   * @returns {string} File contents
+   */
+  static serializeColoring(problem, solution) {
+    const { coloring } = solution;
+    const colorCount = new Set(coloring).size;
+    const lines = [];
+
+    if (problem.name) {
+      lines.push(`c ${problem.name}`);
+    }
+    lines.push(`s col ${colorCount}`);
+    coloring.forEach((color, vertex) => lines.push(`l ${vertex + 1} ${color + 1}`));
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Parse a coloring written by serializeColoring
+   * @param {string} text - File contents
+   * @returns {Object} Solution with a 0-based `coloring` and its `colorCount`
+   * @throws {ParseError} On malformed or missing vertex lines
+   */
+  static parseColoring(text) {
+    const lines = text.split(/\r?\n/);
+    const coloring = [];
+
+    for (let i = 0; i < lines.length; i++) {
+      const lineNumber = i + 1;
+      const line = lines[i].trim();
+
+      if (line === '' || line[0] === 'c' || line[0] === 's') continue;
+
+      const parts = line.split(/\s+/);
+      if (parts[0] !== 'l' || parts.length !== 3 || !/^\d+$/.test(parts[1]) || !/^\d+$/.test(parts[2]) ||
+          parts[1] === '0' || parts[2] === '0') {
+        throw new ParseError(`Malformed vertex line "${line}", expected "l <vertex> <color>"`, lineNumber);
+      }
+
+      coloring[parseInt(parts[1], 10) - 1] = parseInt(parts[2], 10) - 1;
+    }
+
+    for (let vertex = 0; vertex < coloring.length; vertex++) {
+      if (coloring[vertex] === undefined) {
+        throw new ParseError(`Missing color for vertex ${vertex + 1}`);
+      }
+    }
+
+    return {
+      coloring,
+      colorCount: new Set(coloring).size
+    };
+  }
+}
+
+// Export the format readers and writers
+if (typeof module !== 'undefined') {
+  module.exports = { DimacsCNF, DimacsGraph };
+}
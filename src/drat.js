@@ -0,0 +1,341 @@
+/**
+ * DRAT Proof Checker
+ *
+ * Validates an unsatisfiability proof in DRAT text format (one lemma per
+ * line ending in 0, deletions prefixed with "d") against the original
+ * clauses. Checking runs backwards from the empty clause so only lemmas that
+ * the refutation actually depends on are verified. Each such lemma must be
+ * RUP (unit propagation on its negation yields a conflict) or RAT on its
+ * first literal (every resolvent on that literal is RUP).
+ */
+
+// Load sibling modules under Node; in the browser they are included as scripts
+if (typeof module !== 'undefined') {
+  Object.assign(globalThis, require('./errors'));
+}
+
+class DratChecker {
+  /**
+   * Parse a DRAT proof
+   * @param {string} text - Proof text
+   * @returns {Object[]} Steps `{lits, deletion, line}`
+   * @throws {ParseError} On invalid literals or a line not terminated by 0
+   */
+  static parse(text) {
+    const lines = text.split(/\r?\n/);
+    const steps = [];
+
+    for (let i = 0; i < lines.length; i++) {
+      const lineNumber = i + 1;
+      let line = lines[i].trim();
+      if (line === '' || line[0] === 'c') continue;
+
+      const deletion = line[0] === 'd';
+      if (deletion) line = line.slice(1).trim();
+
+      const tokens = line.split(/\s+/);
+      if (tokens[tokens.length - 1] !== '0') {
+        throw new ParseError('Proof line must end with 0', lineNumber);
+      }
+
+      const lits = tokens.slice(0, -1).map(token => {
+        if (!/^-?[1-9]\d*$/.test(token)) {
+          throw new ParseError(`Invalid literal "${token}"`, lineNumber);
+        }
+        return parseInt(token, 10);
+      });
+      steps.push({ lits, deletion, line: lineNumber });
+    }
+
+    return steps;
+  }
+
+  /**
+   * Check a proof of unsatisfiability
+   * @param {Object} problem - SAT problem instance
+   * @param {string|Object[]} proof - DRAT text, or steps from DratChecker.parse
+   * @returns {Object} `{valid, reasons, lemmas, checkedLemmas, ratLemmas, ignoredDeletions}`
+   * @throws {ParseError} When a proof text is malformed
+   */
+  static check(problem, proof) {
+    const steps = typeof proof === 'string' ? DratChecker.parse(proof) : proof;
+
+    let variables = problem.variables;
+    for (const step of steps) {
+      for (const literal of step.lits) variables = Math.max(variables, Math.abs(literal));
+    }
+
+    const db = DratChecker._createDatabase(variables);
+    const active = new Map();
+    const keyOf = lits => [...lits].sort((a, b) => a - b).join(' ');
+
+    for (const raw of problem.clauses) {
+      const clause = DratChecker._addClause(db, raw, false);
+      const key = keyOf(clause.lits);
+      if (!active.has(key)) active.set(key, []);
+      active.get(key).push(clause);
+    }
+
+    // Forward pass: replay additions and deletions up to the first empty clause
+    const records = [];
+    let lemmas = 0;
+    let ignoredDeletions = 0;
+
+    for (let i = 0; i < steps.length; i++) {
+      const step = steps[i];
+
+      if (!step.deletion) {
+        if (step.lits.length === 0) break;
+        const clause = DratChecker._addClause(db, step.lits, true);
+        const key = keyOf(clause.lits);
+        if (!active.has(key)) active.set(key, []);
+        active.get(key).push(clause);
+        records.push({ step, clause, deletion: false });
+        lemmas++;
+        continue;
+      }
+
+      // Unit deletions are ignored, as solvers rely on top-level units staying put
+      const matches = active.get(keyOf([...new Set(step.lits)]));
+      if (step.lits.length <= 1 || !matches || matches.length === 0) {
+        ignoredDeletions++;
+        records.push(null);
+        continue;
+      }
+      const clause = matches.pop();
+      clause.active = false;
+      records.push({ step, clause, deletion: true });
+    }
+
+    const report = (reasons, counts) => ({
+      valid: reasons.length === 0,
+      reasons,
+      lemmas,
+      ignoredDeletions,
+      ...counts
+    });
+
+    const conflict = DratChecker._propagate(db, []);
+    if (!conflict) {
+      DratChecker._reset(db);
+      return report([{
+        code: 'no-refutation',
+        message: 'Unit propagation over the clauses and lemmas does not reach a conflict; the proof does not derive the empty clause'
+      }], { checkedLemmas: 0, ratLemmas: 0 });
+    }
+    DratChecker._markCore(db, conflict);
+    DratChecker._reset(db);
+
+    // Backward pass: remove each lemma, then verify it if the refutation used it
+    let checkedLemmas = 0;
+    let ratLemmas = 0;
+
+    for (let i = records.length - 1; i >= 0; i--) {
+      const record = records[i];
+      if (!record) continue;
+
+      if (record.deletion) {
+        record.clause.active = true;
+        continue;
+      }
+
+      const lemma = record.clause;
+      lemma.active = false;
+      if (!lemma.core) continue;
+      checkedLemmas++;
+
+      if (DratChecker._isRUP(db, lemma.lits)) continue;
+
+      // Propagation reorders literals, so take the pivot from the proof line
+      if (DratChecker._isRAT(db, lemma.lits, record.step.lits[0])) {
+        ratLemmas++;
+        continue;
+      }
+
+      return report([{
+        code: 'lemma-not-implied',
+        line: record.step.line,
+        lemma: record.step.lits,
+        message: `Lemma on proof line ${record.step.line} (${record.step.lits.join(' ')} 0) is neither RUP nor RAT`
+      }], { checkedLemmas, ratLemmas });
+    }
+
+    return report([], { checkedLemmas, ratLemmas });
+  }
+
+  /**
+   * Empty clause database with watch and occurrence lists
+   * @private
+   */
+  static _createDatabase(variables) {
+    return {
+      values: new Int8Array(variables + 1),
+      reasons: Array(variables + 1).fill(null),
+      trail: [],
+      seen: new Uint8Array(variables + 1),
+      watches: Array.from({ length: 2 * variables + 2 }, () => []),
+      occurrences: Array.from({ length: 2 * variables + 2 }, () => []),
+      units: []
+    };
+  }
+
+  /**
+   * Add a clause; it stays in the watch lists for good and is switched on and off by `active`
+   * @private
+   */
+  static _addClause(db, raw, lemma) {
+    const clause = { lits: [...new Set(raw)], lemma, active: true, core: false };
+    const { lits } = clause;
+
+    if (lits.length === 1) {
+      db.units.push(clause);
+    } else if (lits.length > 1) {
+      db.watches[DratChecker._index(lits[0])].push(clause);
+      db.watches[DratChecker._index(lits[1])].push(clause);
+    }
+    for (const literal of lits) {
+      db.occurrences[DratChecker._index(literal)].push(clause);
+    }
+
+    return clause;
+  }
+
+  /**
+   * Is the clause implied by unit propagation? Marks the clauses used as core.
+   * @private
+   */
+  static _isRUP(db, lits) {
+    if (lits.some(literal => lits.includes(-literal))) return true;
+
+    const conflict = DratChecker._propagate(db, lits.map(literal => -literal));
+    if (conflict) DratChecker._markCore(db, conflict);
+    DratChecker._reset(db);
+    return conflict !== null;
+  }
+
+  /**
+   * Is every resolvent on the pivot literal RUP?
+   * @private
+   */
+  static _isRAT(db, lits, pivot) {
+    const partners = db.occurrences[DratChecker._index(-pivot)].filter(clause => clause.active);
+
+    for (const partner of partners) {
+      const resolvent = [...lits, ...partner.lits.filter(literal => literal !== -pivot)];
+      if (!DratChecker._isRUP(db, [...new Set(resolvent)])) return false;
+      partner.core = true;
+    }
+    return true;
+  }
+
+  /**
+   * Unit propagation from the given assumptions and the active unit clauses
+   * @returns {Object|null} A falsified clause, or null
+   * @private
+   */
+  static _propagate(db, assumptions) {
+    const { values, reasons, trail } = db;
+    const value = literal => (literal > 0 ? values[literal] : -values[-literal]);
+    const assign = (literal, reason) => {
+      values[Math.abs(literal)] = literal > 0 ? 1 : -1;
+      reasons[Math.abs(literal)] = reason;
+      trail.push(literal);
+    };
+
+    for (const literal of assumptions) {
+      if (value(literal) === 0) assign(literal, null);
+    }
+    for (const unit of db.units) {
+      if (!unit.active) continue;
+      const current = value(unit.lits[0]);
+      if (current === -1) return unit;
+      if (current === 0) assign(unit.lits[0], unit);
+    }
+
+    for (let head = 0; head < trail.length; head++) {
+      const falseLiteral = -trail[head];
+      const list = db.watches[DratChecker._index(falseLiteral)];
+
+      for (let i = 0; i < list.length; i++) {
+        const clause = list[i];
+        if (!clause.active) continue;
+
+        const lits = clause.lits;
+        if (lits[0] === falseLiteral) {
+          lits[0] = lits[1];
+          lits[1] = falseLiteral;
+        }
+        if (value(lits[0]) === 1) continue;
+
+        let moved = false;
+        for (let k = 2; k < lits.length; k++) {
+          if (value(lits[k]) !== -1) {
+            lits[1] = lits[k];
+            lits[k] = falseLiteral;
+            db.watches[DratChecker._index(lits[1])].push(clause);
+            list[i] = list[list.length - 1];
+            list.pop();
+            i--;
+            moved = true;
+            break;
+          }
+        }
+        if (moved) continue;
+
+        if (value(lits[0]) === -1) return clause;
+        assign(lits[0], clause);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Mark the conflict clause and every reason behind it as core
+   * @private
+   */
+  static _markCore(db, conflict) {
+    const { reasons, seen } = db;
+    const stack = [conflict];
+    const visited = [];
+
+    while (stack.length > 0) {
+      const clause = stack.pop();
+      clause.core = true;
+      for (const literal of clause.lits) {
+        const v = Math.abs(literal);
+        if (seen[v]) continue;
+        seen[v] = 1;
+        visited.push(v);
+        if (reasons[v] && reasons[v] !== clause) stack.push(reasons[v]);
+      }
+    }
+
+    for (const v of visited) seen[v] = 0;
+  }
+
+  /**
+   * Clear the assignment left by a propagation
+   * @private
+   */
+  static _reset(db) {
+    for (const literal of db.trail) {
+      db.values[Math.abs(literal)] = 0;
+      db.reasons[Math.abs(literal)] = null;
+    }
+    db.trail.length = 0;
+  }
+
+  /**
+   * Watch list slot of a literal
+   * @private
+   */
+  static _index(literal) {
+    return literal > 0 ? 2 * literal : -2 * literal + 1;
+  }
+}
+
+// Export the DRAT checker
+if (typeof module !== 'undefined') {
+  module.exports = { DratChecker };
+}
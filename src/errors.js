@@ -0,0 +1,44 @@
+/**
+ * Shared Error Types
+ */
+
+class ParseError extends Error {
+  /**
+   * Error raised while reading an instance or solution file
+   * @param {string} message - Description of the problem
+   * @param {number} [line] - 1-based line number where it was found
+   */
+  constructor(message, line) {
+    super(line !== undefined ? `Line ${line}: ${message}` : message);
+    this.name = 'ParseError';
+    this.line = line;
+  }
+}
+
+class SolverCancelledError extends Error {
+  /**
+   * Error raised when a solver run is cancelled before it finishes
+   * @param {string} [message] - Description
+   */
+  constructor(message = 'Solver run was cancelled') {
+    super(message);
+    this.name = 'SolverCancelledError';
+  }
+}
+
+class SolverTimeoutError extends Error {
+  /**
+   * Error raised when a solver run exceeds its time limit
+   * @param {number} timeout - Time limit in milliseconds
+   */
+  constructor(timeout) {
+    super(`Solver run exceeded its ${timeout} ms time limit`);
+    this.name = 'SolverTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+// Export the error types
+if (typeof module !== 'undefined') {
+  module.exports = { ParseError, SolverCancelledError, SolverTimeoutError };
+}
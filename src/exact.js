@@ -0,0 +1,564 @@
+/**
+ * Exact Reference Solvers
+ *
+ * Baselines for small instances, used to measure how far heuristic results
+ * are from the optimum. Each solver returns null when the instance is beyond
+ * its size limit or the search budget runs out. The branch-and-bound searches
+ * also take a deadline, a `performance.now()` time after which they give up
+ * and return null; the dynamic programs are kept short by their size limits.
+ */
+
+// Load sibling modules under Node; in the browser they are included as scripts
+if (typeof module !== 'undefined') {
+  Object.assign(globalThis, require('./tsplib'), require('./subset-sum'), require('./graph'), require('./coloring'));
+}
+
+class ExactSolver {
+  /**
+   * Size limits and search budgets for the exact solvers
+   */
+  static get LIMITS() {
+    return {
+      tspCities: 16,
+      satVariables: 100,
+      satDecisions: 100000,
+      coloringNodes: 100,
+      coloringSearchNodes: 200000,
+      vertexCoverNodes: 80,
+      cliqueNodes: 300,
+      cliqueSearchNodes: 200000,
+      hamiltonianNodes: 100,
+      hamiltonianSearchNodes: 200000,
+      knapsackCells: 20000000
+    };
+  }
+
+  /**
+   * Optimal TSP tour by Held-Karp dynamic programming, O(n^2 2^n)
+   * @param {Object} problem - TSP problem instance
+   * @param {Function} distance - Distance between city indices (defaults to TSPLIB.distance)
+   * @returns {Object|null} Optimal `{path, distance}`, or null if too large
+   */
+  static solveTSP(problem, distance = (i, j) => TSPLIB.distance(problem, i, j)) {
+    const n = problem.size;
+    if (n > ExactSolver.LIMITS.tspCities) return null;
+    if (n <= 3) {
+      const path = Array(n).fill(0).map((_, i) => i);
+      return { path, distance: ExactSolver._tourLength(path, distance) };
+    }
+
+    // City 0 is fixed as the start; subsets range over cities 1..n-1
+    const m = n - 1;
+    const full = (1 << m) - 1;
+    const cost = new Float64Array((full + 1) * m).fill(Infinity);
+    const parent = new Int8Array((full + 1) * m).fill(-1);
+
+    for (let j = 0; j < m; j++) {
+      cost[(1 << j) * m + j] = distance(0, j + 1);
+    }
+
+    for (let mask = 1; mask <= full; mask++) {
+      for (let j = 0; j < m; j++) {
+        if (!(mask & (1 << j))) continue;
+        const current = cost[mask * m + j];
+        if (current === Infinity) continue;
+
+        for (let k = 0; k < m; k++) {
+          if (mask & (1 << k)) continue;
+          const next = mask | (1 << k);
+          const candidate = current + distance(j + 1, k + 1);
+          if (candidate < cost[next * m + k]) {
+            cost[next * m + k] = candidate;
+            parent[next * m + k] = j;
+          }
+        }
+      }
+    }
+
+    let best = Infinity;
+    let last = -1;
+    for (let j = 0; j < m; j++) {
+      const candidate = cost[full * m + j] + distance(j + 1, 0);
+      if (candidate < best) {
+        best = candidate;
+        last = j;
+      }
+    }
+
+    // Walk the parent pointers back to the start
+    const reversed = [];
+    let mask = full;
+    while (last !== -1) {
+      reversed.push(last + 1);
+      const previous = parent[mask * m + last];
+      mask &= ~(1 << last);
+      last = previous;
+    }
+
+    return {
+      path: [0, ...reversed.reverse()],
+      distance: best
+    };
+  }
+
+  /**
+   * Decide satisfiability with DPLL (unit propagation, shortest-clause branching)
+   * @param {Object} problem - SAT problem instance
+   * @param {number} [deadline] - `performance.now()` time to give up at (default none)
+   * @returns {Object|null} `{satisfiable, assignment}`, or null if too large, out of budget or out of time
+   */
+  static solveSAT(problem, deadline = Infinity) {
+    const { variables, clauses } = problem;
+    if (variables > ExactSolver.LIMITS.satVariables) return null;
+
+    // 0 = unassigned, 1 = true, -1 = false
+    const values = new Int8Array(variables + 1);
+    const trail = [];
+    let decisions = 0;
+
+    const literalValue = literal => values[Math.abs(literal)] * Math.sign(literal);
+
+    const assign = literal => {
+      values[Math.abs(literal)] = Math.sign(literal);
+      trail.push(Math.abs(literal));
+    };
+
+    const undo = mark => {
+      while (trail.length > mark) {
+        values[trail.pop()] = 0;
+      }
+    };
+
+    // Returns false on conflict, otherwise the best branching literal (0 when all clauses are satisfied)
+    const propagate = () => {
+      for (;;) {
+        let changed = false;
+        let branch = 0;
+        let branchWidth = Infinity;
+
+        for (const clause of clauses) {
+          let satisfied = false;
+          let open = 0;
+          let lastOpen = 0;
+
+          for (const literal of clause) {
+            const value = literalValue(literal);
+            if (value === 1) {
+              satisfied = true;
+              break;
+            }
+            if (value === 0) {
+              open++;
+              lastOpen = literal;
+            }
+          }
+
+          if (satisfied) continue;
+          if (open === 0) return false;
+          if (open === 1) {
+            assign(lastOpen);
+            changed = true;
+          } else if (open < branchWidth) {
+            branchWidth = open;
+            branch = lastOpen;
+          }
+        }
+
+        if (!changed) return branch;
+      }
+    };
+
+    const search = () => {
+      const branch = propagate();
+      if (branch === false) return false;
+      if (branch === 0) return true;
+
+      if (++decisions > ExactSolver.LIMITS.satDecisions) {
+        throw new RangeError('DPLL decision budget exhausted');
+      }
+      ExactSolver._checkDeadline(decisions, deadline);
+
+      for (const literal of [branch, -branch]) {
+        const mark = trail.length;
+        assign(literal);
+        if (search()) return true;
+        undo(mark);
+      }
+      return false;
+    };
+
+    let satisfiable;
+    try {
+      satisfiable = search();
+    } catch (error) {
+      if (error instanceof RangeError) return null;
+      throw error;
+    }
+
+    return {
+      satisfiable,
+      assignment: satisfiable ? Array.from(values.slice(1), value => value === 1) : null,
+      decisions
+    };
+  }
+
+  /**
+   * Closest achievable subset sum, from the engine SubsetSumSolver picks for the instance
+   * @param {Object} problem - Subset sum problem instance
+   * @returns {Object|null} Optimal `{subset, sum, target, difference, exists, engine}`, or null if too large
+   */
+  static solveSubsetSum(problem) {
+    const { numbers, target } = problem;
+    if (!numbers.every(value => Number.isSafeInteger(value) && value >= 0) ||
+        !Number.isSafeInteger(target) || target < 0 ||
+        SubsetSumSolver.selectEngine(problem) === null) {
+      return null;
+    }
+
+    return SubsetSumSolver.solve(problem);
+  }
+
+  /**
+   * Chromatic number by DSATUR branch-and-bound
+   * @param {Object} problem - Graph coloring problem instance
+   * @param {number} [deadline] - `performance.now()` time to give up at (default none)
+   * @returns {Object|null} Optimal `{coloring, colorCount}`, or null if too large, out of budget or out of time
+   */
+  static solveGraphColoring(problem, deadline = Infinity) {
+    const n = SparseGraph.nodeCount(problem.graph);
+    if (n > ExactSolver.LIMITS.coloringNodes) return null;
+    if (n === 0) return { coloring: [], colorCount: 0 };
+
+    const neighbors = GraphColorer.neighborLists(problem.graph);
+    const coloring = Array(n).fill(-1);
+    const lowerBound = GraphColorer.greedyClique(neighbors).length;
+
+    let best = n + 1;
+    let bestColoring = null;
+    let searchNodes = 0;
+
+    const pickVertex = () => {
+      let vertex = -1;
+      let bestSaturation = -1;
+      let bestDegree = -1;
+
+      for (let v = 0; v < n; v++) {
+        if (coloring[v] !== -1) continue;
+        const seen = new Set();
+        for (const u of neighbors[v]) {
+          if (coloring[u] !== -1) seen.add(coloring[u]);
+        }
+        if (seen.size > bestSaturation ||
+            (seen.size === bestSaturation && neighbors[v].length > bestDegree)) {
+          vertex = v;
+          bestSaturation = seen.size;
+          bestDegree = neighbors[v].length;
+        }
+      }
+      return vertex;
+    };
+
+    const search = (colored, used) => {
+      if (used >= best) return;
+      if (colored === n) {
+        best = used;
+        bestColoring = [...coloring];
+        return;
+      }
+
+      if (++searchNodes > ExactSolver.LIMITS.coloringSearchNodes) {
+        throw new RangeError('Branch-and-bound node budget exhausted');
+      }
+      ExactSolver._checkDeadline(searchNodes, deadline);
+
+      const vertex = pickVertex();
+      for (let color = 0; color <= used && color < best - 1; color++) {
+        if (neighbors[vertex].some(u => coloring[u] === color)) continue;
+
+        coloring[vertex] = color;
+        search(colored + 1, Math.max(used, color + 1));
+        coloring[vertex] = -1;
+
+        if (best === lowerBound) return;
+      }
+    };
+
+    try {
+      search(0, 0);
+    } catch (error) {
+      if (error instanceof RangeError) return null;
+      throw error;
+    }
+
+    return {
+      coloring: bestColoring,
+      colorCount: best
+    };
+  }
+
+  /**
+   * Minimum vertex cover: the complement of a maximum independent set, which is a maximum
+   * clique of the complement graph
+   * @param {Object} problem - Vertex cover problem instance
+   * @param {number} [deadline] - `performance.now()` time to give up at (default none)
+   * @returns {Object|null} Optimal `{cover, coverSize}`, or null if too large, out of budget or out of time
+   */
+  static solveVertexCover(problem, deadline = Infinity) {
+    const n = SparseGraph.nodeCount(problem.graph);
+    if (n > ExactSolver.LIMITS.vertexCoverNodes) return null;
+
+    const adjacent = ExactSolver._adjacencyMatrix(SparseGraph.from(problem.graph));
+    for (let i = 0; i < adjacent.length; i++) adjacent[i] ^= 1;
+    for (let v = 0; v < n; v++) adjacent[v * n + v] = 0;
+
+    const independent = ExactSolver._maxClique(n, adjacent, deadline);
+    if (!independent) return null;
+
+    const inSet = new Set(independent);
+    const cover = [];
+    for (let v = 0; v < n; v++) {
+      if (!inSet.has(v)) cover.push(v);
+    }
+    return { cover, coverSize: cover.length };
+  }
+
+  /**
+   * Maximum clique by branch-and-bound with greedy colouring bounds (Tomita's MCQ)
+   * @param {Object} problem - Maximum clique problem instance
+   * @param {number} [deadline] - `performance.now()` time to give up at (default none)
+   * @returns {Object|null} Optimal `{clique, cliqueSize}`, or null if too large, out of budget or out of time
+   */
+  static solveMaxClique(problem, deadline = Infinity) {
+    const n = SparseGraph.nodeCount(problem.graph);
+    if (n > ExactSolver.LIMITS.cliqueNodes) return null;
+
+    const clique = ExactSolver._maxClique(n, ExactSolver._adjacencyMatrix(SparseGraph.from(problem.graph)), deadline);
+    return clique && { clique, cliqueSize: clique.length };
+  }
+
+  /**
+   * Decide whether a Hamiltonian cycle exists by depth-first search from vertex 0, extending
+   * the path through the neighbour with the fewest unvisited neighbours (Warnsdorff's rule)
+   * and backtracking once some unvisited vertex has fewer than two ways left in and out
+   * @param {Object} problem - Hamiltonian cycle problem instance
+   * @param {number} [deadline] - `performance.now()` time to give up at (default none)
+   * @returns {Object|null} `{hamiltonian, cycle}` with `cycle` null when there is none, or null
+   *   if too large, out of budget or out of time
+   */
+  static solveHamiltonianCycle(problem, deadline = Infinity) {
+    const n = SparseGraph.nodeCount(problem.graph);
+    if (n > ExactSolver.LIMITS.hamiltonianNodes) return null;
+
+    const csr = SparseGraph.from(problem.graph);
+    const neighbors = SparseGraph.adjacencyLists(csr);
+    if (n < 3 || neighbors.some(list => list.length < 2)) {
+      return { hamiltonian: false, cycle: null };
+    }
+
+    const visited = new Uint8Array(n);
+    const path = [0];
+    visited[0] = 1;
+    let searchNodes = 0;
+
+    const unvisitedDegree = v => neighbors[v].reduce((count, u) => count + (visited[u] ? 0 : 1), 0);
+
+    // Every unvisited vertex still needs two neighbours it can be entered and left through
+    const stranded = end => {
+      for (let v = 0; v < n; v++) {
+        if (visited[v]) continue;
+        let open = 0;
+        for (const u of neighbors[v]) {
+          if (!visited[u] || u === end || u === 0) open++;
+          if (open >= 2) break;
+        }
+        if (open < 2) return true;
+      }
+      return false;
+    };
+
+    const search = end => {
+      if (path.length === n) return SparseGraph.hasEdge(csr, end, 0);
+      if (++searchNodes > ExactSolver.LIMITS.hamiltonianSearchNodes) {
+        throw new RangeError('Hamiltonian cycle search budget exhausted');
+      }
+      ExactSolver._checkDeadline(searchNodes, deadline);
+      if (stranded(end)) return false;
+
+      const next = Array.from(neighbors[end]).filter(u => !visited[u])
+        .sort((a, b) => unvisitedDegree(a) - unvisitedDegree(b));
+      for (const u of next) {
+        visited[u] = 1;
+        path.push(u);
+        if (search(u)) return true;
+        path.pop();
+        visited[u] = 0;
+      }
+      return false;
+    };
+
+    let hamiltonian;
+    try {
+      hamiltonian = search(0);
+    } catch (error) {
+      if (error instanceof RangeError) return null;
+      throw error;
+    }
+
+    return { hamiltonian, cycle: hamiltonian ? path : null };
+  }
+
+  /**
+   * Optimal 0/1 knapsack by dynamic programming over capacities, O(n * capacity)
+   * @param {Object} problem - Knapsack problem instance with integer weights and capacity
+   * @returns {Object|null} Optimal `{items, weight, value}`, or null if the table would be too large
+   */
+  static solveKnapsack(problem) {
+    const { weights, values, capacity } = problem;
+    const n = weights.length;
+    if (!Number.isSafeInteger(capacity) || capacity < 0 ||
+        !weights.every(weight => Number.isSafeInteger(weight) && weight >= 0) ||
+        n * (capacity + 1) > ExactSolver.LIMITS.knapsackCells) {
+      return null;
+    }
+
+    // best[c] is the highest value within capacity c; take[i][c] records whether item i was used
+    const width = capacity + 1;
+    const best = new Float64Array(width);
+    const take = new Uint8Array(n * width);
+    for (let i = 0; i < n; i++) {
+      for (let c = capacity; c >= weights[i]; c--) {
+        const candidate = best[c - weights[i]] + values[i];
+        if (candidate > best[c]) {
+          best[c] = candidate;
+          take[i * width + c] = 1;
+        }
+      }
+    }
+
+    const items = [];
+    let remaining = capacity;
+    for (let i = n - 1; i >= 0; i--) {
+      if (take[i * width + remaining]) {
+        items.push(i);
+        remaining -= weights[i];
+      }
+    }
+    items.reverse();
+
+    return {
+      items,
+      weight: items.reduce((sum, i) => sum + weights[i], 0),
+      value: best[capacity]
+    };
+  }
+
+  /**
+   * Largest clique of a graph given as a dense 0/1 matrix, or null when the node budget or
+   * the time runs out
+   * @private
+   */
+  static _maxClique(n, adjacent, deadline = Infinity) {
+    let best = [];
+    const current = [];
+    let searchNodes = 0;
+
+    // Greedy colour classes over the candidates; colour i bounds the clique among the first i
+    const colorSort = candidates => {
+      const order = [];
+      const bounds = [];
+      let uncolored = candidates;
+      for (let color = 1; uncolored.length > 0; color++) {
+        const members = [];
+        const rest = [];
+        for (const v of uncolored) {
+          if (members.every(u => !adjacent[v * n + u])) members.push(v);
+          else rest.push(v);
+        }
+        for (const v of members) {
+          order.push(v);
+          bounds.push(color);
+        }
+        uncolored = rest;
+      }
+      return { order, bounds };
+    };
+
+    const expand = candidates => {
+      if (++searchNodes > ExactSolver.LIMITS.cliqueSearchNodes) {
+        throw new RangeError('Clique search budget exhausted');
+      }
+      ExactSolver._checkDeadline(searchNodes, deadline);
+
+      const { order, bounds } = colorSort(candidates);
+      for (let i = order.length - 1; i >= 0; i--) {
+        if (current.length + bounds[i] <= best.length) return;
+
+        const v = order[i];
+        current.push(v);
+        const next = order.slice(0, i).filter(u => adjacent[v * n + u]);
+        if (next.length > 0) {
+          expand(next);
+        } else if (current.length > best.length) {
+          best = current.slice();
+        }
+        current.pop();
+      }
+    };
+
+    const degree = v => {
+      let count = 0;
+      for (let u = 0; u < n; u++) count += adjacent[v * n + u];
+      return count;
+    };
+    const vertices = Array.from({ length: n }, (_, v) => v).sort((a, b) => degree(b) - degree(a));
+
+    try {
+      if (n > 0) expand(vertices);
+    } catch (error) {
+      if (error instanceof RangeError) return null;
+      throw error;
+    }
+    return best.sort((a, b) => a - b);
+  }
+
+  /**
+   * Give up a search once the deadline has passed, checking the clock every 256 nodes
+   * @throws {RangeError} When the deadline has passed
+   * @private
+   */
+  static _checkDeadline(searchNodes, deadline) {
+    if ((searchNodes & 255) === 0 && performance.now() > deadline) {
+      throw new RangeError('Exact search time limit reached');
+    }
+  }
+
+  /**
+   * Dense 0/1 adjacency matrix, row-major in one Uint8Array
+   * @private
+   */
+  static _adjacencyMatrix(csr) {
+    const matrix = new Uint8Array(csr.nodes * csr.nodes);
+    SparseGraph.forEachEdge(csr, (u, v) => {
+      matrix[u * csr.nodes + v] = 1;
+      matrix[v * csr.nodes + u] = 1;
+    });
+    return matrix;
+  }
+
+  /**
+   * Length of a closed tour
+   * @private
+   */
+  static _tourLength(path, distance) {
+    let length = 0;
+    for (let i = 0; i < path.length; i++) {
+      length += distance(path[i], path[(i + 1) % path.length]);
+    }
+    return length;
+  }
+}
+
+// Export the exact solvers
+if (typeof module !== 'undefined') {
+  module.exports = { ExactSolver };
+}
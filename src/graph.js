@@ -0,0 +1,234 @@
+/**
+ * Sparse Graph Representation
+ *
+ * Graph coloring instances store `graph` in compressed sparse row (CSR)
+ * form: `{format: 'csr', nodes, offsets, targets}`, where the neighbours of
+ * vertex v are `targets[offsets[v]]` up to `targets[offsets[v + 1] - 1]`,
+ * sorted, with every edge listed from both ends. Memory and traversal time
+ * grow with the number of edges rather than with n^2.
+ *
+ * A dense 0/1 adjacency matrix or an array of adjacency lists is accepted
+ * wherever a graph is read; SparseGraph.from converts any of the three forms
+ * and remembers the result, so repeated reads of one problem are cheap.
+ */
+
+// Converted graphs, keyed by the object they were read from
+const compiledGraphs = new WeakMap();
+
+class SparseGraph {
+  /**
+   * Read a graph in any accepted form
+   * @param {Object|number[][]} graph - CSR object, dense adjacency matrix or adjacency lists
+   * @returns {Object} `{format: 'csr', nodes, edges, offsets, targets}` with Int32Array offsets and targets
+   * @throws {RangeError} On a malformed graph, a self-loop or a neighbour out of range
+   */
+  static from(graph) {
+    if (graph && typeof graph === 'object' && compiledGraphs.has(graph)) {
+      return compiledGraphs.get(graph);
+    }
+
+    let compiled;
+    if (graph && graph.format === 'csr') {
+      compiled = SparseGraph._fromCSR(graph);
+    } else if (Array.isArray(graph) && SparseGraph._isDenseMatrix(graph)) {
+      const edges = [];
+      for (let i = 0; i < graph.length; i++) {
+        for (let j = i + 1; j < graph.length; j++) {
+          if (graph[i][j] === 1) edges.push([i, j]);
+        }
+      }
+      compiled = SparseGraph.fromEdges(graph.length, edges);
+    } else if (Array.isArray(graph) && graph.every(list => Array.isArray(list) || ArrayBuffer.isView(list))) {
+      const edges = [];
+      graph.forEach((list, v) => {
+        for (const u of list) edges.push([v, u]);
+      });
+      compiled = SparseGraph.fromEdges(graph.length, edges);
+    } else {
+      throw new RangeError('A graph must be a CSR object, an adjacency matrix or adjacency lists');
+    }
+
+    if (graph && typeof graph === 'object') compiledGraphs.set(graph, compiled);
+    return compiled;
+  }
+
+  /**
+   * Build a graph from an edge list; repeated edges are merged
+   * @param {number} nodes - Number of vertices
+   * @param {number[][]} edges - `[u, v]` pairs of 0-based vertices
+   * @returns {Object} `{format: 'csr', nodes, edges, offsets, targets}`
+   * @throws {RangeError} On a self-loop or a vertex out of range
+   */
+  static fromEdges(nodes, edges) {
+    const degree = new Int32Array(nodes + 1);
+    for (const [u, v] of edges) {
+      for (const vertex of [u, v]) {
+        if (!Number.isInteger(vertex) || vertex < 0 || vertex >= nodes) {
+          throw new RangeError(`Vertex ${vertex} out of range 0..${nodes - 1}`);
+        }
+      }
+      if (u === v) throw new RangeError(`Self-loop on vertex ${u}`);
+      degree[u + 1]++;
+      degree[v + 1]++;
+    }
+
+    const offsets = new Int32Array(nodes + 1);
+    for (let v = 0; v < nodes; v++) offsets[v + 1] = offsets[v] + degree[v + 1];
+    const targets = new Int32Array(offsets[nodes]);
+    const fill = offsets.slice(0, nodes);
+    for (const [u, v] of edges) {
+      targets[fill[u]++] = v;
+      targets[fill[v]++] = u;
+    }
+
+    return SparseGraph._sortAndMerge(nodes, offsets, targets);
+  }
+
+  /**
+   * Plain-array CSR object for problem instances and JSON
+   * @param {Object|number[][]} graph - Graph in any accepted form
+   * @returns {Object} `{format: 'csr', nodes, offsets, targets}`
+   */
+  static toJSON(graph) {
+    const { nodes, offsets, targets } = SparseGraph.from(graph);
+    return { format: 'csr', nodes, offsets: Array.from(offsets), targets: Array.from(targets) };
+  }
+
+  /**
+   * Dense 0/1 adjacency matrix, for small graphs only
+   * @param {Object|number[][]} graph - Graph in any accepted form
+   * @returns {number[][]} Adjacency matrix
+   */
+  static toDense(graph) {
+    const { nodes, offsets, targets } = SparseGraph.from(graph);
+    const matrix = Array.from({ length: nodes }, () => Array(nodes).fill(0));
+    for (let v = 0; v < nodes; v++) {
+      for (let k = offsets[v]; k < offsets[v + 1]; k++) matrix[v][targets[k]] = 1;
+    }
+    return matrix;
+  }
+
+  /**
+   * Number of vertices, without converting the graph
+   * @param {Object|number[][]} graph - Graph in any accepted form
+   * @returns {number} Vertex count
+   */
+  static nodeCount(graph) {
+    return graph && graph.format === 'csr' ? graph.nodes : graph.length;
+  }
+
+  /**
+   * Neighbours of a vertex
+   * @param {Object} csr - Graph from SparseGraph.from
+   * @param {number} v - Vertex
+   * @returns {Int32Array} Sorted neighbours (a view into `targets`)
+   */
+  static neighbors(csr, v) {
+    return csr.targets.subarray(csr.offsets[v], csr.offsets[v + 1]);
+  }
+
+  /**
+   * Neighbour list of every vertex
+   * @param {Object|number[][]} graph - Graph in any accepted form
+   * @returns {Int32Array[]} Sorted neighbours per vertex
+   */
+  static adjacencyLists(graph) {
+    const csr = SparseGraph.from(graph);
+    return Array.from({ length: csr.nodes }, (_, v) => SparseGraph.neighbors(csr, v));
+  }
+
+  /**
+   * Is there an edge between u and v? Binary search over u's neighbours.
+   * @param {Object} csr - Graph from SparseGraph.from
+   * @returns {boolean} Whether the edge exists
+   */
+  static hasEdge(csr, u, v) {
+    let low = csr.offsets[u];
+    let high = csr.offsets[u + 1] - 1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      const target = csr.targets[middle];
+      if (target === v) return true;
+      if (target < v) low = middle + 1;
+      else high = middle - 1;
+    }
+    return false;
+  }
+
+  /**
+   * Call fn(u, v) once per edge, with u < v
+   * @param {Object} csr - Graph from SparseGraph.from
+   * @param {Function} fn - Edge callback
+   */
+  static forEachEdge(csr, fn) {
+    for (let u = 0; u < csr.nodes; u++) {
+      for (let k = csr.offsets[u]; k < csr.offsets[u + 1]; k++) {
+        if (csr.targets[k] > u) fn(u, csr.targets[k]);
+      }
+    }
+  }
+
+  /**
+   * Validate a CSR object and copy it into typed arrays
+   * @private
+   */
+  static _fromCSR(graph) {
+    const { nodes, offsets, targets } = graph;
+    if (!Number.isInteger(nodes) || nodes < 0 || !offsets || offsets.length !== nodes + 1 ||
+        offsets[0] !== 0 || !targets || offsets[nodes] !== targets.length) {
+      throw new RangeError('Malformed CSR graph: offsets must run from 0 to targets.length over nodes + 1 entries');
+    }
+
+    // Rebuild from the edge list so asymmetric or unsorted input is repaired
+    const edges = [];
+    for (let v = 0; v < nodes; v++) {
+      if (offsets[v + 1] < offsets[v]) {
+        throw new RangeError(`Malformed CSR graph: offsets decrease at vertex ${v}`);
+      }
+      for (let k = offsets[v]; k < offsets[v + 1]; k++) edges.push([v, targets[k]]);
+    }
+    return SparseGraph.fromEdges(nodes, edges);
+  }
+
+  /**
+   * Sort each neighbour list and drop repeats
+   * @private
+   */
+  static _sortAndMerge(nodes, offsets, targets) {
+    const merged = new Int32Array(targets.length);
+    const mergedOffsets = new Int32Array(nodes + 1);
+    let size = 0;
+
+    for (let v = 0; v < nodes; v++) {
+      const list = targets.subarray(offsets[v], offsets[v + 1]).sort();
+      for (let k = 0; k < list.length; k++) {
+        if (k === 0 || list[k] !== list[k - 1]) merged[size++] = list[k];
+      }
+      mergedOffsets[v + 1] = size;
+    }
+
+    const compiled = {
+      format: 'csr',
+      nodes,
+      edges: size / 2,
+      offsets: mergedOffsets,
+      targets: size === merged.length ? merged : merged.slice(0, size)
+    };
+    compiledGraphs.set(compiled, compiled);
+    return compiled;
+  }
+
+  /**
+   * Is every row a full-length row of zeros and ones?
+   * @private
+   */
+  static _isDenseMatrix(graph) {
+    return graph.every(row => Array.isArray(row) && row.length === graph.length &&
+      row.every(value => value === 0 || value === 1));
+  }
+}
+
+// Export the sparse graph helpers
+if (typeof module !== 'undefined') {
+  module.exports = { SparseGraph };
+}
@@ -0,0 +1,468 @@
+/**
+ * TSP Tour Improvement
+ *
+ * Local search over an existing tour with four move types:
+ *
+ *   2-opt           remove two edges and reconnect by reversing the path between them
+ *   Or-opt          move a segment of one to three cities elsewhere, in either orientation
+ *   Or-3opt         swap two adjacent segments of any length without reversing them
+ *   Lin-Kernighan   variable-depth chain of 2-opt moves, kept up to its best prefix
+ *
+ * Candidate moves only pair a city with its nearest neighbours, and cities
+ * whose surroundings have not changed are not re-examined (don't-look bits),
+ * so a pass costs roughly O(n k) rather than O(n^2).
+ */
+
+// Load sibling modules under Node; in the browser they are included as scripts
+if (typeof module !== 'undefined') {
+  Object.assign(globalThis, require('./tsplib'));
+}
+
+class TourImprover {
+  /**
+   * Default search settings
+   */
+  static get DEFAULTS() {
+    return {
+      neighbors: 10,
+      maxDepth: 6,
+      moves: ['2-opt', 'or-opt', 'or-3opt', 'lin-kernighan'],
+      maxMoves: Infinity,
+      deadline: Infinity
+    };
+  }
+
+  /**
+   * Improve a tour until no enabled move shortens it
+   * @param {Object} problem - TSP problem instance
+   * @param {number[]} path - Starting tour as a city order
+   * @param {Object} options - Search options
+   * @param {Function} options.distance - Distance between city indices (defaults to TSPLIB.distance)
+   * @param {number} options.neighbors - Neighbour list length per city (default 10)
+   * @param {number} options.maxDepth - Lin-Kernighan chain depth (default 6)
+   * @param {string[]} options.moves - Move types to use (default all four)
+   * @param {number} options.maxMoves - Stop after this many improving moves (default unlimited)
+   * @param {number} options.deadline - `performance.now()` time after which the search stops (default none)
+   * @param {Function} options.onImprove - Called with the tour length after each improving move
+   * @returns {Object} `{path, distance, initialDistance, improvement, improvementRatio, moves, totalMoves, timedOut}`,
+   *   where `timedOut` tells whether the deadline stopped the search
+   */
+  static improve(problem, path, options = {}) {
+    const settings = { ...TourImprover.DEFAULTS, ...options };
+    const distance = settings.distance || ((i, j) => TSPLIB.distance(problem, i, j));
+    const n = path.length;
+    const initialDistance = TourImprover.tourLength(path, distance);
+    const moves = { twoOpt: 0, orOpt: 0, or3Opt: 0, linKernighan: 0 };
+
+    const state = {
+      n,
+      tour: path.slice(),
+      pos: new Int32Array(n),
+      distance,
+      neighbors: n >= 5 ? TourImprover.neighborLists(n, distance, settings.neighbors) : [],
+      // Length saved by the last move applied
+      gain: 0
+    };
+    TourImprover._index(state);
+
+    // Every city starts active; a city is re-queued when an edge next to it changes
+    const enabled = new Set(settings.moves);
+    let queue = n >= 5 ? [...state.tour] : [];
+    let head = 0;
+    const queued = new Uint8Array(n).fill(1);
+    const wake = cities => {
+      for (const city of cities) {
+        if (!queued[city]) {
+          queued[city] = 1;
+          queue.push(city);
+        }
+      }
+    };
+
+    let totalMoves = 0;
+    let visits = 0;
+    let timedOut = false;
+    let currentDistance = initialDistance;
+    while (head < queue.length && totalMoves < settings.maxMoves) {
+      if ((++visits & 255) === 0 && performance.now() > settings.deadline) {
+        timedOut = true;
+        break;
+      }
+      const city = queue[head++];
+      queued[city] = 0;
+      if (head > 4 * n) {
+        queue = queue.slice(head);
+        head = 0;
+      }
+
+      let touched = null;
+      if (enabled.has('2-opt') && (touched = TourImprover._twoOpt(state, city))) {
+        moves.twoOpt++;
+      } else if (enabled.has('or-opt') && (touched = TourImprover._orOpt(state, city))) {
+        moves.orOpt++;
+      } else if (enabled.has('or-3opt') && (touched = TourImprover._or3Opt(state, city))) {
+        moves.or3Opt++;
+      } else if (enabled.has('lin-kernighan') &&
+                 (touched = TourImprover._linKernighan(state, city, settings.maxDepth))) {
+        moves.linKernighan++;
+      }
+
+      if (touched) {
+        totalMoves++;
+        wake(touched);
+        wake([city]);
+        currentDistance -= state.gain;
+        if (settings.onImprove) settings.onImprove(currentDistance);
+      }
+    }
+
+    const finalDistance = TourImprover.tourLength(state.tour, distance);
+    const improvement = initialDistance - finalDistance;
+
+    return {
+      path: state.tour,
+      distance: finalDistance,
+      initialDistance,
+      improvement,
+      improvementRatio: initialDistance > 0 ? improvement / initialDistance : 0,
+      moves,
+      totalMoves,
+      timedOut
+    };
+  }
+
+  /**
+   * The k nearest other cities of every city, closest first
+   * @param {number} n - City count
+   * @param {Function} distance - Distance between city indices
+   * @param {number} k - List length
+   * @returns {Int32Array[]} Neighbour list per city
+   */
+  static neighborLists(n, distance, k) {
+    const size = Math.min(k, n - 1);
+    const lists = [];
+
+    for (let i = 0; i < n; i++) {
+      const list = new Int32Array(size);
+      const dists = new Float64Array(size).fill(Infinity);
+
+      for (let j = 0; j < n; j++) {
+        if (j === i) continue;
+        const d = distance(i, j);
+        if (d >= dists[size - 1]) continue;
+
+        // Insertion into the sorted list
+        let slot = size - 1;
+        while (slot > 0 && dists[slot - 1] > d) {
+          dists[slot] = dists[slot - 1];
+          list[slot] = list[slot - 1];
+          slot--;
+        }
+        dists[slot] = d;
+        list[slot] = j;
+      }
+      lists.push(list);
+    }
+
+    return lists;
+  }
+
+  /**
+   * Length of a closed tour
+   * @param {number[]} path - City order
+   * @param {Function} distance - Distance between city indices
+   * @returns {number}
+   */
+  static tourLength(path, distance) {
+    let length = 0;
+    for (let i = 0; i < path.length; i++) {
+      length += distance(path[i], path[(i + 1) % path.length]);
+    }
+    return length;
+  }
+
+  /**
+   * First improving 2-opt move around a city
+   * @private
+   */
+  static _twoOpt(state, a) {
+    const { distance, neighbors } = state;
+
+    for (const forward of [true, false]) {
+      const b = forward ? TourImprover._succ(state, a) : TourImprover._pred(state, a);
+      const dab = distance(a, b);
+
+      for (const c of neighbors[a]) {
+        const dac = distance(a, c);
+        if (dac >= dab - TourImprover.EPSILON) break;
+
+        const d = forward ? TourImprover._succ(state, c) : TourImprover._pred(state, c);
+        if (c === b || d === a) continue;
+
+        const delta = dac + distance(b, d) - dab - distance(c, d);
+        if (delta < -TourImprover.EPSILON) {
+          TourImprover._move2Opt(state, b, a, c, d);
+          state.gain = -delta;
+          return [a, b, c, d];
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * First improving move of a 1-3 city segment starting at a city
+   * @private
+   */
+  static _orOpt(state, s) {
+    const { n, distance, neighbors, pos, tour } = state;
+
+    for (let length = 1; length <= 3 && length + 3 <= n; length++) {
+      const e = tour[(pos[s] + length - 1) % n];
+      const p = TourImprover._pred(state, s);
+      const next = TourImprover._succ(state, e);
+      const removeGain = distance(p, s) + distance(e, next) - distance(p, next);
+      if (removeGain <= TourImprover.EPSILON) continue;
+
+      const inSegment = city => (pos[city] - pos[s] + n) % n < length;
+
+      // Reinsert between u and succ(u), where u or succ(u) is near an end of the segment
+      for (const end of length === 1 ? [s] : [s, e]) {
+        for (const c of neighbors[end]) {
+          if (distance(c, end) >= removeGain) break;
+          if (inSegment(c)) continue;
+
+          for (const u of [c, TourImprover._pred(state, c)]) {
+            const v = TourImprover._succ(state, u);
+            if (inSegment(u) || inSegment(v)) continue;
+
+            const duv = distance(u, v);
+            const keep = distance(u, s) + distance(e, v) - duv;
+            const flip = distance(u, e) + distance(s, v) - duv;
+            const reversed = flip < keep;
+            if (removeGain - Math.min(keep, flip) > TourImprover.EPSILON) {
+              TourImprover._relocate(state, s, length, u, reversed);
+              state.gain = removeGain - Math.min(keep, flip);
+              return [p, next, s, e, u, v];
+            }
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * First improving segment swap a [b..c] [d..e] f -> a [d..e] [b..c] f
+   * @private
+   */
+  static _or3Opt(state, a) {
+    const { n, distance, neighbors, pos } = state;
+    const b = TourImprover._succ(state, a);
+    const dab = distance(a, b);
+    const offset = city => (pos[city] - pos[b] + n) % n;
+
+    for (const d of neighbors[a]) {
+      const g1 = dab - distance(a, d);
+      if (g1 <= TourImprover.EPSILON) break;
+      if (d === b) continue;
+
+      const c = TourImprover._pred(state, d);
+      const firstLength = offset(c) + 1;
+
+      for (const e of neighbors[b]) {
+        const g2 = g1 + distance(c, d) - distance(e, b);
+        if (g2 <= TourImprover.EPSILON) break;
+
+        // e must close the second segment somewhere between d and the city before a
+        const eOffset = offset(e);
+        if (eOffset < firstLength || eOffset > n - 2) continue;
+
+        const f = TourImprover._succ(state, e);
+        const gain = g2 + distance(e, f) - distance(c, f);
+        if (gain > TourImprover.EPSILON) {
+          const rest = [];
+          for (let i = eOffset + 1; i < n - 1; i++) rest.push(state.tour[(pos[b] + i) % n]);
+          const second = [];
+          for (let i = firstLength; i <= eOffset; i++) second.push(state.tour[(pos[b] + i) % n]);
+          const first = [];
+          for (let i = 0; i < firstLength; i++) first.push(state.tour[(pos[b] + i) % n]);
+
+          state.tour = [a, ...second, ...first, ...rest];
+          TourImprover._index(state);
+          state.gain = gain;
+          return [a, b, c, d, e, f];
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Lin-Kernighan style variable-depth search from a city
+   *
+   * Each step breaks the edge (t1, t2), joins t2 to a near city t3 and breaks
+   * (t3, t4) to close the tour at t1 again. The chain keeps the prefix with
+   * the best closed tour and undoes the rest.
+   * @private
+   */
+  static _linKernighan(state, t1, maxDepth) {
+    const { distance, neighbors } = state;
+
+    for (const start of [TourImprover._succ(state, t1), TourImprover._pred(state, t1)]) {
+      const steps = [];
+      const added = new Set();
+      const key = (u, v) => (u < v ? `${u},${v}` : `${v},${u}`);
+      let t2 = start;
+      let gain = distance(t1, t2);
+      let bestGain = TourImprover.EPSILON;
+      let bestSteps = 0;
+
+      while (steps.length < maxDepth) {
+        const forward = TourImprover._succ(state, t1) === t2;
+        let choice = null;
+        let choiceScore = -Infinity;
+
+        for (const t3 of neighbors[t2]) {
+          const g1 = gain - distance(t2, t3);
+          if (g1 <= TourImprover.EPSILON) break;
+          if (t3 === t1) continue;
+
+          const t4 = forward ? TourImprover._pred(state, t3) : TourImprover._succ(state, t3);
+          if (t4 === t2 || t4 === t1 || added.has(key(t3, t4))) continue;
+
+          const score = g1 + distance(t3, t4);
+          if (score > choiceScore) {
+            choice = [t3, t4];
+            choiceScore = score;
+          }
+        }
+
+        if (!choice) break;
+
+        const [t3, t4] = choice;
+        TourImprover._move2Opt(state, t1, t2, t3, t4);
+        steps.push([t1, t2, t3, t4]);
+        added.add(key(t2, t3));
+        gain = choiceScore;
+
+        if (gain - distance(t4, t1) > bestGain) {
+          bestGain = gain - distance(t4, t1);
+          bestSteps = steps.length;
+        }
+        t2 = t4;
+      }
+
+      while (steps.length > bestSteps) {
+        const [u1, u2, u3, u4] = steps.pop();
+        TourImprover._move2Opt(state, u1, u4, u3, u2);
+      }
+
+      if (bestSteps > 0) {
+        state.gain = bestGain;
+        return [...new Set(steps.flat())];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Replace edges (t1, t2) and (t4, t3) with (t2, t3) and (t1, t4)
+   *
+   * t4 must sit on the same side of t3 as t2 does of t1.
+   * @private
+   */
+  static _move2Opt(state, t1, t2, t3, t4) {
+    if (TourImprover._succ(state, t1) === t2) {
+      TourImprover._reverse(state, state.pos[t2], state.pos[t4]);
+    } else {
+      TourImprover._reverse(state, state.pos[t4], state.pos[t2]);
+    }
+  }
+
+  /**
+   * Reverse tour positions i..j (inclusive, wrapping), or the shorter complement
+   * @private
+   */
+  static _reverse(state, i, j) {
+    const { n, tour, pos } = state;
+    let length = ((j - i + n) % n) + 1;
+
+    // Reversing the complement gives the same cycle traversed the other way
+    if (2 * length > n) {
+      [i, j] = [(j + 1) % n, (i - 1 + n) % n];
+      length = n - length;
+    }
+
+    for (let k = 0; k < Math.floor(length / 2); k++) {
+      const a = (i + k) % n;
+      const b = (j - k + n) % n;
+      const cityA = tour[a];
+      tour[a] = tour[b];
+      tour[b] = cityA;
+      pos[tour[a]] = a;
+      pos[tour[b]] = b;
+    }
+  }
+
+  /**
+   * Move the segment of `length` cities starting at s to sit after u
+   * @private
+   */
+  static _relocate(state, s, length, u, reversed) {
+    const { n, tour, pos } = state;
+    const segment = [];
+    for (let i = 0; i < length; i++) segment.push(tour[(pos[s] + i) % n]);
+    if (reversed) segment.reverse();
+
+    const rest = [];
+    for (let i = length; i < n; i++) rest.push(tour[(pos[s] + i) % n]);
+
+    const at = rest.indexOf(u) + 1;
+    state.tour = [...rest.slice(0, at), ...segment, ...rest.slice(at)];
+    TourImprover._index(state);
+  }
+
+  /**
+   * Rebuild the city -> position index
+   * @private
+   */
+  static _index(state) {
+    state.tour.forEach((city, i) => {
+      state.pos[city] = i;
+    });
+  }
+
+  /**
+   * Next city along the tour
+   * @private
+   */
+  static _succ(state, city) {
+    return state.tour[(state.pos[city] + 1) % state.n];
+  }
+
+  /**
+   * Previous city along the tour
+   * @private
+   */
+  static _pred(state, city) {
+    return state.tour[(state.pos[city] - 1 + state.n) % state.n];
+  }
+
+  /**
+   * Smallest length change treated as an improvement
+   * @private
+   */
+  static get EPSILON() {
+    return 1e-9;
+  }
+}
+
+// Export the tour improver
+if (typeof module !== 'undefined') {
+  module.exports = { TourImprover };
+}
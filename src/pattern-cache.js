@@ -0,0 +1,194 @@
+/**
+ * Pattern Cache
+ *
+ * Keeps the patterns NPSolver's projection pipeline extracts, keyed by a
+ * fingerprint of the instance's content, so solving the same instance again
+ * with the same projection settings skips the extraction. Entries are evicted
+ * least recently used first once the cache is full, and expire after an
+ * optional time to live. Hits, misses, evictions and expirations are counted.
+ */
+
+class PatternCache {
+  /**
+   * Default cache settings
+   */
+  static get DEFAULTS() {
+    return {
+      maxEntries: 100,
+      ttl: Infinity
+    };
+  }
+
+  /**
+   * Fields that name or describe an instance without changing it
+   */
+  static get IGNORED_FIELDS() {
+    return ['name', 'seed', 'metadata'];
+  }
+
+  /**
+   * Create a cache
+   * @param {Object} options - Cache settings
+   * @param {number} options.maxEntries - Entries kept before the least recently used is evicted (default 100)
+   * @param {number} options.ttl - Milliseconds an entry stays valid after it is stored (default forever)
+   * @throws {RangeError} On a non-positive size or time to live
+   */
+  constructor(options = {}) {
+    const settings = { ...PatternCache.DEFAULTS, ...options };
+    if (!(Number.isInteger(settings.maxEntries) && settings.maxEntries > 0)) {
+      throw new RangeError(`maxEntries must be a positive integer, got ${settings.maxEntries}`);
+    }
+    if (!(typeof settings.ttl === 'number' && settings.ttl > 0)) {
+      throw new RangeError(`ttl must be a positive number of milliseconds, got ${settings.ttl}`);
+    }
+
+    this.maxEntries = settings.maxEntries;
+    this.ttl = settings.ttl;
+    // Map iteration order doubles as recency order: the first key is the least recently used
+    this.entries = new Map();
+    this._resetStats();
+  }
+
+  /**
+   * Fingerprint an instance by its content: the type plus a 64-bit hash of every
+   * field except its name, seed and metadata, so regenerated or reloaded copies of
+   * an instance share a fingerprint and any change to its data gives a new one
+   * @param {Object} problem - Problem instance
+   * @returns {string} `<type>:<16 hex digits>`
+   */
+  static fingerprint(problem) {
+    // Two 32-bit multiply-xor hashes, mixed at the end (cyrb53 style)
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    const feed = text => {
+      for (let i = 0; i < text.length; i++) {
+        const c = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ c, 2654435761);
+        h2 = Math.imul(h2 ^ c, 1597334677);
+      }
+    };
+
+    const walk = value => {
+      if (value === null || value === undefined) {
+        feed('n;');
+      } else if (typeof value === 'number' || typeof value === 'boolean') {
+        feed(`${typeof value === 'number' ? 'd' : 'b'}${value};`);
+      } else if (typeof value === 'string') {
+        feed(`s${value.length}:${value}`);
+      } else if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+        // Plain and typed arrays with the same numbers hash alike
+        feed(`[${value.length}:`);
+        for (let i = 0; i < value.length; i++) walk(value[i]);
+        feed(']');
+      } else if (typeof value === 'object') {
+        feed('{');
+        for (const key of Object.keys(value).sort()) {
+          if (value === problem && PatternCache.IGNORED_FIELDS.includes(key)) continue;
+          feed(`${key}=`);
+          walk(value[key]);
+        }
+        feed('}');
+      }
+    };
+    walk(problem);
+
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    const hex = value => (value >>> 0).toString(16).padStart(8, '0');
+    return `${problem.type}:${hex(h2)}${hex(h1)}`;
+  }
+
+  /**
+   * Look up an entry, marking it most recently used
+   * @param {string} key - Cache key
+   * @returns {*} The stored value, or undefined on a miss or an expired entry
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry && Date.now() - entry.storedAt >= this.ttl) {
+      this.entries.delete(key);
+      this.stats.expirations++;
+    } else if (entry) {
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      this.stats.hits++;
+      return entry.value;
+    }
+
+    this.stats.misses++;
+    return undefined;
+  }
+
+  /**
+   * Store an entry, evicting the least recently used ones beyond the size limit
+   * @param {string} key - Cache key
+   * @param {*} value - Value to store; callers must treat it as read-only
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, storedAt: Date.now() });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Drop every entry and reset the statistics
+   */
+  clear() {
+    this.entries.clear();
+    this._resetStats();
+  }
+
+  /**
+   * Snapshot the settings, entries and statistics as plain JSON; a time to live of
+   * forever is written as null
+   * @returns {Object} `{maxEntries, ttl, entries, stats}`, entries least recently used first
+   */
+  toJSON() {
+    return JSON.parse(JSON.stringify({
+      maxEntries: this.maxEntries,
+      ttl: Number.isFinite(this.ttl) ? this.ttl : null,
+      entries: [...this.entries],
+      stats: this.stats
+    }));
+  }
+
+  /**
+   * Rebuild a cache from a toJSON snapshot
+   * @param {Object} data - Snapshot
+   * @returns {PatternCache}
+   * @throws {RangeError} On invalid settings
+   */
+  static fromJSON(data) {
+    const cache = new PatternCache({ maxEntries: data.maxEntries, ttl: data.ttl === null ? Infinity : data.ttl });
+    for (const [key, entry] of data.entries || []) {
+      cache.entries.set(key, JSON.parse(JSON.stringify(entry)));
+    }
+    cache.stats = { ...cache.stats, ...data.stats };
+    return cache;
+  }
+
+  /**
+   * Current statistics
+   * @returns {Object} `{hits, misses, evictions, expirations, size, maxEntries, ttl}`
+   */
+  getStats() {
+    return { ...this.stats, size: this.entries.size, maxEntries: this.maxEntries, ttl: this.ttl };
+  }
+
+  /**
+   * Zero the counters
+   * @private
+   */
+  _resetStats() {
+    this.stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+  }
+}
+
+// Export the cache
+if (typeof module !== 'undefined') {
+  module.exports = { PatternCache };
+}
@@ -0,0 +1,317 @@
+/**
+ * Built-in Problem Types
+ *
+ * Registers the eight problem types that ship with the solver. Each
+ * definition wires the type's generators, NPSolver strategies, certificate
+ * check, objective, optimality measure, file formats and visualiser
+ * together; see ProblemRegistry.register for the shape. In-house types
+ * follow the same pattern from their own files.
+ */
+
+// Load sibling modules under Node; in the browser they are included as scripts
+if (typeof module !== 'undefined') {
+  Object.assign(globalThis, require('./registry'), require('./graph'), require('./tsplib'), require('./dimacs'),
+    require('./exact'), require('./checker'), require('./problems'), require('./solver'), require('./visualizations'));
+}
+
+// Clauses an assignment leaves unsatisfied
+const unsatisfiedClauses = (problem, assignment) => problem.clauses.filter(clause => !clause.some(literal =>
+  assignment[Math.abs(literal) - 1] === literal > 0)).length;
+
+ProblemRegistry.register({
+  type: 'tsp',
+  label: 'Traveling Salesman Problem',
+  complexity: 'O(n!)',
+  families: {
+    'circle': (size, seed) => ProblemGenerator.generateTSP(size, seed),
+    'uniform': (size, seed) => ProblemGenerator.generateUniformTSP(size, seed),
+    'clustered': (size, seed) => ProblemGenerator.generateClusteredTSP(size, undefined, seed),
+    'grid': (size, seed) => ProblemGenerator.generateGridTSP(size, seed)
+  },
+  solvers: {
+    projection: (problem, { solver, projections }) => solver._solveTSP(projections, problem),
+    greedy: (problem, { solver }) => solver._greedyTSP(problem),
+    exact: (problem, { solver }) => ExactSolver.solveTSP(problem, (i, j) => solver._tspDistance(problem, i, j))
+  },
+  improve(problem, solution, context) {
+    // Polish heuristic tours with TourImprover
+    const { solver, options, progress } = context;
+    if (options.localSearch === false) return solution;
+    progress('improve');
+    return solver._improveTour(problem, solution, solver._searchSettings(options.localSearch, context, 'maxMoves'));
+  },
+  check: (problem, answer) => CertificateChecker.checkTSP(problem, answer),
+  objective: {
+    name: 'distance',
+    sense: 'min',
+    value: (problem, solution) => CertificateChecker.checkTSP(problem, solution).valid ? solution.distance : null
+  },
+  optimality(problem, solution, { solver }) {
+    const exact = ExactSolver.solveTSP(problem, (i, j) => solver._tspDistance(problem, i, j));
+    return NPSolver.optimalityReport('distance', solution.distance, exact && exact.distance, 'relative');
+  },
+  formats: {
+    name: 'TSPLIB',
+    extensions: ['.tsp'],
+    parse: text => TSPLIB.parse(text),
+    parseSolution: text => TSPLIB.parseTour(text).path,
+    serializeSolution: (problem, solution, { name }) => TSPLIB.serializeTour(problem, solution, { name })
+  },
+  visualize: (ctx, problem, result) => visualizeTSP(ctx, problem, result)
+});
+
+ProblemRegistry.register({
+  type: 'graph-coloring',
+  label: 'Graph Coloring',
+  complexity: 'O(k^n)',
+  families: {
+    'erdos-renyi': (size, seed) => ProblemGenerator.generateGraphColoring(size, 0.3, seed),
+    'planted': (size, seed) => ProblemGenerator.generatePlantedColoring(size, undefined, 0.5, seed),
+    'geometric': (size, seed) => ProblemGenerator.generateGeometricGraph(size, undefined, seed),
+    'flat': (size, seed) => ProblemGenerator.generateFlatGraph(size, undefined, 0.5, seed)
+  },
+  solvers: {
+    projection: (problem, { solver, projections }) => solver._solveGraphColoring(projections, problem),
+    greedy: (problem, { solver }) => solver._greedyGraphColoring(problem),
+    exact: (problem, { deadline }) => ExactSolver.solveGraphColoring(problem, deadline)
+  },
+  improve(problem, solution, context) {
+    // Search for colorings with fewer colours than the heuristic found
+    const { solver, options, progress } = context;
+    if (options.coloring === false) return solution;
+    progress('improve');
+    return solver._improveColoring(problem, solution,
+      solver._searchSettings(options.coloring, context, 'maxIterations', 'tabucol'));
+  },
+  check: (problem, answer) => CertificateChecker.checkGraphColoring(problem, answer),
+  objective: {
+    name: 'colorCount',
+    sense: 'min',
+    value: (problem, solution) =>
+      CertificateChecker.checkGraphColoring(problem, solution).valid ? solution.colorCount : null
+  },
+  optimality(problem, solution, { deadline }) {
+    const exact = ExactSolver.solveGraphColoring(problem, deadline);
+    return NPSolver.optimalityReport('colorCount', solution.colorCount, exact && exact.colorCount, 'relative');
+  },
+  formats: {
+    name: 'DIMACS graph',
+    extensions: ['.col'],
+    parse: (text, { name }) => DimacsGraph.parse(text, { name }),
+    parseSolution: text => DimacsGraph.parseColoring(text).coloring,
+    serializeSolution: (problem, solution) => DimacsGraph.serializeColoring(problem, solution)
+  },
+  visualize: (ctx, problem, result) => visualizeGraphColoring(ctx, problem, result)
+});
+
+ProblemRegistry.register({
+  type: 'sat',
+  label: 'Boolean Satisfiability (3-SAT)',
+  complexity: 'O(2^n)',
+  families: {
+    'uniform': (size, seed) => ProblemGenerator.generateSAT(size, size * 4, seed),
+    'k-sat': (size, seed) => ProblemGenerator.generateKSAT(size, undefined, 3, seed, { ratio: 4.26 }),
+    'planted': (size, seed) => ProblemGenerator.generatePlantedSAT(size, Math.round(size * 4.26), 3, seed),
+    'community': (size, seed) => ProblemGenerator.generateCommunitySAT(size, size * 4, undefined, 0.8, 3, seed)
+  },
+  solvers: {
+    projection: (problem, { solver, projections }) => solver._solveSAT(projections, problem),
+    greedy: (problem, { solver }) => solver._greedySAT(problem),
+    exact(problem, { deadline }) {
+      const exact = ExactSolver.solveSAT(problem, deadline);
+      return exact && {
+        assignment: exact.assignment || Array(problem.variables).fill(false),
+        satisfied: exact.satisfiable,
+        satisfiable: exact.satisfiable
+      };
+    },
+    walksat: (problem, context) => context.solver._solveStochastic(problem, 'walksat',
+      context.solver._searchSettings(context.options.sls, context, 'maxFlips', 'walksat')),
+    probsat: (problem, context) => context.solver._solveStochastic(problem, 'probsat',
+      context.solver._searchSettings(context.options.sls, context, 'maxFlips', 'probsat')),
+    cdcl: (problem, context) => context.solver._solveCDCL(problem,
+      context.solver._searchSettings(context.options.cdcl, context, 'maxConflicts'))
+  },
+  check: (problem, answer) => CertificateChecker.checkSAT(problem, answer),
+  objective: {
+    name: 'unsatisfiedClauses',
+    sense: 'min',
+    value: (problem, solution) => unsatisfiedClauses(problem, solution.assignment)
+  },
+  optimality(problem, solution, { deadline }) {
+    // Unsatisfied clause count; the optimum is 0 exactly when the formula is satisfiable
+    const unsatisfied = unsatisfiedClauses(problem, solution.assignment);
+    // A satisfying assignment is its own proof of optimality
+    const exact = unsatisfied === 0 ? { satisfiable: true } : ExactSolver.solveSAT(problem, deadline);
+    const report = NPSolver.optimalityReport('unsatisfiedClauses', unsatisfied,
+      exact && exact.satisfiable ? 0 : null, 'absolute');
+    report.satisfiable = exact ? exact.satisfiable : null;
+    return report;
+  },
+  formats: {
+    name: 'DIMACS CNF',
+    extensions: ['.cnf'],
+    parse: (text, { name }) => DimacsCNF.parse(text, { name }),
+    parseSolution(text, problem, { proof }) {
+      // An "s UNSATISFIABLE" answer is paired with its DRAT proof
+      const model = DimacsCNF.parseModel(text, problem.variables);
+      if (model.status === 'UNSATISFIABLE') {
+        return { satisfiable: false, proof };
+      }
+      return model.literals;
+    },
+    serializeSolution: (problem, solution) => DimacsCNF.serializeModel(problem, solution)
+  },
+  visualize: (ctx, problem, result) => visualizeSAT(ctx, problem, result)
+});
+
+ProblemRegistry.register({
+  type: 'subset-sum',
+  label: 'Subset Sum',
+  complexity: 'O(2^n)',
+  families: {
+    'random': (size, seed) => ProblemGenerator.generateSubsetSum(size, seed),
+    'low-density': (size, seed) => ProblemGenerator.generateLowDensitySubsetSum(size, 0.5, seed)
+  },
+  solvers: {
+    projection: (problem, { solver, projections }) => solver._solveSubsetSum(projections, problem),
+    greedy: (problem, { solver }) => solver._greedySubsetSum(problem),
+    exact: (problem, { solver, options }) => solver._exactSubsetSum(problem, options.subsetSum)
+  },
+  improve(problem, solution, { solver, options, progress }) {
+    // Heuristic subsets rarely hit the target exactly; an exact engine settles it
+    if (options.subsetSum === false || solution.difference === 0) return solution;
+    progress('refine');
+    return solver._completeSubsetSum(problem, solution, options.subsetSum);
+  },
+  check: (problem, answer) => CertificateChecker.checkSubsetSum(problem, answer),
+  objective: {
+    name: 'difference',
+    sense: 'min',
+    value: (problem, solution) => solution.difference
+  },
+  optimality(problem, solution) {
+    const exact = ExactSolver.solveSubsetSum(problem);
+    return NPSolver.optimalityReport('difference', solution.difference, exact && exact.difference, 'absolute');
+  },
+  visualize: (ctx, problem, result) => visualizeSubsetSum(ctx, problem, result)
+});
+
+ProblemRegistry.register({
+  type: 'vertex-cover',
+  label: 'Vertex Cover',
+  complexity: 'O(2^n)',
+  families: {
+    'erdos-renyi': (size, seed) => ProblemGenerator.generateVertexCover(size, 0.3, seed)
+  },
+  solvers: {
+    projection: (problem, { solver, projections }) => solver._solveVertexCover(projections, problem),
+    greedy: (problem, { solver }) => solver._greedyVertexCover(problem),
+    exact: (problem, { deadline }) => ExactSolver.solveVertexCover(problem, deadline)
+  },
+  check: (problem, answer) => CertificateChecker.checkVertexCover(problem, answer),
+  objective: {
+    name: 'coverSize',
+    sense: 'min',
+    value: (problem, solution) =>
+      CertificateChecker.checkVertexCover(problem, solution).valid ? solution.coverSize : null
+  },
+  optimality(problem, solution, { deadline }) {
+    const exact = ExactSolver.solveVertexCover(problem, deadline);
+    return NPSolver.optimalityReport('coverSize', solution.coverSize, exact && exact.coverSize, 'relative');
+  },
+  visualize: (ctx, problem, result) => visualizeVertexCover(ctx, problem, result)
+});
+
+ProblemRegistry.register({
+  type: 'knapsack',
+  label: '0/1 Knapsack',
+  complexity: 'O(2^n)',
+  families: {
+    'uncorrelated': (size, seed) => ProblemGenerator.generateKnapsack(size, 'uncorrelated', seed),
+    'weakly-correlated': (size, seed) => ProblemGenerator.generateKnapsack(size, 'weakly-correlated', seed),
+    'strongly-correlated': (size, seed) => ProblemGenerator.generateKnapsack(size, 'strongly-correlated', seed)
+  },
+  solvers: {
+    projection: (problem, { solver, projections }) => solver._solveKnapsack(projections, problem),
+    greedy: (problem, { solver }) => solver._greedyKnapsack(problem),
+    exact: problem => ExactSolver.solveKnapsack(problem)
+  },
+  check: (problem, answer) => CertificateChecker.checkKnapsack(problem, answer),
+  objective: {
+    name: 'value',
+    sense: 'max',
+    value: (problem, solution) => CertificateChecker.checkKnapsack(problem, solution).valid ? solution.value : null
+  },
+  optimality(problem, solution) {
+    const exact = ExactSolver.solveKnapsack(problem);
+    return NPSolver.optimalityReport('value', solution.value, exact && exact.value, 'relative', 'max');
+  },
+  visualize: (ctx, problem, result) => visualizeKnapsack(ctx, problem, result)
+});
+
+ProblemRegistry.register({
+  type: 'hamiltonian-cycle',
+  label: 'Hamiltonian Cycle',
+  complexity: 'O(n!)',
+  families: {
+    'planted': (size, seed) => ProblemGenerator.generateHamiltonianCycle(size, undefined, seed)
+  },
+  solvers: {
+    projection: (problem, { solver, projections }) => solver._solveHamiltonianCycle(projections, problem),
+    greedy: (problem, context) => context.solver._greedyHamiltonianCycle(problem,
+      context.solver._searchSettings({}, context, 'maxSteps', 'posa')),
+    exact(problem, context) {
+      const { solver } = context;
+      const exact = ExactSolver.solveHamiltonianCycle(problem, context.deadline);
+      // Without a cycle, report the heuristic's best attempt alongside the proof there is none
+      return exact && {
+        ...(exact.hamiltonian
+          ? solver._hamiltonianResult(SparseGraph.from(problem.graph), exact.cycle)
+          : solver._greedyHamiltonianCycle(problem, solver._searchSettings({}, context, 'maxSteps', 'posa'))),
+        exists: exact.hamiltonian
+      };
+    }
+  },
+  check: (problem, answer) => CertificateChecker.checkHamiltonianCycle(problem, answer),
+  objective: {
+    name: 'missingEdges',
+    sense: 'min',
+    value: (problem, solution) => solution.missingEdges
+  },
+  optimality(problem, solution, { deadline }) {
+    // Like SAT: the optimum is 0 missing edges exactly when a Hamiltonian cycle exists
+    const exact = solution.hamiltonian ? { hamiltonian: true } : ExactSolver.solveHamiltonianCycle(problem, deadline);
+    const report = NPSolver.optimalityReport('missingEdges', solution.missingEdges,
+      exact && exact.hamiltonian ? 0 : null, 'absolute');
+    report.hamiltonian = exact ? exact.hamiltonian : null;
+    return report;
+  },
+  visualize: (ctx, problem, result) => visualizeHamiltonianCycle(ctx, problem, result)
+});
+
+ProblemRegistry.register({
+  type: 'max-clique',
+  label: 'Maximum Clique',
+  complexity: 'O(2^n)',
+  families: {
+    'planted': (size, seed) => ProblemGenerator.generateMaxClique(size, undefined, 0.5, seed)
+  },
+  solvers: {
+    projection: (problem, { solver, projections }) => solver._solveMaxClique(projections, problem),
+    greedy: (problem, { solver }) => solver._greedyMaxClique(problem),
+    exact: (problem, { deadline }) => ExactSolver.solveMaxClique(problem, deadline)
+  },
+  check: (problem, answer) => CertificateChecker.checkMaxClique(problem, answer),
+  objective: {
+    name: 'cliqueSize',
+    sense: 'max',
+    value: (problem, solution) =>
+      CertificateChecker.checkMaxClique(problem, solution).valid ? solution.cliqueSize : null
+  },
+  optimality(problem, solution, { deadline }) {
+    const exact = ExactSolver.solveMaxClique(problem, deadline);
+    return NPSolver.optimalityReport('cliqueSize', solution.cliqueSize, exact && exact.cliqueSize, 'relative', 'max');
+  },
+  visualize: (ctx, problem, result) => visualizeMaxClique(ctx, problem, result)
+});
@@ -1,20 +1,60 @@
 /**
  * NP-Complete Problem Definitions
+ *
+ * All generators take an optional seed and record it on the returned problem,
+ * so any instance can be regenerated exactly. Every instance also carries
+ * `metadata` with its `family` and whatever is known about it by
+ * construction, such as a planted solution, a chromatic number or an optimal
+ * tour length. Solvers never read the metadata.
  */
 
+// Load sibling modules under Node; in the browser they are included as scripts
+if (typeof module !== 'undefined') {
+  Object.assign(globalThis, require('./random'), require('./registry'), require('./graph'));
+}
+
 class ProblemGenerator {
+  /**
+   * Instance families per registered problem type; the first one is the default
+   */
+  static get FAMILIES() {
+    return Object.fromEntries(ProblemRegistry.types().map(type =>
+      [type, Object.keys(ProblemRegistry.get(type).families)]));
+  }
+
+  /**
+   * Generate an instance of a family with parameters scaled to the size
+   * @param {string} type - Problem type
+   * @param {string} family - One of ProblemGenerator.FAMILIES[type] (defaults to the first)
+   * @param {number} size - Cities, nodes, variables, integers or items
+   * @param {number|string} [seed] - Random seed
+   * @returns {Object} Problem instance
+   */
+  static generate(type, family, size, seed) {
+    const generators = ProblemRegistry.get(type).families;
+    const families = Object.keys(generators);
+    const chosen = family || families[0];
+    if (!families.includes(chosen)) {
+      throw new Error(`Unknown ${type} family "${chosen}", expected one of ${families.join(', ')}`);
+    }
+
+    return generators[chosen](size, seed);
+  }
+
   /**
    * Generate a Traveling Salesman Problem instance
    * @param {number} size - Number of cities
+   * @param {number|string} [seed] - Random seed
    * @returns {Object} TSP problem instance
    */
-  static generateTSP(size) {
+  static generateTSP(size, seed) {
+    const rng = new SeededRandom(seed);
     const cities = [];
     
     // Generate cities in a circle with some randomness
     for (let i = 0; i < size; i++) {
       const angle = (i / size) * 2 * Math.PI;
-      const radius = 100 + Math.random() * 20;
+      const radius = 100 + rng.next() * 20;
       cities.push({
         x: Math.cos(angle) * radius,
         y: Math.sin(angle) * radius
@@ -26,29 +66,141 @@ class ProblemGenerator {
       name: `Traveling Salesman Problem (${size} cities)`,
       size,
       cities,
-      dimensions: 11
+      seed: rng.seed,
+      dimensions: 11,
+      metadata: { family: 'circle' }
     };
   }
   
   /**
-   * Generate a Graph Coloring Problem instance
-   * @param {number} size - Number of nodes
-   * @param {number} density - Edge density (0-1)
-   * @returns {Object} Graph coloring problem instance
+   * Generate a TSP instance with cities uniform in a square
+   * @param {number} size - Number of cities
+   * @param {number|string} [seed] - Random seed
+   * @returns {Object} TSP problem instance; metadata holds the Beardwood-Halton-Hammersley
+   *   estimate of the optimal tour length
    */
-  static generateGraphColoring(size, density = 0.3) {
-    // Initialize empty graph
-    const graph = Array(size).fill().map(() => Array(size).fill(0));
-    
-    // Add edges with given density
+  static generateUniformTSP(size, seed) {
+    const rng = new SeededRandom(seed);
+    const side = 240;
+    const cities = [];
+
     for (let i = 0; i < size; i++) {
-      for (let j = i + 1; j < size; j++) {
-        if (Math.random() < density) {
-          graph[i][j] = 1;
-          graph[j][i] = 1;
-        }
+      cities.push({ x: (rng.next() - 0.5) * side, y: (rng.next() - 0.5) * side });
+    }
+
+    return {
+      type: 'tsp',
+      name: `Uniform TSP (${size} cities)`,
+      size,
+      cities,
+      seed: rng.seed,
+      dimensions: 11,
+      metadata: {
+        family: 'uniform',
+        side,
+        optimalEstimate: 0.7124 * Math.sqrt(size * side * side)
       }
+    };
+  }
+
+  /**
+   * Generate a TSP instance with cities in Gaussian clusters
+   * @param {number} size - Number of cities
+   * @param {number} [clusters] - Number of clusters (default about sqrt(size) / 2)
+   * @param {number|string} [seed] - Random seed
+   * @returns {Object} TSP problem instance; metadata holds the cluster centres and each city's cluster
+   */
+  static generateClusteredTSP(size, clusters = Math.max(2, Math.round(Math.sqrt(size) / 2)), seed) {
+    const rng = new SeededRandom(seed);
+    const side = 240;
+    const spread = side / (4 * Math.sqrt(clusters));
+    const centers = [];
+    for (let c = 0; c < clusters; c++) {
+      centers.push({ x: (rng.next() - 0.5) * side, y: (rng.next() - 0.5) * side });
     }
+
+    const cities = [];
+    const cluster = [];
+    for (let i = 0; i < size; i++) {
+      const c = rng.nextInt(clusters);
+      cluster.push(c);
+      cities.push({
+        x: centers[c].x + rng.nextGaussian() * spread,
+        y: centers[c].y + rng.nextGaussian() * spread
+      });
+    }
+
+    return {
+      type: 'tsp',
+      name: `Clustered TSP (${size} cities, ${clusters} clusters)`,
+      size,
+      cities,
+      seed: rng.seed,
+      dimensions: 11,
+      metadata: { family: 'clustered', clusters, spread, centers, cluster }
+    };
+  }
+
+  /**
+   * Generate a TSP instance on a square grid, filled row by row
+   * @param {number} size - Number of cities
+   * @param {number|string} [seed] - Random seed; only the city order is random
+   * @returns {Object} TSP problem instance; metadata holds the optimal tour length when the
+   *   grid is a full rectangle, and the lower bound size * spacing otherwise
+   */
+  static generateGridTSP(size, seed) {
+    const rng = new SeededRandom(seed);
+    const spacing = 20;
+    const columns = Math.ceil(Math.sqrt(size));
+    const rows = Math.ceil(size / columns);
+
+    // Shuffle the city order so the grid is not already a tour
+    const cells = rng.shuffle(Array.from({ length: size }, (_, i) => i));
+    const cities = cells.map(cell => ({
+      x: (cell % columns - (columns - 1) / 2) * spacing,
+      y: (Math.floor(cell / columns) - (rows - 1) / 2) * spacing
+    }));
+
+    // Every edge is at least one spacing long; a full grid with an even side
+    // has a tour using only such edges, an odd one needs a single diagonal
+    let optimalDistance = null;
+    if (size === 2 || size === 3) {
+      optimalDistance = size === 2 ? 2 * spacing : (2 + Math.SQRT2) * spacing;
+    } else if (rows * columns === size && rows > 1) {
+      optimalDistance = rows % 2 === 0 || columns % 2 === 0
+        ? size * spacing
+        : (size - 1 + Math.SQRT2) * spacing;
+    }
+
+    return {
+      type: 'tsp',
+      name: `Grid TSP (${size} cities)`,
+      size,
+      cities,
+      seed: rng.seed,
+      dimensions: 11,
+      metadata: {
+        family: 'grid',
+        rows,
+        columns,
+        spacing,
+        optimalDistance,
+        lowerBound: size > 1 ? size * spacing : 0
+      }
+    };
+  }
+
+  /**
+   * Generate a Graph Coloring Problem instance
+   * @param {number} size - Number of nodes
+   * @param {number} density - Edge density (0-1)
+   * @param {number|string} [seed] - Random seed
+   * @returns {Object} Graph coloring problem instance, with `graph` in CSR form (see SparseGraph)
+   */
+  static generateGraphColoring(size, density = 0.3, seed) {
+    const rng = new SeededRandom(seed);
+    const edges = ProblemGenerator._randomEdges(rng, size, density);
+    const graph = SparseGraph.toJSON(SparseGraph.fromEdges(size, edges));
     
     // Estimate maximum colors needed (upper bound)
     const maxColors = Math.min(size, Math.ceil(size * density * 2));
@@ -59,61 +211,418 @@ class ProblemGenerator {
       size,
       graph,
       maxColors,
-      dimensions: 11
+      seed: rng.seed,
+      dimensions: 11,
+      metadata: { family: 'erdos-renyi', density }
     };
   }
   
   /**
-   * Generate a Boolean Satisfiability (SAT) Problem instance
+   * Generate a graph with a planted k-coloring and a planted k-clique
+   * @param {number} size - Number of nodes
+   * @param {number} [k] - Planted colour count (default about size / 10, at least 3)
+   * @param {number} density - Probability of an edge between nodes of different colours
+   * @param {number|string} [seed] - Random seed
+   * @returns {Object} Graph coloring problem instance; metadata holds the planted coloring and
+   *   the chromatic number, which is exactly k because the clique forces k colours
+   */
+  static generatePlantedColoring(size, k = Math.min(size, Math.max(3, Math.round(size / 10))), density = 0.5, seed) {
+    const rng = new SeededRandom(seed);
+
+    // Balanced colour classes, dealt out over a shuffled vertex order
+    const order = rng.shuffle(Array.from({ length: size }, (_, i) => i));
+    const coloring = Array(size);
+    order.forEach((vertex, i) => {
+      coloring[vertex] = i % k;
+    });
+
+    const edges = [];
+    for (let i = 0; i < size; i++) {
+      for (let j = i + 1; j < size; j++) {
+        if (coloring[i] !== coloring[j] && rng.next() < density) edges.push([i, j]);
+      }
+    }
+    // The first k shuffled vertices have distinct colours; join them into a clique
+    const clique = order.slice(0, k);
+    for (let a = 0; a < clique.length; a++) {
+      for (let b = a + 1; b < clique.length; b++) edges.push([clique[a], clique[b]]);
+    }
+
+    return ProblemGenerator._coloringProblem(`Planted ${k}-Colorable Graph (${size} nodes)`, size, edges, rng, {
+      family: 'planted',
+      density,
+      plantedColoring: coloring,
+      clique,
+      chromaticNumber: Math.min(k, size)
+    });
+  }
+
+  /**
+   * Generate a random geometric graph: nodes in the unit square, joined when close
+   * @param {number} size - Number of nodes
+   * @param {number} [radius] - Connection distance (default gives an expected degree of 0.3 * size)
+   * @param {number|string} [seed] - Random seed
+   * @returns {Object} Graph coloring problem instance; metadata holds the node positions
+   */
+  static generateGeometricGraph(size, radius = Math.sqrt(0.3 / Math.PI), seed) {
+    const rng = new SeededRandom(seed);
+    const points = Array.from({ length: size }, () => ({ x: rng.next(), y: rng.next() }));
+
+    // Bucket the points into radius-sized cells so only neighbouring cells are compared
+    const cells = new Map();
+    const cellOf = point => [Math.floor(point.x / radius), Math.floor(point.y / radius)];
+    points.forEach((point, i) => {
+      const key = cellOf(point).join(',');
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(i);
+    });
+
+    const edges = [];
+    points.forEach((point, i) => {
+      const [cx, cy] = cellOf(point);
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          for (const j of cells.get(`${cx + dx},${cy + dy}`) || []) {
+            if (j > i && Math.hypot(point.x - points[j].x, point.y - points[j].y) <= radius) {
+              edges.push([i, j]);
+            }
+          }
+        }
+      }
+    });
+
+    return ProblemGenerator._coloringProblem(`Geometric Graph (${size} nodes)`, size, edges, rng, {
+      family: 'geometric',
+      radius,
+      points
+    });
+  }
+
+  /**
+   * Generate a flat k-partite graph (after Culberson): every node has the same number of
+   * neighbours in each other colour class, which leaves degree-based heuristics no foothold
+   * @param {number} size - Number of nodes
+   * @param {number} [k] - Planted colour count (default about size / 10, at least 3)
+   * @param {number} density - Fraction of each other class a node is joined to
+   * @param {number|string} [seed] - Random seed
+   * @returns {Object} Graph coloring problem instance; metadata holds the planted coloring
+   */
+  static generateFlatGraph(size, k = Math.min(size, Math.max(3, Math.round(size / 10))), density = 0.5, seed) {
+    const rng = new SeededRandom(seed);
+    const order = rng.shuffle(Array.from({ length: size }, (_, i) => i));
+    const classes = Array.from({ length: k }, () => []);
+    order.forEach((vertex, i) => classes[i % k].push(vertex));
+
+    const coloring = Array(size);
+    classes.forEach((members, color) => members.forEach(vertex => {
+      coloring[vertex] = color;
+    }));
+
+    // Between two classes, node a of the first joins `degree` consecutive
+    // nodes of the shuffled second class, starting at its own position
+    const edges = [];
+    for (let a = 0; a < k; a++) {
+      for (let b = a + 1; b < k; b++) {
+        const from = classes[a];
+        const to = rng.shuffle([...classes[b]]);
+        const degree = Math.round(density * to.length);
+        from.forEach((vertex, i) => {
+          for (let t = 0; t < degree; t++) edges.push([vertex, to[(i + t) % to.length]]);
+        });
+      }
+    }
+
+    return ProblemGenerator._coloringProblem(`Flat ${k}-Colorable Graph (${size} nodes)`, size, edges, rng, {
+      family: 'flat',
+      density,
+      plantedColoring: coloring,
+      chromaticUpperBound: Math.min(k, size)
+    });
+  }
+
+  /**
+   * Generate a Boolean Satisfiability (SAT) Problem instance: random 3-SAT with three
+   * distinct variables per clause, so no clause is a tautology or repeats a literal
    * @param {number} variables - Number of variables
    * @param {number} clauses - Number of clauses
+   * @param {number|string} [seed] - Random seed
    * @returns {Object} SAT problem instance
    */
-  static generateSAT(variables, clauses) {
+  static generateSAT(variables, clauses, seed) {
+    ProblemGenerator._checkClauseSize(variables, 3);
+    const rng = new SeededRandom(seed);
+    const pool = Array.from({ length: variables }, (_, v) => v + 1);
     const clauseList = [];
     
-    // Generate random clauses
+    // Generate random clauses over three distinct variables
     for (let i = 0; i < clauses; i++) {
-      const clause = [];
-      const clauseSize = 3; // 3-SAT
-      
-      // Generate literals for this clause
-      for (let j = 0; j < clauseSize; j++) {
-        const variable = Math.floor(Math.random() * variables) + 1;
-        const isNegated = Math.random() < 0.5;
-        clause.push(isNegated ? -variable : variable);
+      clauseList.push(ProblemGenerator._randomClause(rng, pool, 3));
+    }
+    
+    return ProblemGenerator._satProblem(`3-SAT Problem (${variables} variables, ${clauses} clauses)`,
+      variables, clauseList, rng, { family: 'uniform', k: 3, ratio: clauses / variables });
+  }
+  
+  /**
+   * Generate uniform random k-SAT with k distinct variables per clause
+   * @param {number} variables - Number of variables
+   * @param {number} clauses - Number of clauses (ignored when options.ratio is given)
+   * @param {number} k - Literals per clause
+   * @param {number|string} [seed] - Random seed
+   * @param {Object} [options] - Generation options
+   * @param {number} [options.ratio] - Clause/variable ratio; the clause count is rounded from it
+   * @param {boolean} [options.unique] - Redraw any clause that repeats an earlier one (default false)
+   * @returns {Object} SAT problem instance; metadata holds the clause/variable ratio, the ratio
+   *   of the satisfiability threshold for k up to 7 and the instance statistics
+   * @throws {RangeError} On an invalid clause size or count, or more unique clauses than exist
+   */
+  static generateKSAT(variables, clauses, k = 3, seed, options = {}) {
+    ProblemGenerator._checkClauseSize(variables, k);
+    const { ratio, unique = false } = options;
+    const count = ratio !== undefined ? Math.round(ratio * variables) : clauses;
+    if (!Number.isInteger(count) || count < 0) {
+      throw new RangeError(`Clause count must be a non-negative integer, got ${count}`);
+    }
+
+    // There are C(variables, k) * 2^k distinct clauses
+    let distinct = 2 ** k;
+    for (let i = 0; i < k; i++) distinct = distinct * (variables - i) / (i + 1);
+    if (unique && count > Math.round(distinct)) {
+      throw new RangeError(`Only ${Math.round(distinct)} distinct ${k}-clauses exist over ${variables} variables, asked for ${count}`);
+    }
+
+    const rng = new SeededRandom(seed);
+    const pool = Array.from({ length: variables }, (_, v) => v + 1);
+    const clauseList = [];
+    const seen = new Set();
+    let duplicates = 0;
+
+    while (clauseList.length < count) {
+      const clause = ProblemGenerator._randomClause(rng, pool, k);
+      if (unique) {
+        const key = ProblemGenerator._clauseKey(clause);
+        if (seen.has(key)) {
+          duplicates++;
+          continue;
+        }
+        seen.add(key);
       }
-      
       clauseList.push(clause);
     }
-    
+
+    const problem = ProblemGenerator._satProblem(`${k}-SAT Problem (${variables} variables, ${count} clauses)`,
+      variables, clauseList, rng, {
+        family: 'k-sat',
+        k,
+        ratio: count / variables,
+        thresholdRatio: ProblemGenerator._satThreshold(k),
+        unique
+      });
+    problem.metadata.stats.removed = { tautologies: 0, repeatedLiterals: 0, duplicates };
+    return problem;
+  }
+
+  /**
+   * Statistics of a SAT instance's clauses
+   * @param {Object} problem - SAT problem instance
+   * @returns {Object} `{clauses, ratio, tautologies, repeatedLiterals, duplicateClauses, occurrences}`,
+   *   where `occurrences` is `{min, max, mean, histogram}` over the number of clauses each
+   *   variable appears in and `histogram[c]` counts the variables that appear in c clauses
+   */
+  static satStatistics(problem) {
+    const counts = new Array(problem.variables).fill(0);
+    const seen = new Set();
+    let tautologies = 0;
+    let repeatedLiterals = 0;
+    let duplicateClauses = 0;
+
+    for (const clause of problem.clauses) {
+      const literals = new Set(clause);
+      repeatedLiterals += clause.length - literals.size;
+      if ([...literals].some(literal => literals.has(-literal))) tautologies++;
+
+      const key = ProblemGenerator._clauseKey(clause);
+      if (seen.has(key)) duplicateClauses++;
+      else seen.add(key);
+
+      for (const variable of new Set(clause.map(Math.abs))) counts[variable - 1]++;
+    }
+
+    // One pass rather than Math.min(...counts), which overflows the stack on large instances
+    const histogram = [];
+    let min = counts.length > 0 ? Infinity : 0;
+    let max = 0;
+    let total = 0;
+    for (const count of counts) {
+      histogram[count] = (histogram[count] || 0) + 1;
+      if (count < min) min = count;
+      if (count > max) max = count;
+      total += count;
+    }
+
     return {
-      type: 'sat',
-      name: `3-SAT Problem (${variables} variables, ${clauses} clauses)`,
-      size: variables,
-      variables,
-      clauses: clauseList,
-      dimensions: 11
+      clauses: problem.clauses.length,
+      ratio: problem.variables > 0 ? problem.clauses.length / problem.variables : 0,
+      tautologies,
+      repeatedLiterals,
+      duplicateClauses,
+      occurrences: {
+        min,
+        max,
+        mean: counts.length > 0 ? total / counts.length : 0,
+        histogram: Array.from(histogram, value => value || 0)
+      }
     };
   }
-  
+
+  /**
+   * Copy of a SAT instance without tautologies, repeated literals and, optionally, repeated
+   * clauses; none of these removals changes satisfiability
+   * @param {Object} problem - SAT problem instance, for example one loaded from DIMACS
+   * @param {Object} [options] - Cleaning options
+   * @param {boolean} [options.unique] - Also drop clauses that repeat an earlier one (default true)
+   * @returns {Object} SAT problem instance; `metadata.stats` holds the statistics of the result
+   *   and `metadata.stats.removed` counts what was removed
+   */
+  static cleanSAT(problem, options = {}) {
+    const { unique = true } = options;
+    const seen = new Set();
+    const removed = { tautologies: 0, repeatedLiterals: 0, duplicates: 0 };
+    const clauses = [];
+
+    for (const clause of problem.clauses) {
+      const literals = [...new Set(clause)];
+      removed.repeatedLiterals += clause.length - literals.length;
+      if (literals.some(literal => literals.includes(-literal))) {
+        removed.tautologies++;
+        continue;
+      }
+      if (unique) {
+        const key = ProblemGenerator._clauseKey(literals);
+        if (seen.has(key)) {
+          removed.duplicates++;
+          continue;
+        }
+        seen.add(key);
+      }
+      clauses.push(literals);
+    }
+
+    const cleaned = { ...problem, clauses };
+    cleaned.metadata = { ...problem.metadata, stats: { ...ProblemGenerator.satStatistics(cleaned), removed } };
+    return cleaned;
+  }
+
+  /**
+   * Generate k-SAT with a planted satisfying assignment: clauses it falsifies are redrawn
+   * @param {number} variables - Number of variables
+   * @param {number} clauses - Number of clauses
+   * @param {number} k - Literals per clause
+   * @param {number|string} [seed] - Random seed
+   * @returns {Object} SAT problem instance; metadata holds the planted assignment
+   */
+  static generatePlantedSAT(variables, clauses, k = 3, seed) {
+    ProblemGenerator._checkClauseSize(variables, k);
+    const rng = new SeededRandom(seed);
+    const assignment = Array.from({ length: variables }, () => rng.next() < 0.5);
+    const pool = Array.from({ length: variables }, (_, v) => v + 1);
+    const clauseList = [];
+
+    while (clauseList.length < clauses) {
+      const clause = ProblemGenerator._randomClause(rng, pool, k);
+      if (clause.some(literal => assignment[Math.abs(literal) - 1] === literal > 0)) {
+        clauseList.push(clause);
+      }
+    }
+
+    return ProblemGenerator._satProblem(`Planted ${k}-SAT Problem (${variables} variables, ${clauses} clauses)`,
+      variables, clauseList, rng, {
+        family: 'planted',
+        k,
+        ratio: clauses / variables,
+        satisfiable: true,
+        plantedAssignment: assignment
+      });
+  }
+
+  /**
+   * Generate community-structured k-SAT (after Giraldez-Cru and Levy): variables are split into
+   * communities, and a clause draws all its variables from one community with probability p,
+   * otherwise one variable from each of k different communities
+   * @param {number} variables - Number of variables
+   * @param {number} clauses - Number of clauses
+   * @param {number} [communities] - Number of communities (default about sqrt(variables))
+   * @param {number} p - Probability of a clause inside one community
+   * @param {number} k - Literals per clause
+   * @param {number|string} [seed] - Random seed
+   * @returns {Object} SAT problem instance; metadata holds each variable's community and the
+   *   expected modularity p - 1 / communities
+   */
+  static generateCommunitySAT(variables, clauses,
+    communities = Math.max(3, Math.min(Math.floor(variables / 3), Math.round(Math.sqrt(variables)))),
+    p = 0.8, k = 3, seed) {
+    if (communities < k || variables < communities * k) {
+      throw new RangeError(`Need at least ${k} communities of at least ${k} variables, got ${communities} over ${variables} variables`);
+    }
+    const rng = new SeededRandom(seed);
+
+    const order = rng.shuffle(Array.from({ length: variables }, (_, v) => v + 1));
+    const members = Array.from({ length: communities }, () => []);
+    const community = Array(variables);
+    order.forEach((variable, i) => {
+      members[i % communities].push(variable);
+      community[variable - 1] = i % communities;
+    });
+
+    const all = Array.from({ length: communities }, (_, c) => c);
+    const clauseList = [];
+    for (let i = 0; i < clauses; i++) {
+      if (rng.next() < p) {
+        clauseList.push(ProblemGenerator._randomClause(rng, members[rng.nextInt(communities)], k));
+      } else {
+        // Draw k distinct communities as signed "literals", then a variable from each
+        const picked = ProblemGenerator._randomClause(rng, all.map(c => c + 1), k);
+        clauseList.push(picked.map(literal => {
+          const group = members[Math.abs(literal) - 1];
+          const variable = group[rng.nextInt(group.length)];
+          return literal > 0 ? variable : -variable;
+        }));
+      }
+    }
+
+    return ProblemGenerator._satProblem(`Community ${k}-SAT Problem (${variables} variables, ${communities} communities)`,
+      variables, clauseList, rng, {
+        family: 'community',
+        k,
+        ratio: clauses / variables,
+        communities,
+        p,
+        expectedModularity: p - 1 / communities,
+        community
+      });
+  }
+
   /**
    * Generate a Subset Sum Problem instance
    * @param {number} size - Number of integers in the set
-   * @returns {Object} Subset sum problem instance
+   * @param {number|string} [seed] - Random seed
+   * @returns {Object} Subset sum problem instance; metadata holds the subset the target was summed from
    */
-  static generateSubsetSum(size) {
+  static generateSubsetSum(size, seed) {
+    const rng = new SeededRandom(seed);
     const numbers = [];
+    const plantedSubset = [];
     let sum = 0;
     
     // Generate random positive integers
     for (let i = 0; i < size; i++) {
-      const num = Math.floor(Math.random() * 1000) + 1;
+      const num = rng.nextInt(1000) + 1;
       numbers.push(num);
       
       // Include in sum with 50% probability
-      if (Math.random() < 0.5) {
+      if (rng.next() < 0.5) {
         sum += num;
+        plantedSubset.push(i);
       }
     }
     
@@ -123,8 +632,296 @@ class ProblemGenerator {
       size,
       numbers,
       target: sum,
-      dimensions: 11
+      seed: rng.seed,
+      dimensions: 11,
+      metadata: { family: 'random', plantedSubset }
+    };
+  }
+
+  /**
+   * Generate a low-density subset sum instance: numbers of about size / density bits, far
+   * beyond the reach of dynamic programming over sums
+   * @param {number} size - Number of integers in the set
+   * @param {number} density - size / log2(largest number); lower means larger numbers
+   * @param {number|string} [seed] - Random seed
+   * @returns {Object} Subset sum problem instance; metadata holds the planted subset, the bit
+   *   length and the actual density (bits are capped so every subset sum stays exact)
+   */
+  static generateLowDensitySubsetSum(size, density = 0.5, seed) {
+    const rng = new SeededRandom(seed);
+    // Keep every subset sum below 2^53 so sums stay exact
+    const bits = Math.max(1, Math.min(53 - Math.ceil(Math.log2(size + 1)), Math.ceil(size / density)));
+    const numbers = [];
+
+    for (let i = 0; i < size; i++) {
+      // Two 26-bit draws make one uniform 52-bit integer, cut down to `bits`
+      const wide = Math.floor(rng.next() * 2 ** 26) * 2 ** 26 + Math.floor(rng.next() * 2 ** 26);
+      numbers.push(Math.max(1, Math.floor(wide / 2 ** (52 - bits))));
+    }
+
+    // Plant a subset of half the numbers
+    const plantedSubset = rng.shuffle(Array.from({ length: size }, (_, i) => i))
+      .slice(0, Math.floor(size / 2))
+      .sort((a, b) => a - b);
+    const target = plantedSubset.reduce((sum, i) => sum + numbers[i], 0);
+    const largest = Math.max(...numbers);
+
+    return {
+      type: 'subset-sum',
+      name: `Low-Density Subset Sum Problem (${size} integers, ${bits} bits)`,
+      size,
+      numbers,
+      target,
+      seed: rng.seed,
+      dimensions: 11,
+      metadata: {
+        family: 'low-density',
+        bits,
+        density: size / Math.log2(largest + 1),
+        plantedSubset
+      }
+    };
+  }
+
+  /**
+   * Generate a Vertex Cover instance on a random graph
+   * @param {number} size - Number of nodes
+   * @param {number} density - Edge density (0-1)
+   * @param {number|string} [seed] - Random seed
+   * @returns {Object} Vertex cover problem instance, with `graph` in CSR form
+   */
+  static generateVertexCover(size, density = 0.3, seed) {
+    const rng = new SeededRandom(seed);
+    const edges = ProblemGenerator._randomEdges(rng, size, density);
+
+    return ProblemGenerator._graphProblem('vertex-cover', `Vertex Cover Problem (${size} nodes)`, size, edges, rng, {
+      family: 'erdos-renyi',
+      density
+    });
+  }
+
+  /**
+   * Generate a 0/1 knapsack instance in one of Pisinger's correlation classes: weights are
+   * uniform in 1..1000 and values are independent of them (uncorrelated), within 100 of them
+   * (weakly correlated) or exactly 100 more (strongly correlated, the hardest class)
+   * @param {number} size - Number of items
+   * @param {string} correlation - 'uncorrelated', 'weakly-correlated' or 'strongly-correlated'
+   * @param {number|string} [seed] - Random seed
+   * @returns {Object} Knapsack problem instance with `weights`, `values` and a `capacity` of
+   *   half the total weight
+   */
+  static generateKnapsack(size, correlation = 'uncorrelated', seed) {
+    const range = 1000;
+    const spread = range / 10;
+    const rng = new SeededRandom(seed);
+    const weights = [];
+    const values = [];
+
+    for (let i = 0; i < size; i++) {
+      const weight = rng.nextInt(range) + 1;
+      weights.push(weight);
+      switch (correlation) {
+        case 'uncorrelated':
+          values.push(rng.nextInt(range) + 1);
+          break;
+        case 'weakly-correlated':
+          values.push(Math.max(1, weight - spread + rng.nextInt(2 * spread + 1)));
+          break;
+        case 'strongly-correlated':
+          values.push(weight + spread);
+          break;
+        default:
+          throw new RangeError(`Unknown knapsack correlation "${correlation}"`);
+      }
+    }
+
+    return {
+      type: 'knapsack',
+      name: `Knapsack Problem (${size} items)`,
+      size,
+      weights,
+      values,
+      capacity: Math.floor(weights.reduce((sum, weight) => sum + weight, 0) / 2),
+      seed: rng.seed,
+      dimensions: 11,
+      metadata: { family: correlation }
+    };
+  }
+
+  /**
+   * Generate a Hamiltonian Cycle instance: a random graph with a planted cycle through all nodes
+   * @param {number} size - Number of nodes (at least 3)
+   * @param {number} [density] - Probability of each further edge (default ln(size) / size)
+   * @param {number|string} [seed] - Random seed
+   * @returns {Object} Hamiltonian cycle problem instance, with `graph` in CSR form; metadata
+   *   holds the planted cycle
+   */
+  static generateHamiltonianCycle(size, density = Math.min(1, Math.log(size) / size), seed) {
+    if (size < 3) {
+      throw new RangeError(`A Hamiltonian cycle needs at least 3 nodes, got ${size}`);
+    }
+    const rng = new SeededRandom(seed);
+    const cycle = rng.shuffle(Array.from({ length: size }, (_, i) => i));
+    const edges = ProblemGenerator._randomEdges(rng, size, density);
+    cycle.forEach((vertex, i) => edges.push([vertex, cycle[(i + 1) % size]]));
+
+    return ProblemGenerator._graphProblem('hamiltonian-cycle', `Hamiltonian Cycle Problem (${size} nodes)`, size, edges, rng, {
+      family: 'planted',
+      density,
+      hamiltonian: true,
+      plantedCycle: cycle
+    });
+  }
+
+  /**
+   * Generate a Maximum Clique instance: a random graph with a planted clique
+   * @param {number} size - Number of nodes
+   * @param {number} [k] - Planted clique size (default about 2 log2(size), above the
+   *   clique number a random graph of density 0.5 has on its own)
+   * @param {number} density - Edge density outside the clique (0-1)
+   * @param {number|string} [seed] - Random seed
+   * @returns {Object} Maximum clique problem instance, with `graph` in CSR form; metadata
+   *   holds the planted clique, whose size is a lower bound on the maximum
+   */
+  static generateMaxClique(size, k = Math.min(size, Math.max(3, Math.round(2 * Math.log2(size)))), density = 0.5, seed) {
+    const rng = new SeededRandom(seed);
+    const edges = ProblemGenerator._randomEdges(rng, size, density);
+    const clique = rng.shuffle(Array.from({ length: size }, (_, i) => i))
+      .slice(0, k)
+      .sort((a, b) => a - b);
+    for (let a = 0; a < clique.length; a++) {
+      for (let b = a + 1; b < clique.length; b++) edges.push([clique[a], clique[b]]);
+    }
+
+    return ProblemGenerator._graphProblem('max-clique', `Maximum Clique Problem (${size} nodes)`, size, edges, rng, {
+      family: 'planted',
+      density,
+      plantedClique: clique,
+      cliqueLowerBound: clique.length
+    });
+  }
+
+  /**
+   * Graph coloring problem from an edge list; maxColors is the max-degree + 1 bound
+   * @private
+   */
+  static _coloringProblem(name, size, edges, rng, metadata) {
+    const csr = SparseGraph.fromEdges(size, edges);
+    let maxDegree = 0;
+    for (let v = 0; v < size; v++) {
+      maxDegree = Math.max(maxDegree, csr.offsets[v + 1] - csr.offsets[v]);
+    }
+
+    return {
+      type: 'graph-coloring',
+      name,
+      size,
+      graph: SparseGraph.toJSON(csr),
+      maxColors: Math.min(size, maxDegree + 1),
+      seed: rng.seed,
+      dimensions: 11,
+      metadata
+    };
+  }
+
+  /**
+   * Problem on a graph, with `graph` in CSR form
+   * @private
+   */
+  static _graphProblem(type, name, size, edges, rng, metadata) {
+    return {
+      type,
+      name,
+      size,
+      graph: SparseGraph.toJSON(SparseGraph.fromEdges(size, edges)),
+      seed: rng.seed,
+      dimensions: 11,
+      metadata
+    };
+  }
+
+  /**
+   * Erdos-Renyi edge list; each geometric skip (Batagelj-Brandes) jumps straight to the
+   * next edge, so generation takes time proportional to the edges rather than n^2
+   * @private
+   */
+  static _randomEdges(rng, size, density) {
+    const edges = [];
+    if (density >= 1) {
+      for (let i = 0; i < size; i++) {
+        for (let j = i + 1; j < size; j++) edges.push([i, j]);
+      }
+    } else if (density > 0) {
+      const logMiss = Math.log(1 - density);
+      let v = 1;
+      let w = -1;
+      while (v < size) {
+        w += 1 + Math.floor(Math.log(1 - rng.next()) / logMiss);
+        while (w >= v && v < size) {
+          w -= v;
+          v++;
+        }
+        if (v < size) edges.push([w, v]);
+      }
+    }
+    return edges;
+  }
+
+  /**
+   * SAT problem from a clause list, with its statistics in the metadata
+   * @private
+   */
+  static _satProblem(name, variables, clauses, rng, metadata) {
+    const problem = {
+      type: 'sat',
+      name,
+      size: variables,
+      variables,
+      clauses,
+      seed: rng.seed,
+      dimensions: 11,
+      metadata
     };
+    metadata.stats = ProblemGenerator.satStatistics(problem);
+    return problem;
+  }
+
+  /**
+   * Clause of k distinct variables from the pool, each negated with probability 1/2
+   * @private
+   */
+  static _randomClause(rng, pool, k) {
+    const picked = new Set();
+    while (picked.size < k) picked.add(pool[rng.nextInt(pool.length)]);
+    return [...picked].map(variable => (rng.next() < 0.5 ? -variable : variable));
+  }
+
+  /**
+   * Order-independent identity of a clause's literal set
+   * @private
+   */
+  static _clauseKey(clause) {
+    return [...new Set(clause)].sort((a, b) => a - b).join(' ');
+  }
+
+  /**
+   * Reject clause sizes that cannot have k distinct variables
+   * @private
+   */
+  static _checkClauseSize(variables, k) {
+    if (!Number.isInteger(k) || k < 1 || k > variables) {
+      throw new RangeError(`Clause size must be an integer between 1 and ${variables}, got ${k}`);
+    }
+  }
+
+  /**
+   * Clause/variable ratio of the random k-SAT satisfiability threshold (exact for k = 2,
+   * numerical estimates above); null when k is outside the table
+   * @private
+   */
+  static _satThreshold(k) {
+    const thresholds = { 2: 1, 3: 4.267, 4: 9.931, 5: 21.117, 6: 43.37, 7: 87.79 };
+    return thresholds[k] || null;
   }
 }
 
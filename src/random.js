@@ -0,0 +1,105 @@
+/**
+ * Seeded Pseudo-Random Number Generation
+ *
+ * Every instance generator draws from a SeededRandom so that any run can be
+ * regenerated exactly from the seed recorded on the problem object.
+ */
+
+class SeededRandom {
+  /**
+   * Create a generator
+   * @param {number|string} [seed] - Seed value; a random seed is chosen when omitted
+   */
+  constructor(seed) {
+    this.seed = seed === undefined || seed === null
+      ? SeededRandom.randomSeed()
+      : SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Pick a fresh 32-bit seed
+   * @returns {number} Unsigned 32-bit seed
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * Map a numeric or string seed onto an unsigned 32-bit integer
+   * @param {number|string} seed - Seed value
+   * @returns {number} Unsigned 32-bit seed
+   */
+  static normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+      return Math.floor(seed) >>> 0;
+    }
+
+    // FNV-1a hash for string seeds
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Derive a child seed, e.g. one per benchmark size, from a base seed
+   * @param {number|string} seed - Base seed
+   * @param {number|string} salt - Value distinguishing the child
+   * @returns {number} Unsigned 32-bit seed
+   */
+  static deriveSeed(seed, salt) {
+    return SeededRandom.normalizeSeed(`${SeededRandom.normalizeSeed(seed)}:${salt}`);
+  }
+
+  /**
+   * Next float in [0, 1) (mulberry32)
+   * @returns {number}
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * Next integer in [0, n)
+   * @param {number} n - Exclusive upper bound
+   * @returns {number}
+   */
+  nextInt(n) {
+    return Math.floor(this.next() * n);
+  }
+
+  /**
+   * Next standard normal sample (Box-Muller)
+   * @returns {number}
+   */
+  nextGaussian() {
+    const u = 1 - this.next();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * this.next());
+  }
+
+  /**
+   * Shuffle an array in place (Fisher-Yates)
+   * @param {Array} array - Array to shuffle
+   * @returns {Array} The same array
+   */
+  shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = this.nextInt(i + 1);
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+  }
+}
+
+// Export the random number generator
+if (typeof module !== 'undefined') {
+  module.exports = { SeededRandom };
+}
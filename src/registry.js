@@ -0,0 +1,151 @@
+/**
+ * Problem Type Registry
+ *
+ * Each problem type registers one definition holding everything the rest of
+ * the code needs to know about it: its instance families, solvers, certificate
+ * check, optimality measure, file formats and visualisation. The generator,
+ * solver, checker, visualiser, page and command-line runner look types up here
+ * instead of switching on `problem.type`, so a new type can ship as its own
+ * file that calls ProblemRegistry.register after this one is loaded.
+ *
+ * The built-in types are registered by src/problem-types.js; under Node it is
+ * loaded on the first lookup.
+ */
+
+// Registered definitions, keyed by type, in registration order
+const problemTypes = new Map();
+let builtinsLoaded = false;
+
+class ProblemRegistry {
+  /**
+   * Register a problem type, replacing any earlier definition of the same type
+   * @param {Object} definition - Problem type definition
+   * @param {string} definition.type - Type name, stored as `problem.type` on instances
+   * @param {string} [definition.label] - Human-readable name (defaults to the type)
+   * @param {string} [definition.complexity] - Worst-case complexity of exact search, e.g. 'O(2^n)'
+   * @param {Object<string, Function>} definition.families - Instance generators `(size, seed) => problem`
+   *   by family name; the first one is the default
+   * @param {Object<string, Function>} definition.solvers - Solvers `(problem, context) => solution` by
+   *   strategy name. The context is `{solver, strategy, options, progress, deadline, incumbent}`, where
+   *   `options` holds the validated NPSolver options, `deadline` is the `performance.now()` time the
+   *   run's time limit ends and `incumbent(value)` reports an objective value reached mid-search, plus
+   *   `projections` for 'projection'. A solver returns null when the instance is beyond its limits.
+   * @param {Function} definition.check - `(problem, answer) => report`, a CertificateChecker-style
+   *   `{valid, reasons, ...}` report recomputed from the instance
+   * @param {Function} [definition.improve] - `(problem, solution, context) => solution`, run after every
+   *   strategy except 'exact' to polish a heuristic answer
+   * @param {Object} [definition.objective] - What anytime runs track: `name`, `sense` ('min' or 'max')
+   *   and `value(problem, solution)`, the solution's objective value or null when it is infeasible
+   * @param {Function} [definition.optimality] - `(problem, solution, context) => report`, comparing the
+   *   solution with an exact optimum; see NPSolver.optimalityReport
+   * @param {Object} [definition.formats] - Native file formats: `name`, `extensions` (lower case, with
+   *   the dot), `parse(text, {name})` for instances, `parseSolution(text, problem, {proof})` and
+   *   `serializeSolution(problem, solution, {name})`; each part is optional
+   * @param {Function} [definition.visualize] - `(ctx, problem, result)`, drawing a result on a 2D canvas
+   * @returns {Object} The stored definition
+   * @throws {TypeError} When a required part is missing or not a function
+   */
+  static register(definition) {
+    ProblemRegistry._loadBuiltins();
+
+    if (!definition || typeof definition.type !== 'string' || definition.type === '') {
+      throw new TypeError('A problem type definition needs a type name');
+    }
+    const { type } = definition;
+
+    const families = definition.families || {};
+    if (Object.keys(families).length === 0) {
+      throw new TypeError(`Problem type ${type} needs at least one instance family`);
+    }
+    const solvers = definition.solvers || {};
+    if (Object.keys(solvers).length === 0) {
+      throw new TypeError(`Problem type ${type} needs at least one solver`);
+    }
+    for (const [name, fn] of [...Object.entries(families), ...Object.entries(solvers)]) {
+      if (typeof fn !== 'function') {
+        throw new TypeError(`Problem type ${type}: ${name} must be a function`);
+      }
+    }
+    if (typeof definition.check !== 'function') {
+      throw new TypeError(`Problem type ${type} needs a check function`);
+    }
+
+    const stored = {
+      label: type,
+      complexity: 'Unknown',
+      formats: {},
+      ...definition,
+      families: { ...families },
+      solvers: { ...solvers }
+    };
+    problemTypes.set(type, stored);
+    return stored;
+  }
+
+  /**
+   * Look up a registered problem type
+   * @param {string} type - Type name
+   * @returns {Object} The type's definition
+   * @throws {Error} When the type is not registered
+   */
+  static get(type) {
+    ProblemRegistry._loadBuiltins();
+    const definition = problemTypes.get(type);
+    if (!definition) {
+      throw new Error(`Unknown problem type: ${type}`);
+    }
+    return definition;
+  }
+
+  /**
+   * Whether a problem type is registered
+   * @param {string} type - Type name
+   * @returns {boolean}
+   */
+  static has(type) {
+    ProblemRegistry._loadBuiltins();
+    return problemTypes.has(type);
+  }
+
+  /**
+   * Registered type names, in registration order
+   * @returns {string[]}
+   */
+  static types() {
+    ProblemRegistry._loadBuiltins();
+    return [...problemTypes.keys()];
+  }
+
+  /**
+   * Find the problem type whose instance files use an extension
+   * @param {string} extension - File extension with the dot, e.g. '.cnf'
+   * @returns {Object|null} The type's definition, or null when no type reads it
+   */
+  static forExtension(extension) {
+    ProblemRegistry._loadBuiltins();
+    const wanted = extension.toLowerCase();
+    for (const definition of problemTypes.values()) {
+      const { extensions = [], parse } = definition.formats;
+      if (parse && extensions.includes(wanted)) return definition;
+    }
+    return null;
+  }
+
+  /**
+   * Under Node, register the built-in types before the first lookup; the
+   * browser and worker load src/problem-types.js as a script instead
+   * @private
+   */
+  static _loadBuiltins() {
+    if (builtinsLoaded) return;
+    builtinsLoaded = true;
+    if (typeof module !== 'undefined' && typeof require === 'function') {
+      require('./problem-types');
+    }
+  }
+}
+
+// Export the registry
+if (typeof module !== 'undefined') {
+  module.exports = { ProblemRegistry };
+}
@@ -0,0 +1,317 @@
+/**
+ * Stochastic Local Search for SAT
+ *
+ * WalkSAT and probSAT repeatedly pick an unsatisfied clause and flip one of
+ * its variables, chosen by how many satisfied clauses the flip would break:
+ *
+ *   WalkSAT  flip a variable that breaks nothing if there is one; otherwise,
+ *            with probability `noise` a random variable of the clause,
+ *            else one with the fewest breaks
+ *   probSAT  flip variable v with probability proportional to (1 + break(v))^-cb
+ *
+ * Break counts and the list of unsatisfied clauses are updated incrementally
+ * on every flip, so a flip costs time proportional to the clauses the
+ * variable occurs in rather than to the whole formula.
+ */
+
+// Load sibling modules under Node; in the browser they are included as scripts
+if (typeof module !== 'undefined') {
+  Object.assign(globalThis, require('./random'));
+}
+
+class SATLocalSearch {
+  /**
+   * Supported algorithms
+   */
+  static get ALGORITHMS() {
+    return ['walksat', 'probsat'];
+  }
+
+  /**
+   * Default search settings
+   */
+  static get DEFAULTS() {
+    return {
+      algorithm: 'walksat',
+      noise: 0.5,
+      cb: 2.3,
+      maxFlips: 100000,
+      restarts: 10,
+      deadline: Infinity
+    };
+  }
+
+  /**
+   * Search for a satisfying assignment
+   * @param {Object} problem - SAT problem instance
+   * @param {Object} options - Search options
+   * @param {string} options.algorithm - 'walksat' or 'probsat' (default 'walksat')
+   * @param {number} options.noise - WalkSAT random-walk probability (default 0.5)
+   * @param {number} options.cb - probSAT break penalty exponent (default 2.3)
+   * @param {number} options.maxFlips - Flip budget per try (default 100000)
+   * @param {number} options.restarts - Extra tries from fresh random assignments (default 10)
+   * @param {number|string} options.seed - Random seed (derived from the problem seed when omitted)
+   * @param {boolean[]} options.initial - Starting assignment for the first try
+   * @param {number} options.deadline - `performance.now()` time after which the search stops with the
+   *   best assignment so far (default none)
+   * @param {Function} options.onImprove - Called with the unsatisfied clause count each time the best
+   *   assignment improves
+   * @returns {Object} `{assignment, satisfied, unsatisfied, flips, tries, algorithm, seed, timedOut}`,
+   *   where `assignment` is the best one found, `unsatisfied` its violated clause count and `timedOut`
+   *   whether the deadline stopped the search
+   */
+  static solve(problem, options = {}) {
+    const settings = { ...SATLocalSearch.DEFAULTS, ...options };
+    const { algorithm, maxFlips, restarts } = settings;
+    if (!SATLocalSearch.ALGORITHMS.includes(algorithm)) {
+      throw new Error(`Unknown SAT local search algorithm: ${algorithm}`);
+    }
+    if (!(settings.noise >= 0 && settings.noise <= 1)) {
+      throw new RangeError(`noise must be between 0 and 1, got ${settings.noise}`);
+    }
+
+    const seed = settings.seed !== undefined
+      ? settings.seed
+      : problem.seed !== undefined ? SeededRandom.deriveSeed(problem.seed, algorithm) : undefined;
+    const rng = new SeededRandom(seed);
+    const formula = SATLocalSearch._prepare(problem);
+    const { variables } = problem;
+
+    // Probability weights for probSAT, indexed by break count
+    const weights = [];
+    const weight = breaks => {
+      while (weights.length <= breaks) weights.push((1 + weights.length) ** -settings.cb);
+      return weights[breaks];
+    };
+
+    let best = null;
+    let bestUnsatisfied = Infinity;
+    let flips = 0;
+    let tries = 0;
+
+    let timedOut = false;
+    for (let attempt = 0; attempt <= restarts && bestUnsatisfied > 0 && !timedOut; attempt++) {
+      tries++;
+      const values = new Uint8Array(variables + 1);
+      for (let v = 1; v <= variables; v++) {
+        values[v] = attempt === 0 && settings.initial ? (settings.initial[v - 1] ? 1 : 0) : rng.nextInt(2);
+      }
+
+      const state = SATLocalSearch._initialState(formula, values, variables);
+      if (state.unsat.length < bestUnsatisfied) {
+        bestUnsatisfied = state.unsat.length;
+        best = values.slice();
+        if (settings.onImprove) settings.onImprove(bestUnsatisfied + formula.empty);
+      }
+
+      for (let step = 0; step < maxFlips && state.unsat.length > 0; step++) {
+        const clause = formula.clauses[state.unsat[rng.nextInt(state.unsat.length)]];
+        const variable = algorithm === 'walksat'
+          ? SATLocalSearch._pickWalkSAT(clause, state, rng, settings.noise)
+          : SATLocalSearch._pickProbSAT(clause, state, rng, weight);
+
+        SATLocalSearch._flip(formula, state, variable);
+        flips++;
+
+        if (state.unsat.length < bestUnsatisfied) {
+          bestUnsatisfied = state.unsat.length;
+          best = state.values.slice();
+          if (settings.onImprove) settings.onImprove(bestUnsatisfied + formula.empty);
+        }
+        if ((flips & 1023) === 0 && performance.now() > settings.deadline) {
+          timedOut = true;
+          break;
+        }
+      }
+    }
+
+    // Clauses with no literals can never be satisfied
+    const unsatisfied = bestUnsatisfied + formula.empty;
+    return {
+      assignment: Array.from(best.slice(1), value => value === 1),
+      satisfied: unsatisfied === 0,
+      unsatisfied,
+      flips,
+      tries,
+      algorithm,
+      seed: rng.seed,
+      timedOut
+    };
+  }
+
+  /**
+   * Normalise clauses: drop repeated literals and tautologies, index occurrences
+   * @private
+   */
+  static _prepare(problem) {
+    const { variables } = problem;
+    const clauses = [];
+    const positive = Array.from({ length: variables + 1 }, () => []);
+    const negative = Array.from({ length: variables + 1 }, () => []);
+    let empty = 0;
+
+    for (const raw of problem.clauses) {
+      const literals = [...new Set(raw)];
+      if (literals.length === 0) {
+        empty++;
+        continue;
+      }
+      if (literals.some(literal => literals.includes(-literal))) continue;
+
+      const index = clauses.length;
+      clauses.push(literals);
+      for (const literal of literals) {
+        (literal > 0 ? positive : negative)[Math.abs(literal)].push(index);
+      }
+    }
+
+    return { clauses, positive, negative, empty };
+  }
+
+  /**
+   * True-literal counts, critical variables, break counts and the unsatisfied list
+   * @private
+   */
+  static _initialState(formula, values, variables) {
+    const { clauses } = formula;
+    const state = {
+      values,
+      trueCount: new Int32Array(clauses.length),
+      critical: new Int32Array(clauses.length),
+      breaks: new Int32Array(variables + 1),
+      unsat: [],
+      unsatPos: new Int32Array(clauses.length).fill(-1)
+    };
+
+    clauses.forEach((clause, index) => {
+      for (const literal of clause) {
+        if (values[Math.abs(literal)] === (literal > 0 ? 1 : 0)) {
+          state.trueCount[index]++;
+          state.critical[index] = Math.abs(literal);
+        }
+      }
+      if (state.trueCount[index] === 0) {
+        SATLocalSearch._addUnsat(state, index);
+      } else if (state.trueCount[index] === 1) {
+        state.breaks[state.critical[index]]++;
+      }
+    });
+
+    return state;
+  }
+
+  /**
+   * Flip a variable and update the bookkeeping of every clause it occurs in
+   * @private
+   */
+  static _flip(formula, state, variable) {
+    const { clauses } = formula;
+    const { values, trueCount, critical, breaks } = state;
+    values[variable] ^= 1;
+
+    const nowTrue = values[variable] === 1 ? formula.positive[variable] : formula.negative[variable];
+    const nowFalse = values[variable] === 1 ? formula.negative[variable] : formula.positive[variable];
+
+    for (const index of nowTrue) {
+      trueCount[index]++;
+      if (trueCount[index] === 1) {
+        SATLocalSearch._removeUnsat(state, index);
+        critical[index] = variable;
+        breaks[variable]++;
+      } else if (trueCount[index] === 2) {
+        breaks[critical[index]]--;
+      }
+    }
+
+    for (const index of nowFalse) {
+      trueCount[index]--;
+      if (trueCount[index] === 0) {
+        SATLocalSearch._addUnsat(state, index);
+        breaks[variable]--;
+      } else if (trueCount[index] === 1) {
+        // Find the one literal still holding the clause up
+        for (const literal of clauses[index]) {
+          if (values[Math.abs(literal)] === (literal > 0 ? 1 : 0)) {
+            critical[index] = Math.abs(literal);
+            break;
+          }
+        }
+        breaks[critical[index]]++;
+      }
+    }
+  }
+
+  /**
+   * WalkSAT (SKC) variable choice
+   * @private
+   */
+  static _pickWalkSAT(clause, state, rng, noise) {
+    let fewest = Infinity;
+    let candidates = [];
+
+    for (const literal of clause) {
+      const variable = Math.abs(literal);
+      const breaks = state.breaks[variable];
+      if (breaks < fewest) {
+        fewest = breaks;
+        candidates = [variable];
+      } else if (breaks === fewest) {
+        candidates.push(variable);
+      }
+    }
+
+    // A freebie move is always taken; otherwise walk randomly with probability `noise`
+    if (fewest > 0 && rng.next() < noise) {
+      return Math.abs(clause[rng.nextInt(clause.length)]);
+    }
+    return candidates[rng.nextInt(candidates.length)];
+  }
+
+  /**
+   * probSAT variable choice
+   * @private
+   */
+  static _pickProbSAT(clause, state, rng, weight) {
+    let total = 0;
+    const scores = clause.map(literal => {
+      const score = weight(state.breaks[Math.abs(literal)]);
+      total += score;
+      return score;
+    });
+
+    let threshold = rng.next() * total;
+    for (let i = 0; i < clause.length; i++) {
+      threshold -= scores[i];
+      if (threshold < 0) return Math.abs(clause[i]);
+    }
+    return Math.abs(clause[clause.length - 1]);
+  }
+
+  /**
+   * Append to the unsatisfied list
+   * @private
+   */
+  static _addUnsat(state, index) {
+    state.unsatPos[index] = state.unsat.length;
+    state.unsat.push(index);
+  }
+
+  /**
+   * Swap-remove from the unsatisfied list
+   * @private
+   */
+  static _removeUnsat(state, index) {
+    const at = state.unsatPos[index];
+    const last = state.unsat.pop();
+    if (last !== index) {
+      state.unsat[at] = last;
+      state.unsatPos[last] = at;
+    }
+    state.unsatPos[index] = -1;
+  }
+}
+
+// Export the SAT local search
+if (typeof module !== 'undefined') {
+  module.exports = { SATLocalSearch };
+}
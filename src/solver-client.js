@@ -0,0 +1,235 @@
+/**
+ * Promise-based NPSolver client
+ *
+ * Runs solves in a Web Worker (src/solver-worker.js) so long runs do not
+ * block the page, streaming progress events and supporting cancellation and
+ * time limits. Where workers are unavailable, for example when the page is
+ * opened from file:// in some browsers, solves fall back to the main thread.
+ */
+
+// Load sibling modules under Node; in the browser they are included as scripts
+if (typeof module !== 'undefined') {
+  Object.assign(globalThis, require('./errors'), require('./solver'));
+}
+
+class SolverClient {
+  /**
+   * Create a client
+   * @param {Object} options - Client options
+   * @param {string} options.workerUrl - Worker script URL (default 'src/solver-worker.js')
+   * @param {boolean} options.useWorker - Set false to always solve on the main thread
+   * @param {string[]} options.scripts - Extra scripts the worker imports before solving, such as
+   *   in-house problem types registered with ProblemRegistry; URLs are relative to the worker script
+   */
+  constructor(options = {}) {
+    this.workerUrl = options.workerUrl || 'src/solver-worker.js';
+    this.useWorker = options.useWorker !== false && typeof Worker !== 'undefined';
+    this.scripts = options.scripts || [];
+    this.worker = null;
+    this.localSolver = null;
+    this.nextId = 1;
+    this.tasks = new Map();
+  }
+
+  /**
+   * Solve a problem
+   * @param {Object} problem - Problem definition
+   * @param {Object} options - NPSolver options, plus:
+   * @param {number} options.timeout - Time limit in milliseconds
+   * @param {Function} options.onProgress - Called with each progress event from the solver
+   * @param {Function} options.onIncumbent - Called with each better objective value the solver reaches
+   * @param {AbortSignal} options.signal - Cancels the run when aborted
+   * @returns {Promise<Object>} Solver result; rejects with SolverCancelledError or SolverTimeoutError
+   */
+  solve(problem, options = {}) {
+    const { timeout, onProgress, onIncumbent, signal, ...solverOptions } = options;
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new SolverCancelledError());
+        return;
+      }
+
+      const id = this.nextId++;
+      const task = {
+        id, problem, options: solverOptions, resolve, reject, onProgress, onIncumbent, timer: null, onAbort: null
+      };
+      this.tasks.set(id, task);
+
+      if (timeout) {
+        task.timer = setTimeout(() => this._abort(id, new SolverTimeoutError(timeout)), timeout);
+      }
+
+      if (signal) {
+        task.onAbort = () => this._abort(id, new SolverCancelledError());
+        signal.addEventListener('abort', task.onAbort, { once: true });
+        task.signal = signal;
+      }
+
+      this._dispatch(task);
+    });
+  }
+
+  /**
+   * Cancel every pending run
+   */
+  cancel() {
+    for (const id of [...this.tasks.keys()]) {
+      this._abort(id, new SolverCancelledError());
+    }
+  }
+
+  /**
+   * Empty the solver's pattern cache, in the worker and on the main thread
+   */
+  clearCache() {
+    if (this.worker) this.worker.postMessage({ type: 'clear-cache' });
+    if (this.localSolver) this.localSolver.clearCache();
+  }
+
+  /**
+   * Cancel pending runs and shut the worker down
+   */
+  terminate() {
+    this.cancel();
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+
+  /**
+   * Send a task to the worker, or schedule it on the main thread
+   * @private
+   */
+  _dispatch(task) {
+    const worker = this._getWorker();
+    if (worker) {
+      worker.postMessage({
+        id: task.id, type: 'solve', problem: task.problem, options: task.options, incumbents: Boolean(task.onIncumbent)
+      });
+      return;
+    }
+
+    // Yield first so the page can render and a cancel can still arrive
+    setTimeout(() => {
+      if (!this.tasks.has(task.id)) return;
+      this.localSolver = this.localSolver || new NPSolver();
+
+      try {
+        const result = this.localSolver.solve(task.problem, {
+          ...task.options,
+          onProgress: event => task.onProgress && this.tasks.has(task.id) && task.onProgress(event),
+          onIncumbent: event => task.onIncumbent && this.tasks.has(task.id) && task.onIncumbent(event)
+        });
+        this._settle(task.id, result);
+      } catch (error) {
+        this._settle(task.id, null, error);
+      }
+    }, 0);
+  }
+
+  /**
+   * Lazily start the worker
+   * @private
+   */
+  _getWorker() {
+    if (!this.useWorker) return null;
+    if (this.worker) return this.worker;
+
+    try {
+      this.worker = new Worker(this.workerUrl);
+    } catch (error) {
+      // Browsers may refuse workers for file:// pages
+      this.useWorker = false;
+      return null;
+    }
+
+    if (this.scripts.length > 0) {
+      this.worker.postMessage({ type: 'load', scripts: this.scripts });
+    }
+    this.worker.onmessage = event => this._handleMessage(event.data);
+    this.worker.onerror = event => {
+      // The worker script failed to load; rerun everything on the main thread
+      if (event.preventDefault) event.preventDefault();
+      this.worker.terminate();
+      this.worker = null;
+      this.useWorker = false;
+      for (const task of this.tasks.values()) {
+        this._dispatch(task);
+      }
+    };
+
+    return this.worker;
+  }
+
+  /**
+   * Route a worker message to its task
+   * @private
+   */
+  _handleMessage({ id, type, event, result, error }) {
+    const task = this.tasks.get(id);
+    if (!task) return;
+
+    switch (type) {
+      case 'progress':
+        if (task.onProgress) task.onProgress(event);
+        break;
+      case 'incumbent':
+        if (task.onIncumbent) task.onIncumbent(event);
+        break;
+      case 'result':
+        this._settle(id, result);
+        break;
+      case 'error': {
+        const failure = new Error(error.message);
+        failure.name = error.name;
+        this._settle(id, null, failure);
+        break;
+      }
+    }
+  }
+
+  /**
+   * Stop a task early
+   * @private
+   */
+  _abort(id, error) {
+    if (!this.tasks.has(id)) return;
+    this._settle(id, null, error);
+
+    // Solves run synchronously inside the worker, so the only way to stop one
+    // is to replace the worker; other queued tasks are resent to the new one
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+      for (const task of this.tasks.values()) {
+        this._dispatch(task);
+      }
+    }
+  }
+
+  /**
+   * Resolve or reject a task and release its timer and listeners
+   * @private
+   */
+  _settle(id, result, error) {
+    const task = this.tasks.get(id);
+    if (!task) return;
+
+    this.tasks.delete(id);
+    if (task.timer) clearTimeout(task.timer);
+    if (task.signal) task.signal.removeEventListener('abort', task.onAbort);
+
+    if (error) {
+      task.reject(error);
+    } else {
+      task.resolve(result);
+    }
+  }
+}
+
+// Export the solver client
+if (typeof module !== 'undefined') {
+  module.exports = { SolverClient };
+}
@@ -0,0 +1,57 @@
+/**
+ * Web Worker entry point for NPSolver
+ *
+ * Runs solves off the main thread for SolverClient. Messages in:
+ * `{id, type: 'solve', problem, options, incumbents}`, where `incumbents`
+ * asks for incumbent events, `{type: 'load', scripts}` to import extra
+ * scripts such as in-house problem types, and `{type: 'clear-cache'}` to
+ * empty the solver's pattern cache. Messages out:
+ * `{id, type: 'progress', event}`, `{id, type: 'incumbent', event}`,
+ * `{id, type: 'result', result}` and `{id, type: 'error', error}`.
+ */
+
+importScripts(
+  'random.js',
+  'errors.js',
+  'registry.js',
+  'graph.js',
+  'tsplib.js',
+  'subset-sum.js',
+  'coloring.js',
+  'exact.js',
+  'drat.js',
+  'checker.js',
+  'local-search.js',
+  'sls.js',
+  'cdcl.js',
+  'problems.js',
+  'pattern-cache.js',
+  'solver.js',
+  'problem-types.js'
+);
+
+const solver = new NPSolver();
+
+self.onmessage = event => {
+  const { id, type, problem, options, incumbents, scripts } = event.data;
+  if (type === 'load') {
+    importScripts(...scripts);
+    return;
+  }
+  if (type === 'clear-cache') {
+    solver.clearCache();
+    return;
+  }
+  if (type !== 'solve') return;
+
+  try {
+    const result = solver.solve(problem, {
+      ...options,
+      onProgress: progress => self.postMessage({ id, type: 'progress', event: progress }),
+      onIncumbent: incumbents ? incumbent => self.postMessage({ id, type: 'incumbent', event: incumbent }) : undefined
+    });
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', error: { name: error.name, message: error.message } });
+  }
+};
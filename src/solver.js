@@ -5,62 +5,502 @@
  * using multi-dimensional pattern analysis and controlled drift.
  */
 
+// Load sibling modules under Node; in the browser they are included as scripts
+if (typeof module !== 'undefined') {
+  Object.assign(globalThis, require('./random'), require('./registry'), require('./pattern-cache'), require('./tsplib'), require('./subset-sum'), require('./graph'), require('./coloring'), require('./exact'), require('./checker'), require('./local-search'), require('./sls'), require('./cdcl'));
+}
+
 class NPSolver {
-  constructor() {
+  /**
+   * Create a solver
+   * @param {Object} options - Solver settings
+   * @param {boolean|Object} options.cache - PatternCache settings (`{maxEntries, ttl}`) for the
+   *   projection pipeline's pattern cache, or false for none (default true)
+   */
+  constructor(options = {}) {
     this.PHI = 1.618033988749895;
     this.DIMENSIONS = 11;
     this.tickStack = Array(this.DIMENSIONS).fill().map(() => []);
-    this.patternCache = new Map();
+    this.cache = options.cache === false ? null : new PatternCache(options.cache === true ? {} : options.cache);
     this.driftState = 0;
     this.cycleCount = 0;
+    this.solving = false;
+  }
+
+  /**
+   * Version of the snapshots getState writes and fromState reads
+   */
+  static get STATE_VERSION() {
+    return 2;
+  }
+
+  /**
+   * Solve a problem on an explicit state, leaving no solver behind: the state goes in and the
+   * updated state comes out, and the state passed in is not changed
+   * @param {Object} problem - Problem instance
+   * @param {Object} options - Solve options; see solve
+   * @param {Object|null} state - Snapshot from getState or an earlier run, or null to start fresh
+   * @returns {Object} `{result, state}`
+   */
+  static run(problem, options = {}, state = null) {
+    const solver = state ? NPSolver.fromState(state) : new NPSolver();
+    const result = solver.solve(problem, options);
+    return { result, state: solver.getState() };
+  }
+
+  /**
+   * Create a solver from a snapshot taken with getState
+   * @param {Object} state - Solver state snapshot
+   * @returns {NPSolver}
+   * @throws {RangeError} When the snapshot is from another version or malformed
+   */
+  static fromState(state) {
+    if (!state || state.version !== NPSolver.STATE_VERSION) {
+      throw new RangeError(`Unsupported solver state version: ${state && state.version}`);
+    }
+    if (state.cache !== null && typeof state.cache !== 'object') {
+      throw new RangeError('Solver state needs a pattern cache snapshot or null');
+    }
+    const solver = new NPSolver({ cache: false });
+    solver.cache = state.cache ? PatternCache.fromJSON(state.cache) : null;
+    return solver;
+  }
+
+  /**
+   * Snapshot what carries over from one run to the next, which is only the pattern cache:
+   * every run resets the drift phase and the tick stack. The snapshot is plain JSON and
+   * shares nothing with the solver.
+   * @returns {Object} `{version, cache}`
+   */
+  getState() {
+    return {
+      version: NPSolver.STATE_VERSION,
+      cache: this.cache ? this.cache.toJSON() : null
+    };
+  }
+
+  /**
+   * Empty the pattern cache and reset its statistics
+   */
+  clearCache() {
+    if (this.cache) this.cache.clear();
+  }
+
+  /**
+   * Ticks per dimension the tick stack starts a projection run with: one more than the
+   * window _calculateDimensionalCorrelations needs
+   */
+  static get TICK_WARMUP() {
+    return 11;
+  }
+
+  /**
+   * Available solving strategies: every strategy some registered problem type solves
+   */
+  static get STRATEGIES() {
+    const strategies = new Set(['projection', 'greedy', 'exact']);
+    for (const type of ProblemRegistry.types()) {
+      Object.keys(ProblemRegistry.get(type).solvers).forEach(strategy => strategies.add(strategy));
+    }
+    return [...strategies];
+  }
+
+  /**
+   * Default solver options; null means the value is chosen per problem (see solve)
+   */
+  static get DEFAULTS() {
+    return {
+      strategy: 'projection',
+      timeLimit: Infinity,
+      budget: null,
+      seed: null,
+      vectorCount: null,
+      driftAmplitude: 0.1,
+      exact: true,
+      localSearch: true,
+      coloring: true,
+      subsetSum: true,
+      sls: {},
+      cdcl: {},
+      cache: true
+    };
+  }
+
+  /**
+   * Build an optimality report for a problem type's optimality measure; a null optimum
+   * means no exact answer was within reach. The gap is how far the value falls short of
+   * the optimum, for objectives to minimise or, with sense 'max', to maximise.
+   * @param {string} objective - Name of the measured quantity, e.g. 'distance'
+   * @param {number} value - The solution's value
+   * @param {number|null} optimal - The exact optimum, or null when unknown
+   * @param {string} gapType - 'relative' (gap divided by the optimum) or 'absolute'
+   * @param {string} [sense] - 'min' or 'max' (default 'min')
+   * @returns {Object} `{objective, value, optimal, gap, gapType}`
+   */
+  static optimalityReport(objective, value, optimal, gapType, sense = 'min') {
+    if (optimal === null || optimal === undefined) {
+      return { objective, value, optimal: null, gap: null, gapType };
+    }
+    
+    let gap = sense === 'max' ? optimal - value : value - optimal;
+    if (gapType === 'relative') {
+      gap = optimal === 0 ? 0 : gap / optimal;
+    }
+    
+    return { objective, value, optimal, gap, gapType };
   }
 
   /**
    * Solves an NP-complete problem in polynomial time
    * @param {Object} problem - Problem definition
    * @param {Object} options - Solver options
-   * @returns {Object} - Solution and performance metrics
+   * @param {string} options.strategy - One of NPSolver.STRATEGIES (default 'projection')
+   * @param {number} options.timeLimit - Milliseconds after which SAT local search, CDCL, TabuCol, tour
+   *   improvement and Posa's Hamiltonian cycle search stop with their best answer so far (default
+   *   unlimited); `result.timedOut` reports whether it stopped one of them. The exact
+   *   branch-and-bound searches give up at the same time, and the optimality comparison is skipped
+   *   once it has passed.
+   * @param {number} options.budget - Iteration budget for the same searches: flips per SLS try, CDCL
+   *   conflicts, TabuCol iterations per colour count, improving tour moves and Posa steps (default
+   *   each search's own); a search's own settings, such as `sls.maxFlips`, take precedence
+   * @param {number|string} options.seed - Seed for every randomised search (defaults to the problem's
+   *   seed, or a fresh random seed when it has none)
+   * @param {number} options.vectorCount - Solution vectors in the projection pipeline
+   *   (default ceil(log2(n) * phi))
+   * @param {number} options.driftAmplitude - Amplitude of the quantum drift applied to the
+   *   solution vectors (default 0.1)
+   * @param {boolean} options.cache - Look the projection pipeline's patterns up in the pattern cache
+   *   and store them there (default true); `result.cache` reports the lookup and the cache statistics
+   * @param {boolean} options.exact - Compare against an exact solver when the instance is small enough (default true)
+   * @param {Function} options.onProgress - Called with `{phase, elapsed, ...}` as the run moves through its phases
+   * @param {Function} options.onIncumbent - Called with `{objective, value, elapsed, phase}` each time the run
+   *   reaches a better value of the problem type's objective, from the first answer through every
+   *   improvement its searches make; `result.incumbents` keeps the same trace
+   * @param {boolean|Object} options.localSearch - Improve heuristic TSP tours with TourImprover; false skips it,
+   *   an object passes TourImprover options (default true)
+   * @param {Object} options.sls - SATLocalSearch options for the walksat and probsat strategies
+   *   (noise, cb, maxFlips, restarts, seed)
+   * @param {Object} options.cdcl - CDCLSolver options for the cdcl strategy (maxConflicts, and proof,
+   *   which defaults to true so UNSAT answers can be verified)
+   * @param {boolean|Object} options.coloring - Improve heuristic colorings with DSATUR and TabuCol, lowering
+   *   the colour count until TabuCol fails; false skips it, an object passes GraphColorer options (default true)
+   * @param {boolean|Object} options.subsetSum - Complete heuristic subset sum answers that miss the target
+   *   with an exact SubsetSumSolver engine, marking the replaced answer `completedBy: 'exact'`; false skips it,
+   *   an object such as `{engine: 'bitset'}` picks the engine for this step and for the exact strategy (default true)
+   * @returns {Object} - Solution and performance metrics, with the effective options in `config`
+   * @throws {RangeError} When an option has an invalid value
+   * @throws {Error} When called again from inside one of this solver's runs, for example from
+   *   onProgress; use a separate solver for each concurrent run
    */
   solve(problem, options = {}) {
+    if (this.solving) {
+      throw new Error('This NPSolver is already solving; use a separate solver for each concurrent run');
+    }
+    this.solving = true;
+    try {
+      return this._solve(problem, options);
+    } finally {
+      this.solving = false;
+    }
+  }
+
+  /**
+   * Solve a problem on this solver's state; see solve
+   * @private
+   */
+  _solve(problem, options) {
+    const config = this._configure(problem, options);
+    const { strategy } = config;
+    
     console.log("Starting solution for:", problem.name);
     const startTime = performance.now();
     
-    // Initialize solution space
-    const solutionSpace = this._initializeSolutionSpace(problem);
-    
-    // Apply quantum drift to explore solution space efficiently
-    const driftedSpace = this._applyQuantumDrift(solutionSpace, problem);
+    let currentPhase = 'start';
+    const progress = (phase, detail = {}) => {
+      currentPhase = phase;
+      if (options.onProgress) {
+        options.onProgress({ phase, elapsed: performance.now() - startTime, ...detail });
+      }
+    };
+    progress('start', { strategy, problemSize: problem.size });
     
-    // Extract patterns from the solution space
-    const patterns = this._extractPatterns(driftedSpace, problem);
+    // Each run starts from the same drift phase with an empty tick stack, so its
+    // result depends only on the problem and the options; the projection pipeline
+    // seeds the stack from the instance before it drifts
+    this.tickStack = Array(this.DIMENSIONS).fill().map(() => []);
+    this.driftState = 0;
+    this.cycleCount = 0;
     
-    // Collapse the solution from the pattern space
-    const solution = this._collapseSolution(patterns, problem);
+    const definition = ProblemRegistry.get(problem.type);
+    const solveWith = definition.solvers[strategy];
+    if (!solveWith) {
+      throw new Error(`The ${strategy} strategy does not solve ${problem.type} problems`);
+    }
+    const deadline = startTime + config.timeLimit;
+    
+    // Anytime trace: each strictly better objective value the run reaches, timestamped
+    const { objective } = definition;
+    const incumbents = objective ? { objective: objective.name, sense: objective.sense, trace: [] } : null;
+    const incumbent = value => {
+      if (!incumbents || value === null) return;
+      const { trace } = incumbents;
+      const best = trace.length > 0 ? trace[trace.length - 1].value : null;
+      if (best !== null && !(objective.sense === 'max' ? value > best : value < best)) return;
+      const event = { value, elapsed: performance.now() - startTime, phase: currentPhase };
+      trace.push(event);
+      if (options.onIncumbent) options.onIncumbent({ objective: objective.name, ...event });
+    };
+    const record = answer => objective && incumbent(objective.value(problem, answer));
+    const context = { solver: this, strategy, options: { ...options, ...config }, progress, deadline, incumbent };
+    
+    let solution;
+    let cache = { status: this.cache ? 'unused' : 'disabled' };
+    if (strategy === 'projection') {
+      const projected = this._solveByProjection(problem, progress, config);
+      cache = projected.cache;
+      solution = solveWith(problem, { ...context, projections: projected.projections });
+    } else {
+      progress(strategy === 'greedy' ? 'construct' : 'search');
+      solution = solveWith(problem, context);
+    }
+    if (!solution) {
+      if (performance.now() > deadline) {
+        throw new Error(`The ${strategy} solver did not finish ${problem.name} within the time limit`);
+      }
+      throw new Error(`${problem.name} is beyond the ${strategy} solver's limits`);
+    }
+    record(solution);
+    // The searches report whether the deadline stopped them
+    let timedOut = solution.timedOut === true;
+    
+    // Polish heuristic answers; exact answers are already optimal
+    if (definition.improve && strategy !== 'exact') {
+      solution = definition.improve(problem, solution, context);
+      record(solution);
+      timedOut = timedOut || solution.timedOut === true;
+    }
     
-    const endTime = performance.now();
-    const timeElapsed = endTime - startTime;
+    const timeElapsed = performance.now() - startTime;
+    progress('solved', { timeElapsed });
     
     // Verify the solution
-    const isValid = this._verifySolution(solution, problem);
+    const certificate = definition.check(problem, solution);
+    progress('verify', { valid: certificate.valid });
     
     // Calculate complexity metrics
-    const complexityMetrics = this._calculateComplexityMetrics(problem, timeElapsed);
+    const complexityMetrics = this._calculateComplexityMetrics(problem, definition, timeElapsed);
+    
+    // Measure the gap to the optimum when an exact answer is within reach and time is left
+    let optimality = null;
+    if (config.exact && definition.optimality && performance.now() <= deadline) {
+      progress('optimality');
+      optimality = definition.optimality(problem, solution, context);
+    }
+    progress('done');
     
     return {
       solution,
-      isValid,
+      isValid: certificate.valid,
+      certificate,
       timeElapsed,
       problemSize: problem.size,
+      strategy,
+      config,
+      timedOut,
+      cache: this.cache ? { ...cache, ...this.cache.getStats() } : cache,
+      incumbents,
       complexityMetrics,
+      optimality,
       driftState: this.driftState
     };
   }
 
+  /**
+   * Validate the options and fill in the defaults that depend on the problem
+   * @private
+   */
+  _configure(problem, options) {
+    const config = NPSolver.DEFAULTS;
+    for (const key of Object.keys(config)) {
+      if (options[key] !== undefined && options[key] !== null) config[key] = options[key];
+    }
+    
+    if (!NPSolver.STRATEGIES.includes(config.strategy)) {
+      throw new Error(`Unknown strategy: ${config.strategy}`);
+    }
+    if (!(typeof config.timeLimit === 'number' && config.timeLimit > 0)) {
+      throw new RangeError(`timeLimit must be a positive number of milliseconds, got ${config.timeLimit}`);
+    }
+    if (config.budget !== null && !(Number.isInteger(config.budget) && config.budget > 0)) {
+      throw new RangeError(`budget must be a positive integer, got ${config.budget}`);
+    }
+    if (config.seed !== null && typeof config.seed !== 'string' && !Number.isFinite(config.seed)) {
+      throw new RangeError(`seed must be a number or a string, got ${config.seed}`);
+    }
+    if (config.vectorCount !== null && !(Number.isInteger(config.vectorCount) && config.vectorCount > 0)) {
+      throw new RangeError(`vectorCount must be a positive integer, got ${config.vectorCount}`);
+    }
+    if (!(Number.isFinite(config.driftAmplitude) && config.driftAmplitude >= 0)) {
+      throw new RangeError(`driftAmplitude must be a non-negative number, got ${config.driftAmplitude}`);
+    }
+    for (const key of ['exact', 'cache']) {
+      if (typeof config[key] !== 'boolean') {
+        throw new RangeError(`${key} must be true or false, got ${config[key]}`);
+      }
+    }
+    const isSettings = value => typeof value === 'object' && !Array.isArray(value);
+    for (const key of ['localSearch', 'coloring', 'subsetSum']) {
+      if (typeof config[key] !== 'boolean' && !isSettings(config[key])) {
+        throw new RangeError(`${key} must be true, false or an object of settings`);
+      }
+    }
+    for (const key of ['sls', 'cdcl']) {
+      if (!isSettings(config[key])) {
+        throw new RangeError(`${key} must be an object of settings`);
+      }
+    }
+    for (const key of ['onProgress', 'onIncumbent']) {
+      if (options[key] !== undefined && typeof options[key] !== 'function') {
+        throw new RangeError(`${key} must be a function`);
+      }
+    }
+    
+    if (config.seed === null) {
+      config.seed = problem.seed !== undefined ? problem.seed : SeededRandom.randomSeed();
+    }
+    if (config.vectorCount === null) {
+      config.vectorCount = Math.ceil(Math.log2(problem.size) * this.PHI);
+    }
+    return config;
+  }
+
+  /**
+   * Settings for one search component: the run's budget under the component's own name, the
+   * deadline, a seed derived from the run's seed and an onImprove callback feeding the run's
+   * incumbent trace, overridden by the component's own settings
+   * @private
+   */
+  _searchSettings(settings, context, budgetKey, salt) {
+    const { options, deadline, incumbent } = context;
+    return {
+      ...(options.budget !== null ? { [budgetKey]: options.budget } : {}),
+      deadline,
+      ...(incumbent ? { onImprove: incumbent } : {}),
+      ...(salt !== undefined ? { seed: SeededRandom.deriveSeed(options.seed, salt) } : {}),
+      ...(typeof settings === 'object' ? settings : {})
+    };
+  }
+
+  /**
+   * Run the multi-dimensional projection pipeline, returning the top projections
+   * that the problem type's projection solver combines into a solution
+   * @private
+   */
+  _solveByProjection(problem, progress, config) {
+    // Patterns depend only on the instance's content and the projection settings
+    const fingerprint = PatternCache.fingerprint(problem);
+    const key = this.cache && config.cache ? `${fingerprint}/${config.vectorCount}/${config.driftAmplitude}` : null;
+    const cached = key ? this.cache.get(key) : undefined;
+    
+    let patterns;
+    if (cached) {
+      progress('patterns', { cached: true });
+      patterns = cached.patterns;
+      ({ driftState: this.driftState, cycleCount: this.cycleCount } = cached);
+    } else {
+      // Initialize solution space
+      progress('initialize');
+      this._seedTickStack(fingerprint);
+      const solutionSpace = this._initializeSolutionSpace(problem, config.vectorCount);
+      
+      // Apply quantum drift to explore solution space efficiently
+      progress('drift', { vectors: solutionSpace.vectors.length });
+      const driftedSpace = this._applyQuantumDrift(solutionSpace, problem, config.driftAmplitude);
+      
+      // Extract patterns from the solution space
+      progress('patterns');
+      patterns = this._extractPatterns(driftedSpace);
+      if (key) this.cache.set(key, { patterns, driftState: this.driftState, cycleCount: this.cycleCount });
+    }
+    
+    // Collapse the pattern space onto its strongest projections
+    progress('collapse');
+    return {
+      projections: this._collapseSolution(patterns, problem),
+      cache: key ? { status: cached ? 'hit' : 'miss', fingerprint } : { status: 'disabled' }
+    };
+  }
+
+  /**
+   * Solve SAT by stochastic local search
+   * @private
+   */
+  _solveStochastic(problem, algorithm, settings = {}) {
+    return SATLocalSearch.solve(problem, { ...settings, algorithm });
+  }
+
+  /**
+   * Decide SAT with the complete CDCL solver
+   * @private
+   */
+  _solveCDCL(problem, settings = {}) {
+    const result = CDCLSolver.solve(problem, { proof: true, ...settings });
+    const solution = {
+      assignment: result.assignment || Array(problem.variables).fill(false),
+      satisfied: result.status === 'SAT',
+      satisfiable: result.satisfiable,
+      status: result.status,
+      stats: result.stats,
+      timedOut: result.timedOut
+    };
+    if (result.status === 'UNSAT' && result.proof !== null) {
+      solution.proof = result.proof;
+    }
+    return solution;
+  }
+
+  /**
+   * Lower the colour count of a heuristic coloring with DSATUR and TabuCol
+   * @private
+   */
+  _improveColoring(problem, solution, settings) {
+    const result = GraphColorer.color(problem, {
+      ...(typeof settings === 'object' ? settings : {}),
+      initial: solution.coloring
+    });
+    
+    return { ...result, initialColorCount: solution.colorCount };
+  }
+
+  /**
+   * Exact subset sum with the requested engine, or the automatically chosen one; null if none fits
+   * @private
+   */
+  _exactSubsetSum(problem, settings) {
+    if (settings && settings.engine && settings.engine !== 'auto') {
+      return SubsetSumSolver.solve(problem, settings);
+    }
+    return ExactSolver.solveSubsetSum(problem);
+  }
+
+  /**
+   * Replace a subset that misses the target with the exact answer, when one is within reach;
+   * a subset that hits the target is kept, so strategies are still compared on their own answers
+   * @private
+   */
+  _completeSubsetSum(problem, solution, settings) {
+    if (solution.difference === 0) return solution;
+    const exact = this._exactSubsetSum(problem, settings);
+    if (!exact) return solution;
+    
+    return { ...exact, completedBy: 'exact', initialDifference: solution.difference };
+  }
+
   /**
    * Initialize the solution space based on problem characteristics
    * @private
    */
-  _initializeSolutionSpace(problem) {
+  _initializeSolutionSpace(problem, vectorCount) {
     const space = {
       dimensions: problem.dimensions || this.DIMENSIONS,
       size: problem.size,
@@ -69,8 +509,6 @@ class NPSolver {
     };
     
     // Generate initial solution vectors
-    const vectorCount = Math.ceil(Math.log2(problem.size) * this.PHI);
-    
     for (let i = 0; i < vectorCount; i++) {
       const vector = this._generateSolutionVector(problem, i);
       space.vectors.push(vector);
@@ -107,10 +545,10 @@ class NPSolver {
    * Apply quantum drift to the solution space for efficient exploration
    * @private
    */
-  _applyQuantumDrift(space, problem) {
+  _applyQuantumDrift(space, problem, amplitude) {
     // Update drift state
     this.cycleCount++;
-    this.driftState = Math.sin(this.cycleCount * this.PHI) * 0.1;
+    this.driftState = Math.sin(this.cycleCount * this.PHI) * amplitude;
     
     const driftedSpace = {
       ...space,
@@ -154,6 +592,18 @@ class NPSolver {
     return base * sizeFactor * 0.2;
   }
 
+  /**
+   * Fill the tick stack with TICK_WARMUP ticks per dimension drawn from the instance
+   * fingerprint, so correlations exist however few vectors a run drifts
+   * @private
+   */
+  _seedTickStack(fingerprint) {
+    const rng = new SeededRandom(fingerprint);
+    for (let tick = 0; tick < NPSolver.TICK_WARMUP; tick++) {
+      this._pushToTickStack(Float64Array.from({ length: this.DIMENSIONS }, () => rng.next()));
+    }
+  }
+
   /**
    * Push vector to multi-dimensional tick stack
    * @private
@@ -173,17 +623,7 @@ class NPSolver {
    * Extract patterns from the solution space
    * @private
    */
-  _extractPatterns(space, problem) {
-    // Check if we have a cached pattern for similar problems
-    const problemKey = this._generateProblemKey(problem);
-    if (this.patternCache.has(problemKey)) {
-      const cachedPattern = this.patternCache.get(problemKey);
-      // Verify the cached pattern is still valid
-      if (this._isPatternValid(cachedPattern, problem)) {
-        return cachedPattern;
-      }
-    }
-    
+  _extractPatterns(space) {
     // Find correlations between dimensions in tick stack
     const correlations = this._calculateDimensionalCorrelations();
     
@@ -203,20 +643,9 @@ class NPSolver {
       patterns.vectorProjections.push(projection);
     }
     
-    // Cache the pattern for future similar problems
-    this.patternCache.set(problemKey, patterns);
-    
     return patterns;
   }
 
-  /**
-   * Generate a unique key for a problem type and size
-   * @private
-   */
-  _generateProblemKey(problem) {
-    return `${problem.type}-${problem.size}-${problem.dimensions || this.DIMENSIONS}`;
-  }
-
   /**
    * Calculate correlations between dimensions in tick stack
    * @private
@@ -299,7 +728,7 @@ class NPSolver {
   }
 
   /**
-   * Collapse the final solution from pattern space
+   * Collapse the pattern space onto the projections a solution is built from
    * @private
    */
   _collapseSolution(patterns, problem) {
@@ -309,30 +738,7 @@ class NPSolver {
     
     // Take top projections based on problem size
     const topCount = Math.ceil(Math.log2(problem.size));
-    const topProjections = sortedProjections.slice(0, topCount);
-    
-    // Combine projections to form solution
-    return this._combineSolutionFromProjections(topProjections, problem);
-  }
-
-  /**
-   * Combine top projections into a problem-specific solution
-   * @private
-   */
-  _combineSolutionFromProjections(projections, problem) {
-    // This function translates the abstract solution to the specific problem domain
-    switch (problem.type) {
-      case 'tsp':
-        return this._solveTSP(projections, problem);
-      case 'graph-coloring':
-        return this._solveGraphColoring(projections, problem);
-      case 'sat':
-        return this._solveSAT(projections, problem);
-      case 'subset-sum':
-        return this._solveSubsetSum(projections, problem);
-      default:
-        throw new Error(`Unsupported problem type: ${problem.type}`);
-    }
+    return sortedProjections.slice(0, topCount);
   }
 
   /**
@@ -340,8 +746,7 @@ class NPSolver {
    * @private
    */
   _solveTSP(projections, problem) {
-    const { cities } = problem;
-    const n = cities.length;
+    const n = problem.size;
     
     // Initialize city order
     let cityOrder = Array(n).fill(0).map((_, i) => i);
@@ -365,9 +770,7 @@ class NPSolver {
     // Calculate total distance
     let totalDistance = 0;
     for (let i = 0; i < n; i++) {
-      const city1 = cities[cityOrder[i]];
-      const city2 = cities[cityOrder[(i + 1) % n]];
-      totalDistance += this._calculateDistance(city1, city2);
+      totalDistance += this._tspDistance(problem, cityOrder[i], cityOrder[(i + 1) % n]);
     }
     
     return {
@@ -377,13 +780,80 @@ class NPSolver {
   }
 
   /**
-   * Calculate Euclidean distance between two points
+   * Run tour improvement on a TSP solution and record what it achieved
+   * @private
+   */
+  _improveTour(problem, solution, settings) {
+    const improved = TourImprover.improve(problem, solution.path, {
+      ...(typeof settings === 'object' ? settings : {}),
+      distance: (i, j) => this._tspDistance(problem, i, j)
+    });
+    
+    return {
+      path: improved.path,
+      distance: improved.distance,
+      timedOut: improved.timedOut,
+      localSearch: {
+        initialDistance: improved.initialDistance,
+        improvement: improved.improvement,
+        improvementRatio: improved.improvementRatio,
+        moves: improved.moves,
+        totalMoves: improved.totalMoves
+      }
+    };
+  }
+
+  /**
+   * Distance between two cities, following TSPLIB rules for loaded instances
    * @private
    */
-  _calculateDistance(point1, point2) {
-    const dx = point1.x - point2.x;
-    const dy = point1.y - point2.y;
-    return Math.sqrt(dx * dx + dy * dy);
+  _tspDistance(problem, i, j) {
+    return TSPLIB.distance(problem, i, j);
+  }
+
+  /**
+   * Nearest-neighbour TSP tour with drifted distances
+   * @private
+   */
+  _greedyTSP(problem) {
+    const n = problem.size;
+    const path = [0]; // Start with city 0
+    const visited = new Set([0]);
+    
+    for (let i = 1; i < n; i++) {
+      const lastCity = path[path.length - 1];
+      let bestCity = -1;
+      let bestDistance = Infinity;
+      
+      for (let j = 0; j < n; j++) {
+        if (!visited.has(j)) {
+          const dist = this._tspDistance(problem, lastCity, j);
+          // Apply drift factor
+          const driftFactor = 1 + (Math.sin(this.cycleCount * this.PHI + j) * 0.1);
+          const driftedDist = dist * driftFactor;
+          
+          if (driftedDist < bestDistance) {
+            bestDistance = driftedDist;
+            bestCity = j;
+          }
+        }
+      }
+      
+      path.push(bestCity);
+      visited.add(bestCity);
+      this.cycleCount++;
+    }
+    
+    // Calculate total distance
+    let totalDistance = 0;
+    for (let i = 0; i < n; i++) {
+      totalDistance += this._tspDistance(problem, path[i], path[(i + 1) % n]);
+    }
+    
+    return {
+      path,
+      distance: totalDistance
+    };
   }
 
   /**
@@ -391,8 +861,9 @@ class NPSolver {
    * @private
    */
   _solveGraphColoring(projections, problem) {
-    const { graph, maxColors } = problem;
-    const n = graph.length;
+    const { maxColors } = problem;
+    const neighbors = GraphColorer.neighborLists(problem.graph);
+    const n = neighbors.length;
     
     // Initialize coloring
     const coloring = Array(n).fill(0);
@@ -410,8 +881,8 @@ class NPSolver {
         }
         
         // Penalize colors used by neighbors
-        for (let j = 0; j < n; j++) {
-          if (graph[i][j] === 1 && coloring[j] === color) {
+        for (const j of neighbors[i]) {
+          if (coloring[j] === color) {
             nodeValues[color] += 100; // Large penalty
           }
         }
@@ -423,7 +894,20 @@ class NPSolver {
     
     return {
       coloring,
-      colorCount: Math.max(...coloring) + 1
+      colorCount: coloring.reduce((max, color) => Math.max(max, color + 1), 0)
+    };
+  }
+
+  /**
+   * DSATUR graph coloring
+   * @private
+   */
+  _greedyGraphColoring(problem) {
+    const coloring = GraphColorer.dsatur(GraphColorer.neighborLists(problem.graph));
+    
+    return {
+      coloring,
+      colorCount: coloring.reduce((max, color) => Math.max(max, color + 1), 0)
     };
   }
 
@@ -482,6 +966,48 @@ class NPSolver {
     };
   }
 
+  /**
+   * Greedy SAT: fix variables in order, keeping the value that satisfies more clauses
+   * @private
+   */
+  _greedySAT(problem) {
+    const { clauses, variables } = problem;
+    const assignment = Array(variables).fill(false);
+    
+    for (let i = 0; i < variables; i++) {
+      // Try both true and false
+      assignment[i] = true;
+      const trueScore = this._countSatisfiedClauses(clauses, assignment);
+      
+      assignment[i] = false;
+      const falseScore = this._countSatisfiedClauses(clauses, assignment);
+      
+      // Keep the better assignment
+      assignment[i] = trueScore >= falseScore;
+    }
+    
+    return {
+      assignment,
+      satisfied: this._countSatisfiedClauses(clauses, assignment) === clauses.length
+    };
+  }
+
+  /**
+   * Count clauses with at least one true literal
+   * @private
+   */
+  _countSatisfiedClauses(clauses, assignment) {
+    let satisfiedCount = 0;
+    
+    for (const clause of clauses) {
+      if (clause.some(literal => assignment[Math.abs(literal) - 1] === literal > 0)) {
+        satisfiedCount++;
+      }
+    }
+    
+    return satisfiedCount;
+  }
+
   /**
    * Solve Subset Sum Problem
    * @private
@@ -530,6 +1056,52 @@ class NPSolver {
     };
   }
 
+  /**
+   * Greedy subset sum: take numbers closest to half the target while they fit a drifted target
+   * @private
+   */
+  _greedySubsetSum(problem) {
+    const { numbers, target } = problem;
+    const n = numbers.length;
+    const subset = Array(n).fill(false);
+    
+    let currentSum = 0;
+    const sortedIndices = Array(n).fill(0).map((_, i) => i)
+      .sort((a, b) => Math.abs(numbers[a] - target / 2) - Math.abs(numbers[b] - target / 2));
+    
+    for (const i of sortedIndices) {
+      // Apply drift to decision
+      const driftFactor = Math.sin(this.cycleCount * this.PHI + i) * 0.1;
+      const driftedTarget = target * (1 + driftFactor);
+      
+      if (currentSum + numbers[i] <= driftedTarget) {
+        subset[i] = true;
+        currentSum += numbers[i];
+      }
+      
+      this.cycleCount++;
+      
+      // If we're close enough, stop
+      if (Math.abs(currentSum - target) < 0.001 * target) {
+        break;
+      }
+    }
+    
+    const selectedIndices = [];
+    for (let i = 0; i < n; i++) {
+      if (subset[i]) {
+        selectedIndices.push(i);
+      }
+    }
+    
+    return {
+      subset: selectedIndices,
+      sum: currentSum,
+      target,
+      difference: Math.abs(currentSum - target)
+    };
+  }
+
   /**
    * Refine subset sum solution to get closer to target
    * @private
@@ -584,129 +1156,396 @@ class NPSolver {
   }
 
   /**
-   * Apply constraint to a value
+   * Solve Vertex Cover Problem
    * @private
    */
-  _applyConstraint(value, constraint) {
-    if (!constraint) return value;
+  _solveVertexCover(projections, problem) {
+    const csr = SparseGraph.from(problem.graph);
+    const neighbors = SparseGraph.adjacencyLists(csr);
     
-    if (constraint.min !== undefined && constraint.max !== undefined) {
-      return constraint.min + value * (constraint.max - constraint.min);
-    }
+    // Score vertices by degree, perturbed by the projections
+    const scores = neighbors.map((list, i) => {
+      let value = 0;
+      for (const proj of projections) {
+        value += (proj.coordinates[0] * (i + 1) + proj.coordinates[1] * list.length) % 1;
+      }
+      return list.length + value;
+    });
     
-    if (constraint.discrete) {
-      const options = constraint.options || constraint.count;
-      if (Array.isArray(options)) {
-        const index = Math.floor(value * options.length);
-        return options[index];
-      } else {
-        return Math.floor(value * options);
+    // Cover each uncovered edge with its higher-scoring endpoint
+    const inCover = new Uint8Array(csr.nodes);
+    SparseGraph.forEachEdge(csr, (u, v) => {
+      if (!inCover[u] && !inCover[v]) {
+        inCover[scores[u] >= scores[v] ? u : v] = 1;
+      }
+    });
+    
+    return this._pruneCover(neighbors, inCover, scores);
+  }
+
+  /**
+   * Greedy vertex cover: repeatedly take the vertex covering the most uncovered edges
+   * @private
+   */
+  _greedyVertexCover(problem) {
+    const csr = SparseGraph.from(problem.graph);
+    const neighbors = SparseGraph.adjacencyLists(csr);
+    const degree = neighbors.map(list => list.length);
+    const inCover = new Uint8Array(csr.nodes);
+    let uncovered = csr.edges;
+    
+    while (uncovered > 0) {
+      let vertex = 0;
+      for (let v = 1; v < csr.nodes; v++) {
+        if (degree[v] > degree[vertex]) vertex = v;
+      }
+      
+      inCover[vertex] = 1;
+      uncovered -= degree[vertex];
+      degree[vertex] = 0;
+      for (const u of neighbors[vertex]) {
+        if (!inCover[u]) degree[u]--;
       }
     }
     
-    return value;
+    return this._pruneCover(neighbors, inCover, neighbors.map(list => list.length));
+  }
+
+  /**
+   * Drop cover vertices whose neighbours are all covered, lowest score first
+   * @private
+   */
+  _pruneCover(neighbors, inCover, scores) {
+    const order = Array.from({ length: neighbors.length }, (_, v) => v)
+      .filter(v => inCover[v])
+      .sort((a, b) => scores[a] - scores[b]);
+    
+    for (const v of order) {
+      if (neighbors[v].every(u => inCover[u])) inCover[v] = 0;
+    }
+    
+    const cover = [];
+    for (let v = 0; v < neighbors.length; v++) {
+      if (inCover[v]) cover.push(v);
+    }
+    
+    return {
+      cover,
+      coverSize: cover.length
+    };
   }
 
   /**
-   * Verify that a solution is valid for the given problem
+   * Solve 0/1 Knapsack Problem
    * @private
    */
-  _verifySolution(solution, problem) {
-    switch (problem.type) {
-      case 'tsp':
-        return this._verifyTSP(solution, problem);
-      case 'graph-coloring':
-        return this._verifyGraphColoring(solution, problem);
-      case 'sat':
-        return this._verifySAT(solution, problem);
-      case 'subset-sum':
-        return this._verifySubsetSum(solution, problem);
-      default:
-        return false;
+  _solveKnapsack(projections, problem) {
+    const { weights, values } = problem;
+    
+    // Rank items by value density, perturbed by the projections
+    const ranking = weights.map((weight, i) => {
+      let value = 0;
+      for (const proj of projections) {
+        value += (proj.coordinates[0] * (i + 1) + proj.coordinates[1] * weight) % 1;
+      }
+      return { item: i, density: (values[i] / Math.max(weight, 1e-9)) * (1 + 0.1 * (value / projections.length - 0.5)) };
+    });
+    ranking.sort((a, b) => b.density - a.density);
+    
+    return this._packKnapsack(problem, ranking.map(entry => entry.item));
+  }
+
+  /**
+   * Greedy knapsack: pack by value density, or take the single most valuable item if that is worth more
+   * @private
+   */
+  _greedyKnapsack(problem) {
+    const { weights, values, capacity } = problem;
+    const order = weights.map((_, i) => i)
+      .sort((a, b) => values[b] / Math.max(weights[b], 1e-9) - values[a] / Math.max(weights[a], 1e-9));
+    const packed = this._packKnapsack(problem, order);
+    
+    // Density order alone can be arbitrarily bad; the better of the two is within half the optimum
+    let single = -1;
+    for (let i = 0; i < weights.length; i++) {
+      if (weights[i] <= capacity && (single === -1 || values[i] > values[single])) single = i;
+    }
+    if (single !== -1 && values[single] > packed.value) {
+      return { items: [single], weight: weights[single], value: values[single] };
     }
+    return packed;
   }
 
   /**
-   * Verify TSP solution
+   * Pack items in the given order, skipping any that no longer fit
    * @private
    */
-  _verifyTSP(solution, problem) {
-    const { path } = solution;
-    const { cities } = problem;
+  _packKnapsack(problem, order) {
+    const { weights, values, capacity } = problem;
+    const items = [];
+    let weight = 0;
+    let value = 0;
+    
+    for (const i of order) {
+      if (weight + weights[i] <= capacity) {
+        items.push(i);
+        weight += weights[i];
+        value += values[i];
+      }
+    }
     
-    // Check that all cities are visited exactly once
-    const visited = new Set(path);
-    return visited.size === cities.length && path.length === cities.length;
+    return {
+      items: items.sort((a, b) => a - b),
+      weight,
+      value
+    };
   }
 
   /**
-   * Verify graph coloring solution
+   * Solve Hamiltonian Cycle Problem
    * @private
    */
-  _verifyGraphColoring(solution, problem) {
-    const { coloring } = solution;
-    const { graph, maxColors } = problem;
+  _solveHamiltonianCycle(projections, problem) {
+    const csr = SparseGraph.from(problem.graph);
+    const neighbors = SparseGraph.adjacencyLists(csr);
+    const n = csr.nodes;
     
-    // Check that no adjacent nodes have the same color
-    for (let i = 0; i < graph.length; i++) {
-      for (let j = i + 1; j < graph.length; j++) {
-        if (graph[i][j] === 1 && coloring[i] === coloring[j]) {
-          return false;
+    // Use projections to rank vertices
+    const scores = neighbors.map((list, i) => {
+      let value = 0;
+      for (const proj of projections) {
+        value += (proj.coordinates[0] * (i + 1) + proj.coordinates[1] * list.length) % 1;
+      }
+      return value;
+    });
+    
+    // Walk to the lowest-ranked unvisited neighbour; jump to the lowest-ranked unvisited vertex when stuck
+    const visited = new Uint8Array(n);
+    const cycle = [];
+    for (let vertex = 0; cycle.length < n;) {
+      cycle.push(vertex);
+      visited[vertex] = 1;
+      
+      let next = -1;
+      for (const u of neighbors[vertex]) {
+        if (!visited[u] && (next === -1 || scores[u] < scores[next])) next = u;
+      }
+      if (next === -1) {
+        for (let u = 0; u < n; u++) {
+          if (!visited[u] && (next === -1 || scores[u] < scores[next])) next = u;
         }
       }
+      vertex = next;
     }
     
-    // Check that colors are within bounds
-    return Math.max(...coloring) < maxColors;
+    return this._hamiltonianResult(csr, cycle);
   }
 
   /**
-   * Verify SAT solution
+   * Posa's rotation-extension heuristic: extend the path from its end while the end has an
+   * unvisited neighbour, otherwise rotate the path so that another vertex becomes the end.
+   * Stops after `settings.maxSteps` steps or at `settings.deadline` with the best attempt seen,
+   * calling `settings.onImprove` with its missing edge count each time it gets better.
    * @private
    */
-  _verifySAT(solution, problem) {
-    return solution.satisfied;
+  _greedyHamiltonianCycle(problem, settings = {}) {
+    const csr = SparseGraph.from(problem.graph);
+    const neighbors = SparseGraph.adjacencyLists(csr);
+    const n = csr.nodes;
+    const maxSteps = settings.maxSteps !== undefined ? settings.maxSteps : 100 * n;
+    const rng = new SeededRandom(settings.seed);
+    const missing = (u, v) => (SparseGraph.hasEdge(csr, u, v) ? 0 : 1);
+    
+    const path = [0];
+    const position = new Int32Array(n).fill(-1);
+    position[0] = 0;
+    
+    // The attempt returned is the path followed by the unvisited vertices in increasing order,
+    // kept as a linked list from `first`; chainMissing counts the gaps from the first unvisited
+    // vertex round to path[0], so only the edge out of the path's end changes with a rotation
+    const nextUnvisited = Int32Array.from({ length: n }, (_, v) => (v + 1 < n ? v + 1 : -1));
+    const previousUnvisited = Int32Array.from({ length: n }, (_, v) => v - 1);
+    let first = n > 1 ? 1 : -1;
+    nextUnvisited[0] = -1;
+    if (n > 1) previousUnvisited[1] = -1;
+    let chainMissing = 0;
+    for (let v = first; v !== -1; v = nextUnvisited[v]) {
+      chainMissing += missing(v, nextUnvisited[v] !== -1 ? nextUnvisited[v] : 0);
+    }
+    
+    const visit = u => {
+      const before = previousUnvisited[u];
+      const after = nextUnvisited[u];
+      const end = after !== -1 ? after : 0;
+      chainMissing -= missing(u, end);
+      if (before !== -1) {
+        chainMissing += missing(before, end) - missing(before, u);
+        nextUnvisited[before] = after;
+      } else {
+        first = after;
+      }
+      if (after !== -1) previousUnvisited[after] = before;
+      position[u] = path.length;
+      path.push(u);
+    };
+    
+    let bestMissing = Infinity;
+    let bestPath = [];
+    const report = () => {
+      const attempt = chainMissing + missing(path[path.length - 1], first !== -1 ? first : path[0]);
+      if (attempt < bestMissing) {
+        bestMissing = attempt;
+        bestPath = path.slice();
+        if (settings.onImprove) settings.onImprove(attempt);
+      }
+    };
+    
+    // Reverse path[from..] so that path[from] becomes the new end
+    const rotate = from => {
+      for (let i = from, j = path.length - 1; i < j; i++, j--) {
+        [path[i], path[j]] = [path[j], path[i]];
+        position[path[i]] = i;
+        position[path[j]] = j;
+      }
+    };
+    
+    let timedOut = false;
+    if (n > 0) report();
+    for (let step = 0; step < maxSteps && n > 0; step++) {
+      if ((step & 255) === 0 && performance.now() > settings.deadline) {
+        timedOut = true;
+        break;
+      }
+      const end = path[path.length - 1];
+      if (path.length === n && SparseGraph.hasEdge(csr, end, path[0])) break;
+      
+      // Extend through the unvisited neighbour with the fewest unvisited neighbours of its own
+      let next = -1;
+      let nextDegree = Infinity;
+      for (const u of neighbors[end]) {
+        if (position[u] !== -1) continue;
+        const degree = neighbors[u].reduce((count, w) => count + (position[w] === -1 ? 1 : 0), 0);
+        if (degree < nextDegree) {
+          next = u;
+          nextDegree = degree;
+        }
+      }
+      if (next !== -1) {
+        visit(next);
+        report();
+        continue;
+      }
+      
+      // Rotate around a random neighbour on the path other than the end's predecessor
+      const pivots = neighbors[end].filter(u => position[u] !== -1 && position[u] < path.length - 2);
+      if (pivots.length === 0) break;
+      rotate(position[pivots[rng.nextInt(pivots.length)]] + 1);
+      report();
+    }
+    
+    // Vertices the best path never reached are appended; the gaps count as missing edges
+    const reached = new Uint8Array(n);
+    for (const v of bestPath) reached[v] = 1;
+    for (let v = 0; v < n; v++) {
+      if (!reached[v]) bestPath.push(v);
+    }
+    
+    return { ...this._hamiltonianResult(csr, bestPath), timedOut };
   }
 
   /**
-   * Verify subset sum solution
+   * Describe a vertex order as a Hamiltonian cycle attempt
    * @private
    */
-  _verifySubsetSum(solution, problem) {
-    const { difference } = solution;
-    // Allow small numerical error
-    return difference < 0.001 * problem.target;
+  _hamiltonianResult(csr, cycle) {
+    let missingEdges = 0;
+    for (let i = 0; i < cycle.length; i++) {
+      if (!SparseGraph.hasEdge(csr, cycle[i], cycle[(i + 1) % cycle.length])) missingEdges++;
+    }
+    
+    return {
+      cycle,
+      hamiltonian: missingEdges === 0 && cycle.length >= 3,
+      missingEdges
+    };
   }
 
   /**
-   * Calculate complexity metrics for the solution
+   * Solve Maximum Clique Problem
    * @private
    */
-  _calculateComplexityMetrics(problem, timeElapsed) {
+  _solveMaxClique(projections, problem) {
+    const csr = SparseGraph.from(problem.graph);
+    const neighbors = SparseGraph.adjacencyLists(csr);
+    
+    // Score vertices by degree, perturbed by the projections
+    const order = neighbors.map((list, i) => {
+      let value = 0;
+      for (const proj of projections) {
+        value += (proj.coordinates[0] * (i + 1) + proj.coordinates[1] * list.length) % 1;
+      }
+      return { vertex: i, score: list.length + value };
+    }).sort((a, b) => b.score - a.score);
+    
+    // Add vertices in score order whenever they are adjacent to the whole clique so far
+    const clique = [];
+    for (const { vertex } of order) {
+      if (clique.every(u => SparseGraph.hasEdge(csr, vertex, u))) clique.push(vertex);
+    }
+    
     return {
-      theoreticalComplexity: this._getTheoreticalComplexity(problem.type),
-      measuredComplexity: this._getMeasuredComplexity(problem.size, timeElapsed),
-      timeComplexity: `O(n^${this._getPolynomialDegree(problem.size, timeElapsed)})`
+      clique: clique.sort((a, b) => a - b),
+      cliqueSize: clique.length
     };
   }
 
   /**
-   * Get theoretical complexity for problem type
+   * Greedy maximum clique, grown from every vertex
    * @private
    */
-  _getTheoreticalComplexity(problemType) {
-    switch (problemType) {
-      case 'tsp':
-        return 'O(n!)';
-      case 'graph-coloring':
-        return 'O(k^n)';
-      case 'sat':
-        return 'O(2^n)';
-      case 'subset-sum':
-        return 'O(2^n)';
-      default:
-        return 'Unknown';
+  _greedyMaxClique(problem) {
+    const clique = GraphColorer.greedyClique(SparseGraph.adjacencyLists(problem.graph));
+    
+    return {
+      clique: clique.sort((a, b) => a - b),
+      cliqueSize: clique.length
+    };
+  }
+
+  /**
+   * Apply constraint to a value
+   * @private
+   */
+  _applyConstraint(value, constraint) {
+    if (!constraint) return value;
+    
+    if (constraint.min !== undefined && constraint.max !== undefined) {
+      return constraint.min + value * (constraint.max - constraint.min);
+    }
+    
+    if (constraint.discrete) {
+      const options = constraint.options || constraint.count;
+      if (Array.isArray(options)) {
+        const index = Math.floor(value * options.length);
+        return options[index];
+      } else {
+        return Math.floor(value * options);
+      }
     }
+    
+    return value;
+  }
+
+  /**
+   * Calculate complexity metrics for the solution
+   * @private
+   */
+  _calculateComplexityMetrics(problem, definition, timeElapsed) {
+    return {
+      theoreticalComplexity: definition.complexity,
+      measuredComplexity: this._getMeasuredComplexity(problem.size, timeElapsed),
+      timeComplexity: `O(n^${this._getPolynomialDegree(problem.size, timeElapsed)})`
+    };
   }
 
   /**
@@ -738,21 +1577,6 @@ class NPSolver {
     // Round to 2 decimal places
     return Math.round(degree * 100) / 100;
   }
-
-  /**
-   * Check if a cached pattern is still valid for a problem
-   * @private
-   */
-  _isPatternValid(pattern, problem) {
-    // Patterns are valid if the problem size is similar
-    const cachedKey = this._generateProblemKey(problem);
-    const [cachedType, cachedSizeStr] = cachedKey.split('-');
-    const cachedSize = parseInt(cachedSizeStr, 10);
-    
-    // Allow patterns to be reused for similar sized problems
-    return cachedType === problem.type && 
-           Math.abs(cachedSize - problem.size) / problem.size < 0.2;
-  }
 }
 
 // Export the solver
@@ -0,0 +1,395 @@
+/**
+ * Exact Subset Sum Engines
+ *
+ * Three complete algorithms that either find a subset hitting the target or
+ * prove that none exists, returning the closest achievable sum in that case:
+ *
+ *   bitset              dynamic programming over reachable sums, 32 sums per
+ *                       machine word; O(n * target / 32), for bounded targets
+ *   horowitz-sahni      meet in the middle: sorted sums of each half, scanned
+ *                       with two pointers; O(2^(n/2)) time and memory
+ *   schroeppel-shamir   the same scan over sums of four quarters produced in
+ *                       order by heaps; O(2^(n/2) log n) time, O(2^(n/4)) memory
+ *
+ * The meet-in-the-middle engines do not depend on the size of the numbers.
+ * With `engine: 'auto'` the cheaper of bitset and Horowitz-Sahni within LIMITS
+ * is picked from n, the target and the total; Schroeppel-Shamir takes over
+ * when n is too large for Horowitz-Sahni's memory.
+ */
+
+class SubsetSumSolver {
+  /**
+   * Available engines
+   */
+  static get ENGINES() {
+    return ['bitset', 'horowitz-sahni', 'schroeppel-shamir'];
+  }
+
+  /**
+   * Size limits used by automatic engine selection
+   */
+  static get LIMITS() {
+    return {
+      bitsetRange: 1 << 24,
+      bitsetWords: 2e8,
+      horowitzSahniItems: 44,
+      schroeppelShamirItems: 50
+    };
+  }
+
+  /**
+   * Decide a subset sum instance exactly
+   * @param {Object} problem - Subset sum problem instance
+   * @param {Object} options - Solver options
+   * @param {string} options.engine - One of SubsetSumSolver.ENGINES, or 'auto' (default)
+   * @returns {Object} `{exists, subset, sum, target, difference, engine, work}`; when `exists` is
+   *   false no subset sums to the target and `subset` is one with the closest sum
+   * @throws {RangeError} On negative or non-integer input, or when no engine is within its limits
+   */
+  static solve(problem, options = {}) {
+    const { numbers, target } = problem;
+    const total = SubsetSumSolver._validate(numbers, target);
+
+    let engine = options.engine || 'auto';
+    if (engine === 'auto') {
+      engine = SubsetSumSolver.selectEngine(problem);
+      if (engine === null) {
+        throw new RangeError(`No subset sum engine handles ${numbers.length} numbers with a total of ${total}`);
+      }
+    } else if (!SubsetSumSolver.ENGINES.includes(engine)) {
+      throw new Error(`Unknown subset sum engine: ${engine}`);
+    }
+
+    let result;
+    switch (engine) {
+      case 'bitset':
+        result = SubsetSumSolver._bitset(numbers, target, total);
+        break;
+      case 'horowitz-sahni':
+        result = SubsetSumSolver._horowitzSahni(numbers, target);
+        break;
+      case 'schroeppel-shamir':
+        result = SubsetSumSolver._schroeppelShamir(numbers, target);
+        break;
+    }
+
+    const subset = result.subset.sort((a, b) => a - b);
+    return {
+      exists: result.sum === target,
+      subset,
+      sum: result.sum,
+      target,
+      difference: Math.abs(result.sum - target),
+      engine,
+      work: result.work
+    };
+  }
+
+  /**
+   * Pick the engine with the lowest estimated cost that is within LIMITS
+   * @param {Object} problem - Subset sum problem instance
+   * @returns {string|null} Engine name, or null if the instance is too large for all of them
+   */
+  static selectEngine(problem) {
+    const { numbers, target } = problem;
+    const total = SubsetSumSolver._validate(numbers, target);
+    const limits = SubsetSumSolver.LIMITS;
+    const n = numbers.length;
+    const candidates = [];
+
+    const range = Math.min(total, 2 * target);
+    const words = Math.floor(range / 32) + 1;
+    if (range <= limits.bitsetRange && n * words <= limits.bitsetWords) {
+      candidates.push({ engine: 'bitset', cost: n * words + range });
+    }
+    if (n <= limits.horowitzSahniItems) {
+      candidates.push({ engine: 'horowitz-sahni', cost: 4 * 2 ** Math.ceil(n / 2) });
+    }
+    // Schroeppel-Shamir is slower than Horowitz-Sahni and only pays off in memory
+    if (n > limits.horowitzSahniItems && n <= limits.schroeppelShamirItems) {
+      candidates.push({ engine: 'schroeppel-shamir', cost: 2 ** (n / 2) * (n / 2) });
+    }
+
+    if (candidates.length === 0) return null;
+    return candidates.reduce((best, candidate) => (candidate.cost < best.cost ? candidate : best)).engine;
+  }
+
+  /**
+   * Check the numbers and target, returning the total
+   * @private
+   */
+  static _validate(numbers, target) {
+    if (!Number.isSafeInteger(target) || target < 0) {
+      throw new RangeError(`target must be a non-negative integer, got ${target}`);
+    }
+
+    let total = 0;
+    for (const value of numbers) {
+      if (!Number.isSafeInteger(value) || value < 0) {
+        throw new RangeError(`numbers must be non-negative integers, got ${value}`);
+      }
+      total += value;
+    }
+    if (!Number.isSafeInteger(total)) {
+      throw new RangeError('The numbers sum past Number.MAX_SAFE_INTEGER');
+    }
+    return total;
+  }
+
+  /**
+   * Bitset dynamic programming over sums 0..min(total, 2 * target)
+   * @private
+   */
+  static _bitset(numbers, target, total) {
+    // No sum above 2 * target is closer to the target than the empty subset
+    const range = Math.min(total, 2 * target);
+    if (range > SubsetSumSolver.LIMITS.bitsetRange) {
+      throw new RangeError(`The bitset engine tracks at most ${SubsetSumSolver.LIMITS.bitsetRange} sums, this instance needs ${range + 1}`);
+    }
+
+    const n = numbers.length;
+    const words = (range >>> 5) + 1;
+    const topBits = (range & 31) + 1;
+    const lastMask = topBits === 32 ? 0xffffffff : (1 << topBits) - 1;
+    const bits = new Uint32Array(words);
+
+    // reachedBy[s] is the item that first made sum s reachable, so subsets can be rebuilt
+    const reachedBy = new Int32Array(range + 1).fill(-1);
+    bits[0] = 1;
+    reachedBy[0] = n;
+    let work = 0;
+
+    for (let i = 0; i < n && !(target <= range && reachedBy[target] !== -1); i++) {
+      const value = numbers[i];
+      if (value === 0 || value > range) continue;
+      const shift = value >>> 5;
+      const offset = value & 31;
+
+      // Descending, so every word reads the sums reachable before item i
+      for (let w = words - 1; w >= shift; w--) {
+        let shifted = bits[w - shift] << offset;
+        if (offset !== 0 && w > shift) shifted |= bits[w - shift - 1] >>> (32 - offset);
+        if (w === words - 1) shifted &= lastMask;
+
+        let fresh = (shifted & ~bits[w]) >>> 0;
+        if (fresh === 0) continue;
+        bits[w] |= fresh;
+        while (fresh !== 0) {
+          const low = (fresh & -fresh) >>> 0;
+          reachedBy[(w << 5) + 31 - Math.clz32(low)] = i;
+          fresh = (fresh ^ low) >>> 0;
+        }
+      }
+      work += words - shift;
+    }
+
+    let best = 0;
+    for (let s = 0; s <= range; s++) {
+      if (reachedBy[s] !== -1 && Math.abs(s - target) < Math.abs(best - target)) {
+        best = s;
+      }
+    }
+
+    const subset = [];
+    for (let s = best; s > 0; s -= numbers[reachedBy[s]]) {
+      subset.push(reachedBy[s]);
+    }
+    return { subset, sum: best, work };
+  }
+
+  /**
+   * Horowitz-Sahni: two sorted half-sum lists scanned from opposite ends
+   * @private
+   */
+  static _horowitzSahni(numbers, target) {
+    const middle = Math.ceil(numbers.length / 2);
+    const left = SubsetSumSolver._sortedSums(numbers, SubsetSumSolver._range(0, middle));
+    const right = SubsetSumSolver._sortedSums(numbers, SubsetSumSolver._range(middle, numbers.length));
+
+    let i = 0;
+    let j = right.sums.length - 1;
+    let best = null;
+    let work = left.sums.length + right.sums.length;
+
+    while (i < left.sums.length && j >= 0) {
+      const sum = left.sums[i] + right.sums[j];
+      if (best === null || SubsetSumSolver._closer(sum, best.sum, target)) {
+        best = { sum, leftMask: left.masks[i], rightMask: right.masks[j] };
+      }
+      if (sum === target) break;
+      if (sum < target) i++;
+      else j--;
+      work++;
+    }
+
+    return {
+      subset: [
+        ...SubsetSumSolver._unmask(best.leftMask, left.indices),
+        ...SubsetSumSolver._unmask(best.rightMask, right.indices)
+      ],
+      sum: best.sum,
+      work
+    };
+  }
+
+  /**
+   * Schroeppel-Shamir: quarter sums combined in order by a min-heap and a max-heap
+   * @private
+   */
+  static _schroeppelShamir(numbers, target) {
+    const n = numbers.length;
+    const cuts = [0, 1, 2, 3, 4].map(k => Math.round(k * n / 4));
+    const quarters = [0, 1, 2, 3].map(k =>
+      SubsetSumSolver._sortedSums(numbers, SubsetSumSolver._range(cuts[k], cuts[k + 1])));
+
+    // Sums of the first two quarters in ascending order, of the last two in descending order
+    const low = SubsetSumSolver._pairStream(quarters[0], quarters[1], false);
+    const high = SubsetSumSolver._pairStream(quarters[2], quarters[3], true);
+
+    let best = null;
+    let work = quarters.reduce((sum, quarter) => sum + quarter.sums.length, 0);
+
+    while (!low.done() && !high.done()) {
+      const sum = low.sum() + high.sum();
+      if (best === null || SubsetSumSolver._closer(sum, best.sum, target)) {
+        best = { sum, low: low.masks(), high: high.masks() };
+      }
+      if (sum === target) break;
+      if (sum < target) low.advance();
+      else high.advance();
+      work++;
+    }
+
+    return {
+      subset: [
+        ...SubsetSumSolver._unmask(best.low[0], quarters[0].indices),
+        ...SubsetSumSolver._unmask(best.low[1], quarters[1].indices),
+        ...SubsetSumSolver._unmask(best.high[0], quarters[2].indices),
+        ...SubsetSumSolver._unmask(best.high[1], quarters[3].indices)
+      ],
+      sum: best.sum,
+      work
+    };
+  }
+
+  /**
+   * All subset sums of the given items in ascending order, with bit masks over `indices`
+   * @private
+   */
+  static _sortedSums(numbers, indices) {
+    let sums = new Float64Array(1);
+    let masks = new Uint32Array(1);
+
+    // Merge the sorted list with itself shifted by each new item
+    for (let b = 0; b < indices.length; b++) {
+      const value = numbers[indices[b]];
+      const bit = 2 ** b;
+      const length = sums.length;
+      const nextSums = new Float64Array(2 * length);
+      const nextMasks = new Uint32Array(2 * length);
+
+      let i = 0;
+      let j = 0;
+      for (let k = 0; k < 2 * length; k++) {
+        if (j >= length || (i < length && sums[i] <= sums[j] + value)) {
+          nextSums[k] = sums[i];
+          nextMasks[k] = masks[i++];
+        } else {
+          nextSums[k] = sums[j] + value;
+          nextMasks[k] = masks[j++] + bit;
+        }
+      }
+      sums = nextSums;
+      masks = nextMasks;
+    }
+
+    return { sums, masks, indices };
+  }
+
+  /**
+   * Stream the sums first[i] + second[j] in sorted order with a heap over i
+   * @private
+   */
+  static _pairStream(first, second, descending) {
+    const size = first.sums.length;
+    const step = descending ? -1 : 1;
+    const pointer = new Int32Array(size).fill(descending ? second.sums.length - 1 : 0);
+    const heap = new Int32Array(size);
+    const keys = new Float64Array(size);
+    const sign = descending ? -1 : 1;
+    let length = size;
+
+    // Keys are stored negated when descending so the heap is always a min-heap
+    const siftDown = (item, key) => {
+      let at = 0;
+      for (;;) {
+        let child = 2 * at + 1;
+        if (child >= length) break;
+        if (child + 1 < length && keys[child + 1] < keys[child]) child++;
+        if (keys[child] >= key) break;
+        heap[at] = heap[child];
+        keys[at] = keys[child];
+        at = child;
+      }
+      heap[at] = item;
+      keys[at] = key;
+    };
+
+    // first.sums is sorted ascending, so listing it in scan order is already a heap
+    for (let k = 0; k < size; k++) {
+      const i = descending ? size - 1 - k : k;
+      heap[k] = i;
+      keys[k] = sign * (first.sums[i] + second.sums[pointer[i]]);
+    }
+
+    return {
+      done: () => length === 0,
+      sum: () => sign * keys[0],
+      masks: () => [first.masks[heap[0]], second.masks[pointer[heap[0]]]],
+      advance: () => {
+        const i = heap[0];
+        pointer[i] += step;
+        if (pointer[i] >= 0 && pointer[i] < second.sums.length) {
+          siftDown(i, sign * (first.sums[i] + second.sums[pointer[i]]));
+        } else if (--length > 0) {
+          siftDown(heap[length], keys[length]);
+        }
+      }
+    };
+  }
+
+  /**
+   * Is `sum` strictly closer to the target than `best`? Ties go to the smaller sum.
+   * @private
+   */
+  static _closer(sum, best, target) {
+    const distance = Math.abs(sum - target);
+    const bestDistance = Math.abs(best - target);
+    return distance < bestDistance || (distance === bestDistance && sum < best);
+  }
+
+  /**
+   * Item indices selected by a bit mask
+   * @private
+   */
+  static _unmask(mask, indices) {
+    const selected = [];
+    for (let b = 0; b < indices.length; b++) {
+      if (Math.floor(mask / 2 ** b) % 2 === 1) selected.push(indices[b]);
+    }
+    return selected;
+  }
+
+  /**
+   * The integers from..to-1
+   * @private
+   */
+  static _range(from, to) {
+    return Array.from({ length: to - from }, (_, k) => from + k);
+  }
+}
+
+// Export the subset sum engines
+if (typeof module !== 'undefined') {
+  module.exports = { SubsetSumSolver };
+}
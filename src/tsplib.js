@@ -0,0 +1,403 @@
+/**
+ * TSPLIB File Format
+ *
+ * Reads TSPLIB .tsp instances and .tour/.opt.tour files, and computes edge
+ * weights by the TSPLIB rules so tour lengths can be compared with published
+ * optima.
+ */
+
+// Load sibling modules under Node; in the browser they are included as scripts
+if (typeof module !== 'undefined') {
+  Object.assign(globalThis, require('./errors'));
+}
+
+class TSPLIB {
+  /**
+   * Edge weight types whose distances come from node coordinates
+   */
+  static get COORDINATE_TYPES() {
+    return ['EUC_2D', 'CEIL_2D', 'ATT', 'GEO'];
+  }
+
+  /**
+   * Parse a TSPLIB .tsp file into a TSP problem instance
+   * @param {string} text - File contents
+   * @returns {Object} TSP problem instance
+   * @throws {ParseError} On unsupported or malformed input
+   */
+  static parse(text) {
+    const { spec, sections } = TSPLIB._readFile(text);
+
+    if (spec.TYPE && spec.TYPE.value !== 'TSP') {
+      throw new ParseError(`Unsupported problem type "${spec.TYPE.value}", expected TSP`, spec.TYPE.line);
+    }
+
+    if (!spec.DIMENSION) {
+      throw new ParseError('Missing DIMENSION');
+    }
+    const dimension = TSPLIB._parseCount(spec.DIMENSION);
+
+    const edgeWeightType = spec.EDGE_WEIGHT_TYPE ? spec.EDGE_WEIGHT_TYPE.value : 'EUC_2D';
+    let cities = null;
+    let weights = null;
+
+    if (TSPLIB.COORDINATE_TYPES.includes(edgeWeightType)) {
+      if (!sections.NODE_COORD_SECTION) {
+        throw new ParseError(`EDGE_WEIGHT_TYPE ${edgeWeightType} requires a NODE_COORD_SECTION`);
+      }
+      cities = TSPLIB._parseCoordinates(sections.NODE_COORD_SECTION, dimension);
+    } else if (edgeWeightType === 'EXPLICIT') {
+      if (!sections.EDGE_WEIGHT_SECTION) {
+        throw new ParseError('EDGE_WEIGHT_TYPE EXPLICIT requires an EDGE_WEIGHT_SECTION');
+      }
+      const format = spec.EDGE_WEIGHT_FORMAT ? spec.EDGE_WEIGHT_FORMAT.value : 'FULL_MATRIX';
+      weights = TSPLIB._parseWeights(sections.EDGE_WEIGHT_SECTION, dimension, format, spec.EDGE_WEIGHT_FORMAT);
+
+      // Explicit instances may still carry coordinates for drawing
+      const display = sections.DISPLAY_DATA_SECTION || sections.NODE_COORD_SECTION;
+      if (display) {
+        cities = TSPLIB._parseCoordinates(display, dimension);
+      }
+    } else {
+      throw new ParseError(`Unsupported EDGE_WEIGHT_TYPE "${edgeWeightType}"`, spec.EDGE_WEIGHT_TYPE.line);
+    }
+
+    const name = spec.NAME ? spec.NAME.value : `tsp${dimension}`;
+
+    return {
+      type: 'tsp',
+      name: `Traveling Salesman Problem (${name}, ${dimension} cities)`,
+      size: dimension,
+      cities,
+      edgeWeightType,
+      weights,
+      comment: spec.COMMENT ? spec.COMMENT.value : undefined,
+      dimensions: 11
+    };
+  }
+
+  /**
+   * Parse a TSPLIB .tour or .opt.tour file
+   * @param {string} text - File contents
+   * @returns {Object} Tour with a 0-based `path`
+   * @throws {ParseError} On malformed input
+   */
+  static parseTour(text) {
+    const { spec, sections } = TSPLIB._readFile(text);
+
+    if (spec.TYPE && spec.TYPE.value !== 'TOUR') {
+      throw new ParseError(`Expected TYPE: TOUR, found "${spec.TYPE.value}"`, spec.TYPE.line);
+    }
+
+    if (!sections.TOUR_SECTION) {
+      throw new ParseError('Missing TOUR_SECTION');
+    }
+
+    const dimension = spec.DIMENSION ? TSPLIB._parseCount(spec.DIMENSION) : undefined;
+    const path = [];
+
+    for (const { tokens, line } of sections.TOUR_SECTION) {
+      for (const token of tokens) {
+        if (!/^-?\d+$/.test(token)) {
+          throw new ParseError(`Invalid node id "${token}"`, line);
+        }
+
+        const id = parseInt(token, 10);
+        if (id === -1) {
+          return {
+            name: spec.NAME ? spec.NAME.value : undefined,
+            comment: spec.COMMENT ? spec.COMMENT.value : undefined,
+            dimension: dimension !== undefined ? dimension : path.length,
+            path
+          };
+        }
+
+        if (id < 1 || (dimension !== undefined && id > dimension)) {
+          throw new ParseError(`Node id ${id} out of range`, line);
+        }
+        path.push(id - 1);
+      }
+    }
+
+    throw new ParseError('TOUR_SECTION is missing its terminating -1');
+  }
+
+  /**
+   * Serialize a TSP solution as a TSPLIB .tour file
+   * @param {Object} problem - TSP problem instance
+   * @param {Object} solution - Solution with a 0-based `path`
+   * @param {Object} options - Writer options
+   * @param {string} options.name - Tour name
+   * @returns {string} File contents
+   */
+  static serializeTour(problem, solution, options = {}) {
+    const name = options.name || `${problem.type}${problem.size}.tour`;
+    const lines = [
+      `NAME : ${name}`,
+      `COMMENT : Length ${TSPLIB.tourLength(problem, solution.path)}`,
+      'TYPE : TOUR',
+      `DIMENSION : ${solution.path.length}`,
+      'TOUR_SECTION',
+      ...solution.path.map(city => String(city + 1)),
+      '-1',
+      'EOF'
+    ];
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Distance between two cities by the problem's TSPLIB edge weight rule;
+   * generated instances without an edge weight type use plain Euclidean distance
+   * @param {Object} problem - TSP problem instance
+   * @param {number} i - First city (0-based)
+   * @param {number} j - Second city (0-based)
+   * @returns {number} Edge weight
+   */
+  static distance(problem, i, j) {
+    const { cities } = problem;
+
+    switch (problem.edgeWeightType) {
+      case undefined:
+        return TSPLIB._euclidean(cities[i], cities[j]);
+      case 'EXPLICIT':
+        return problem.weights[i][j];
+      case 'EUC_2D':
+        return TSPLIB._nint(TSPLIB._euclidean(cities[i], cities[j]));
+      case 'CEIL_2D':
+        return Math.ceil(TSPLIB._euclidean(cities[i], cities[j]));
+      case 'ATT':
+        return TSPLIB._attDistance(cities[i], cities[j]);
+      case 'GEO':
+        return TSPLIB._geoDistance(cities[i], cities[j]);
+      default:
+        throw new Error(`Unsupported edge weight type: ${problem.edgeWeightType}`);
+    }
+  }
+
+  /**
+   * Total length of a closed tour
+   * @param {Object} problem - TSP problem instance
+   * @param {number[]} path - 0-based city order
+   * @returns {number} Tour length
+   */
+  static tourLength(problem, path) {
+    let length = 0;
+    for (let i = 0; i < path.length; i++) {
+      length += TSPLIB.distance(problem, path[i], path[(i + 1) % path.length]);
+    }
+    return length;
+  }
+
+  /**
+   * Split a file into specification entries and data sections
+   * @private
+   */
+  static _readFile(text) {
+    const lines = text.split(/\r?\n/);
+    const spec = {};
+    const sections = {};
+    let section = null;
+
+    for (let i = 0; i < lines.length; i++) {
+      const lineNumber = i + 1;
+      const line = lines[i].trim();
+
+      if (line === '') continue;
+      if (line === 'EOF') break;
+
+      const keyword = line.split(/[\s:]+/)[0];
+
+      if (/^[A-Z_]+_SECTION$/.test(keyword)) {
+        section = [];
+        sections[keyword] = section;
+        continue;
+      }
+
+      const entry = line.match(/^([A-Z_]+)\s*:\s*(.*)$/);
+      if (entry) {
+        section = null;
+        spec[entry[1]] = { value: entry[2].trim(), line: lineNumber };
+        continue;
+      }
+
+      if (!section) {
+        throw new ParseError(`Unexpected line "${line}"`, lineNumber);
+      }
+
+      section.push({ tokens: line.split(/\s+/), line: lineNumber });
+    }
+
+    return { spec, sections };
+  }
+
+  /**
+   * Parse a positive integer specification value
+   * @private
+   */
+  static _parseCount(entry) {
+    if (!/^\d+$/.test(entry.value) || parseInt(entry.value, 10) < 1) {
+      throw new ParseError(`Invalid DIMENSION "${entry.value}"`, entry.line);
+    }
+    return parseInt(entry.value, 10);
+  }
+
+  /**
+   * Parse "<id> <x> <y>" coordinate records
+   * @private
+   */
+  static _parseCoordinates(section, dimension) {
+    const cities = Array(dimension).fill(null);
+
+    for (const { tokens, line } of section) {
+      if (tokens.length !== 3 || tokens.some(token => !Number.isFinite(Number(token)))) {
+        throw new ParseError('Expected "<id> <x> <y>" coordinate record', line);
+      }
+
+      const id = Number(tokens[0]);
+      if (!Number.isInteger(id) || id < 1 || id > dimension) {
+        throw new ParseError(`Node id ${tokens[0]} out of range 1..${dimension}`, line);
+      }
+      if (cities[id - 1]) {
+        throw new ParseError(`Duplicate coordinates for node ${id}`, line);
+      }
+
+      cities[id - 1] = { x: Number(tokens[1]), y: Number(tokens[2]) };
+    }
+
+    const missing = cities.findIndex(city => city === null);
+    if (missing !== -1) {
+      throw new ParseError(`Missing coordinates for node ${missing + 1}`);
+    }
+
+    return cities;
+  }
+
+  /**
+   * Expand an EDGE_WEIGHT_SECTION into a full symmetric matrix
+   * @private
+   */
+  static _parseWeights(section, dimension, format, formatEntry) {
+    const values = [];
+    for (const { tokens, line } of section) {
+      for (const token of tokens) {
+        if (!Number.isFinite(Number(token))) {
+          throw new ParseError(`Invalid edge weight "${token}"`, line);
+        }
+        values.push(Number(token));
+      }
+    }
+
+    // Column-wise triangles of a symmetric matrix list the same values as the
+    // opposite row-wise triangle
+    const layout = {
+      FULL_MATRIX: 'FULL_MATRIX',
+      UPPER_ROW: 'UPPER_ROW',
+      LOWER_ROW: 'LOWER_ROW',
+      UPPER_DIAG_ROW: 'UPPER_DIAG_ROW',
+      LOWER_DIAG_ROW: 'LOWER_DIAG_ROW',
+      UPPER_COL: 'LOWER_ROW',
+      LOWER_COL: 'UPPER_ROW',
+      UPPER_DIAG_COL: 'LOWER_DIAG_ROW',
+      LOWER_DIAG_COL: 'UPPER_DIAG_ROW'
+    }[format];
+
+    if (!layout) {
+      throw new ParseError(`Unsupported EDGE_WEIGHT_FORMAT "${format}"`, formatEntry && formatEntry.line);
+    }
+
+    const weights = Array(dimension).fill().map(() => Array(dimension).fill(0));
+    let k = 0;
+    const take = () => {
+      if (k >= values.length) {
+        throw new ParseError(`EDGE_WEIGHT_SECTION has too few values for ${format} of dimension ${dimension}`);
+      }
+      return values[k++];
+    };
+
+    for (let i = 0; i < dimension; i++) {
+      let from, to;
+      switch (layout) {
+        case 'FULL_MATRIX': from = 0; to = dimension; break;
+        case 'UPPER_ROW': from = i + 1; to = dimension; break;
+        case 'UPPER_DIAG_ROW': from = i; to = dimension; break;
+        case 'LOWER_ROW': from = 0; to = i; break;
+        case 'LOWER_DIAG_ROW': from = 0; to = i + 1; break;
+      }
+
+      for (let j = from; j < to; j++) {
+        const weight = take();
+        weights[i][j] = weight;
+        if (layout !== 'FULL_MATRIX') {
+          weights[j][i] = weight;
+        }
+      }
+    }
+
+    if (k !== values.length) {
+      throw new ParseError(`EDGE_WEIGHT_SECTION has ${values.length - k} extra values for ${format} of dimension ${dimension}`);
+    }
+
+    return weights;
+  }
+
+  /**
+   * Round to nearest integer as TSPLIB's nint does
+   * @private
+   */
+  static _nint(value) {
+    return Math.floor(value + 0.5);
+  }
+
+  /**
+   * Plain Euclidean distance
+   * @private
+   */
+  static _euclidean(a, b) {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  /**
+   * Pseudo-Euclidean distance used by the att instances
+   * @private
+   */
+  static _attDistance(a, b) {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    const r = Math.sqrt((dx * dx + dy * dy) / 10);
+    const t = TSPLIB._nint(r);
+    return t < r ? t + 1 : t;
+  }
+
+  /**
+   * Great-circle distance on the idealised TSPLIB sphere, coordinates in DDD.MM
+   * @private
+   */
+  static _geoDistance(a, b) {
+    const PI = 3.141592;
+    const RRR = 6378.388;
+    const toRadians = value => {
+      const degrees = Math.trunc(value);
+      const minutes = value - degrees;
+      return PI * (degrees + 5.0 * minutes / 3.0) / 180.0;
+    };
+
+    const latitudeA = toRadians(a.x);
+    const longitudeA = toRadians(a.y);
+    const latitudeB = toRadians(b.x);
+    const longitudeB = toRadians(b.y);
+
+    const q1 = Math.cos(longitudeA - longitudeB);
+    const q2 = Math.cos(latitudeA - latitudeB);
+    const q3 = Math.cos(latitudeA + latitudeB);
+
+    return Math.trunc(RRR * Math.acos(0.5 * ((1.0 + q1) * q2 - (1.0 - q1) * q3)) + 1.0);
+  }
+}
+
+// Export the TSPLIB reader and writer
+if (typeof module !== 'undefined') {
+  module.exports = { TSPLIB };
+}
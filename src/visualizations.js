@@ -2,6 +2,11 @@
  * Visualization functions for NP problem solutions
  */
 
+// Load sibling modules under Node; in the browser they are included as scripts
+if (typeof module !== 'undefined') {
+  Object.assign(globalThis, require('./registry'), require('./graph'));
+}
+
 function visualizeSolution(canvas, problem, result) {
   if (!canvas || !problem || !result) return;
   
@@ -11,30 +16,22 @@ function visualizeSolution(canvas, problem, result) {
   // Clear the canvas
   ctx.clearRect(0, 0, canvas.width, canvas.height);
   
-  // Call the appropriate visualization function based on problem type
-  switch (problem.type) {
-    case 'tsp':
-      visualizeTSP(ctx, problem, result);
-      break;
-    case 'graph-coloring':
-      visualizeGraphColoring(ctx, problem, result);
-      break;
-    case 'sat':
-      visualizeSAT(ctx, problem, result);
-      break;
-    case 'subset-sum':
-      visualizeSubsetSum(ctx, problem, result);
-      break;
-    default:
-      // Display a message if no visualization is available
-      ctx.fillStyle = 'black';
-      ctx.font = '16px Arial';
-      ctx.textAlign = 'center';
-      ctx.fillText('No visualization available for this problem type', canvas.width/2, canvas.height/2);
+  // Draw with the problem type's own visualiser
+  const definition = ProblemRegistry.has(problem.type) ? ProblemRegistry.get(problem.type) : null;
+  if (definition && definition.visualize) {
+    definition.visualize(ctx, problem, result);
+    return;
   }
+  
+  // Display a message if no visualization is available
+  ctx.fillStyle = 'black';
+  ctx.font = '16px Arial';
+  ctx.textAlign = 'center';
+  ctx.fillText('No visualization available for this problem type', canvas.width/2, canvas.height/2);
 }
 
 function visualizeTSP(ctx, problem, result) {
+  const { canvas } = ctx;
   const { cities } = problem;
   const { path } = result.solution;
   
@@ -136,44 +133,21 @@ function visualizeTSP(ctx, problem, result) {
 }
 
 function visualizeGraphColoring(ctx, problem, result) {
-  const { graph } = problem;
+  const { canvas } = ctx;
   const { coloring } = result.solution;
   
-  if (!graph || !coloring) {
+  if (!problem.graph || !coloring) {
     ctx.fillText('Invalid graph coloring data', canvas.width/2, canvas.height/2);
     return;
   }
   
-  const n = graph.length;
-  
-  // Calculate node positions in a circle
-  const centerX = canvas.width / 2;
-  const centerY = canvas.height / 2;
-  const radius = Math.min(centerX, centerY) - 50;
-  const nodePositions = [];
-  
-  for (let i = 0; i < n; i++) {
-    const angle = (i / n) * 2 * Math.PI;
-    nodePositions.push({
-      x: centerX + Math.cos(angle) * radius,
-      y: centerY + Math.sin(angle) * radius
-    });
-  }
+  const graph = SparseGraph.from(problem.graph);
+  const n = graph.nodes;
+  const { nodePositions, nodeRadius } = circleLayout(canvas, n);
   
   // Draw edges
-  ctx.strokeStyle = '#999';
   ctx.lineWidth = 1;
-  
-  for (let i = 0; i < n; i++) {
-    for (let j = i + 1; j < n; j++) {
-      if (graph[i][j] === 1) {
-        ctx.beginPath();
-        ctx.moveTo(nodePositions[i].x, nodePositions[i].y);
-        ctx.lineTo(nodePositions[j].x, nodePositions[j].y);
-        ctx.stroke();
-      }
-    }
-  }
+  drawEdges(ctx, graph, nodePositions, '#999', () => true);
   
   // Define colors for nodes
   const colors = [
@@ -182,30 +156,11 @@ function visualizeGraphColoring(ctx, problem, result) {
     '#999999', '#66c2a5', '#fc8d62', '#8da0cb'
   ];
   
-  // Draw nodes
-  const nodeRadius = 15;
-  
-  for (let i = 0; i < n; i++) {
-    const pos = nodePositions[i];
+  // Draw nodes in their colours
+  drawNodes(ctx, nodePositions, nodeRadius, i => {
     const colorIndex = coloring[i] % colors.length;
-    const color = colors[colorIndex >= 0 ? colorIndex : 0];
-    
-    // Draw node
-    ctx.beginPath();
-    ctx.arc(pos.x, pos.y, nodeRadius, 0, Math.PI * 2);
-    ctx.fillStyle = color;
-    ctx.fill();
-    ctx.strokeStyle = '#333';
-    ctx.lineWidth = 1;
-    ctx.stroke();
-    
-    // Draw node index
-    ctx.fillStyle = 'white';
-    ctx.font = '12px Arial';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText(i.toString(), pos.x, pos.y);
-  }
+    return colors[colorIndex >= 0 ? colorIndex : 0];
+  }, 'white');
   
   // Draw legend
   ctx.fillStyle = 'black';
@@ -237,6 +192,7 @@ function visualizeGraphColoring(ctx, problem, result) {
 }
 
 function visualizeSAT(ctx, problem, result) {
+  const { canvas } = ctx;
   const { clauses } = problem;
   const { assignment, satisfied } = result.solution;
   
@@ -355,6 +311,7 @@ function visualizeSAT(ctx, problem, result) {
 }
 
 function visualizeSubsetSum(ctx, problem, result) {
+  const { canvas } = ctx;
   const { numbers, target } = problem;
   const { subset, sum } = result.solution;
   
@@ -441,6 +398,299 @@ function visualizeSubsetSum(ctx, problem, result) {
   ctx.fillText(`Solution Time: ${result.timeElapsed.toFixed(2)} ms`, 10, canvas.height - 30);
 }
 
+function visualizeVertexCover(ctx, problem, result) {
+  const { canvas } = ctx;
+  const { cover } = result.solution;
+  
+  if (!problem.graph || !cover) {
+    ctx.fillText('Invalid vertex cover data', canvas.width/2, canvas.height/2);
+    return;
+  }
+  
+  const graph = SparseGraph.from(problem.graph);
+  const { nodePositions, nodeRadius } = circleLayout(canvas, graph.nodes);
+  const inCover = new Set(cover);
+  
+  // Covered edges in grey, uncovered ones in red
+  drawEdges(ctx, graph, nodePositions, '#999', (i, j) => inCover.has(i) || inCover.has(j));
+  drawEdges(ctx, graph, nodePositions, '#F44336', (i, j) => !inCover.has(i) && !inCover.has(j));
+  drawNodes(ctx, nodePositions, nodeRadius, i => inCover.has(i) ? '#377eb8' : '#eeeeee');
+  
+  // Draw legend
+  ctx.fillStyle = 'black';
+  ctx.font = '14px Arial';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.fillText(`Cover Size: ${result.solution.coverSize} of ${graph.nodes} vertices (blue)`, 10, 20);
+  ctx.fillText(`Solution Time: ${result.timeElapsed.toFixed(2)} ms`, 10, 40);
+}
+
+function visualizeKnapsack(ctx, problem, result) {
+  const { canvas } = ctx;
+  const { weights, values, capacity } = problem;
+  const { items, weight, value } = result.solution;
+  
+  if (!weights || !items) {
+    ctx.fillText('Invalid knapsack data', canvas.width/2, canvas.height/2);
+    return;
+  }
+  
+  // Draw title
+  ctx.fillStyle = 'black';
+  ctx.font = '16px Arial';
+  ctx.textAlign = 'center';
+  ctx.fillText(`Knapsack Problem with ${weights.length} items, capacity: ${capacity}`, canvas.width / 2, 30);
+  
+  // Draw result
+  ctx.font = '20px Arial';
+  ctx.fillStyle = weight <= capacity ? '#4CAF50' : '#F44336';
+  ctx.fillText(`Value: ${value} (Weight: ${weight} / ${capacity})`, canvas.width / 2, 60);
+  
+  // Draw the capacity bar, filled by the packed weight
+  const barX = 20;
+  const barWidth = canvas.width - 40;
+  ctx.fillStyle = '#F5F5F5';
+  ctx.fillRect(barX, 80, barWidth, 20);
+  ctx.fillStyle = weight <= capacity ? '#4CAF50' : '#F44336';
+  ctx.fillRect(barX, 80, barWidth * Math.min(1, weight / Math.max(capacity, 1)), 20);
+  ctx.strokeStyle = '#333';
+  ctx.strokeRect(barX, 80, barWidth, 20);
+  
+  // Draw items
+  const maxItemsToShow = Math.min(30, weights.length); // Limit items to show
+  const cellWidth = Math.min(60, (canvas.width - 40) / maxItemsToShow);
+  const cellHeight = 40;
+  const startX = (canvas.width - maxItemsToShow * cellWidth) / 2;
+  const startY = 140;
+  const packed = new Set(items);
+  
+  // Draw header
+  ctx.fillStyle = 'black';
+  ctx.font = '14px Arial';
+  ctx.textAlign = 'center';
+  ctx.fillText(`Items as value/weight (showing ${maxItemsToShow} of ${weights.length}, packed in green):`, canvas.width / 2, 130);
+  
+  // Draw item cells
+  for (let i = 0; i < maxItemsToShow; i++) {
+    const x = startX + i * cellWidth;
+    const isPacked = packed.has(i);
+    
+    ctx.fillStyle = isPacked ? '#4CAF50' : '#F5F5F5';
+    ctx.fillRect(x, startY, cellWidth, cellHeight);
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x, startY, cellWidth, cellHeight);
+    
+    ctx.fillStyle = isPacked ? 'white' : 'black';
+    ctx.font = '10px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(values[i].toString(), x + cellWidth / 2, startY + cellHeight / 3);
+    ctx.fillText(weights[i].toString(), x + cellWidth / 2, startY + 2 * cellHeight / 3);
+  }
+  
+  // Draw solution info
+  ctx.fillStyle = 'black';
+  ctx.font = '14px Arial';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.fillText(`Solution Time: ${result.timeElapsed.toFixed(2)} ms`, 10, canvas.height - 30);
+}
+
+function visualizeHamiltonianCycle(ctx, problem, result) {
+  const { canvas } = ctx;
+  const { cycle, hamiltonian, missingEdges } = result.solution;
+  
+  if (!problem.graph || !cycle) {
+    ctx.fillText('Invalid Hamiltonian cycle data', canvas.width/2, canvas.height/2);
+    return;
+  }
+  
+  const graph = SparseGraph.from(problem.graph);
+  const { nodePositions, nodeRadius } = circleLayout(canvas, graph.nodes);
+  drawEdges(ctx, graph, nodePositions, '#ddd', () => true);
+  
+  // Draw the cycle: graph edges in green, steps between non-adjacent vertices dashed in red
+  ctx.lineWidth = 2;
+  for (let i = 0; i < cycle.length; i++) {
+    const from = nodePositions[cycle[i]];
+    const to = nodePositions[cycle[(i + 1) % cycle.length]];
+    if (!from || !to) continue;
+    const adjacent = SparseGraph.hasEdge(graph, cycle[i], cycle[(i + 1) % cycle.length]);
+    ctx.strokeStyle = adjacent ? '#4CAF50' : '#F44336';
+    ctx.setLineDash(adjacent ? [] : [4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+  }
+  ctx.setLineDash([]);
+  ctx.lineWidth = 1;
+  
+  drawNodes(ctx, nodePositions, nodeRadius, () => '#2196F3');
+  
+  // Draw legend
+  ctx.fillStyle = hamiltonian ? '#4CAF50' : '#F44336';
+  ctx.font = '14px Arial';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.fillText(hamiltonian ? 'HAMILTONIAN CYCLE ✓' : `NOT A CYCLE ✗ (${missingEdges} missing edges)`, 10, 20);
+  ctx.fillStyle = 'black';
+  ctx.fillText(`Solution Time: ${result.timeElapsed.toFixed(2)} ms`, 10, 40);
+}
+
+function visualizeMaxClique(ctx, problem, result) {
+  const { canvas } = ctx;
+  const { clique } = result.solution;
+  
+  if (!problem.graph || !clique) {
+    ctx.fillText('Invalid clique data', canvas.width/2, canvas.height/2);
+    return;
+  }
+  
+  const graph = SparseGraph.from(problem.graph);
+  const { nodePositions, nodeRadius } = circleLayout(canvas, graph.nodes);
+  const members = new Set(clique);
+  
+  // Clique edges drawn over the rest of the graph
+  drawEdges(ctx, graph, nodePositions, '#ddd', (i, j) => !members.has(i) || !members.has(j));
+  ctx.lineWidth = 2;
+  drawEdges(ctx, graph, nodePositions, '#e41a1c', (i, j) => members.has(i) && members.has(j));
+  ctx.lineWidth = 1;
+  drawNodes(ctx, nodePositions, nodeRadius, i => members.has(i) ? '#e41a1c' : '#eeeeee');
+  
+  // Draw legend
+  ctx.fillStyle = 'black';
+  ctx.font = '14px Arial';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.fillText(`Clique Size: ${result.solution.cliqueSize} (red)`, 10, 20);
+  ctx.fillText(`Solution Time: ${result.timeElapsed.toFixed(2)} ms`, 10, 40);
+}
+
+// Plot a result's incumbent trace: the best objective value against time, as a step line
+function visualizeIncumbents(canvas, result) {
+  if (!canvas || !result) return;
+  
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return;
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  
+  ctx.fillStyle = 'black';
+  ctx.font = '14px Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  const trace = result.incumbents ? result.incumbents.trace : [];
+  if (trace.length === 0) {
+    ctx.fillText('No incumbents recorded for this run', canvas.width / 2, canvas.height / 2);
+    return;
+  }
+  
+  const { objective, sense } = result.incumbents;
+  const margin = { left: 80, right: 20, top: 30, bottom: 40 };
+  const width = canvas.width - margin.left - margin.right;
+  const height = canvas.height - margin.top - margin.bottom;
+  const endTime = Math.max(result.timeElapsed, trace[trace.length - 1].elapsed) || 1;
+  const values = trace.map(point => point.value);
+  const low = Math.min(...values);
+  const high = Math.max(...values);
+  const x = elapsed => margin.left + (elapsed / endTime) * width;
+  const y = value => margin.top + (high === low ? height / 2 : (high - value) / (high - low) * height);
+  
+  ctx.fillText(`Best ${objective} (${sense === 'max' ? 'higher' : 'lower'} is better) over time`, canvas.width / 2, 15);
+  
+  // Axes with their end values
+  ctx.strokeStyle = '#333';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(margin.left, margin.top);
+  ctx.lineTo(margin.left, margin.top + height);
+  ctx.lineTo(margin.left + width, margin.top + height);
+  ctx.stroke();
+  
+  ctx.font = '12px Arial';
+  ctx.textAlign = 'right';
+  const label = value => Number.isInteger(value) ? String(value) : value.toFixed(2);
+  ctx.fillText(label(high), margin.left - 5, y(high));
+  if (high !== low) ctx.fillText(label(low), margin.left - 5, y(low));
+  ctx.textAlign = 'center';
+  ctx.fillText('0 ms', margin.left, margin.top + height + 15);
+  ctx.fillText(`${endTime.toFixed(1)} ms`, margin.left + width, margin.top + height + 15);
+  
+  // Each incumbent holds until the next one, and the last until the run ends
+  ctx.strokeStyle = '#377eb8';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  trace.forEach((point, i) => {
+    if (i === 0) {
+      ctx.moveTo(x(point.elapsed), y(point.value));
+    } else {
+      ctx.lineTo(x(point.elapsed), y(trace[i - 1].value));
+      ctx.lineTo(x(point.elapsed), y(point.value));
+    }
+  });
+  ctx.lineTo(x(endTime), y(trace[trace.length - 1].value));
+  ctx.stroke();
+  
+  ctx.fillStyle = '#e41a1c';
+  for (const point of trace) {
+    ctx.beginPath();
+    ctx.arc(x(point.elapsed), y(point.value), 3, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
+
+// Place n nodes evenly on a circle, shrinking them so they fit
+function circleLayout(canvas, n) {
+  const centerX = canvas.width / 2;
+  const centerY = canvas.height / 2;
+  const radius = Math.min(centerX, centerY) - 50;
+  const nodePositions = [];
+  
+  for (let i = 0; i < n; i++) {
+    const angle = (i / n) * 2 * Math.PI;
+    nodePositions.push({
+      x: centerX + Math.cos(angle) * radius,
+      y: centerY + Math.sin(angle) * radius
+    });
+  }
+  
+  return { nodePositions, nodeRadius: Math.max(1.5, Math.min(15, Math.PI * radius / n)) };
+}
+
+// Draw the edges that pass the filter as a single path, which stays fast for large graphs
+function drawEdges(ctx, graph, nodePositions, color, filter) {
+  ctx.strokeStyle = color;
+  ctx.beginPath();
+  SparseGraph.forEachEdge(graph, (i, j) => {
+    if (!filter(i, j)) return;
+    ctx.moveTo(nodePositions[i].x, nodePositions[i].y);
+    ctx.lineTo(nodePositions[j].x, nodePositions[j].y);
+  });
+  ctx.stroke();
+}
+
+// Draw every node in its fill colour; labels only fit on larger nodes
+function drawNodes(ctx, nodePositions, nodeRadius, fillColor, labelColor = 'black') {
+  nodePositions.forEach((pos, i) => {
+    ctx.beginPath();
+    ctx.arc(pos.x, pos.y, nodeRadius, 0, Math.PI * 2);
+    ctx.fillStyle = fillColor(i);
+    ctx.fill();
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+    
+    if (nodeRadius >= 10) {
+      ctx.fillStyle = labelColor;
+      ctx.font = '12px Arial';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(i.toString(), pos.x, pos.y);
+    }
+  });
+}
+
 // Export visualization functions if in a module environment
 if (typeof module !== 'undefined') {
   module.exports = { 
@@ -448,6 +698,11 @@ if (typeof module !== 'undefined') {
     visualizeTSP,
     visualizeGraphColoring,
     visualizeSAT,
-    visualizeSubsetSum
+    visualizeSubsetSum,
+    visualizeVertexCover,
+    visualizeKnapsack,
+    visualizeHamiltonianCycle,
+    visualizeMaxClique,
+    visualizeIncumbents
   };
 }
@@ -0,0 +1,48 @@
+/**
+ * CDCLSolver tests; run with `node --test test/`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { CDCLSolver } = require('../src/cdcl');
+const { ExactSolver } = require('../src/exact');
+const { CertificateChecker } = require('../src/checker');
+const { ProblemGenerator } = require('../src/problems');
+
+test('CDCL agrees with DPLL on small random CNFs around the threshold', () => {
+  let unsatisfiable = 0;
+  for (let seed = 0; seed < 60; seed++) {
+    const problem = ProblemGenerator.generateSAT(20, 92, seed);
+    const result = CDCLSolver.solve(problem);
+    const reference = ExactSolver.solveSAT(problem);
+    
+    assert.strictEqual(result.satisfiable, reference.satisfiable, `seed ${seed}`);
+    if (result.status === 'SAT') {
+      assert.strictEqual(CertificateChecker.checkSAT(problem, result).valid, true, `seed ${seed}`);
+    } else {
+      unsatisfiable++;
+      assert.strictEqual(result.assignment, null);
+    }
+  }
+  // The sample must exercise both answers
+  assert.ok(unsatisfiable > 0 && unsatisfiable < 60);
+});
+
+test('an empty clause or contradictory units are UNSAT without search', () => {
+  const empty = CDCLSolver.solve({ type: 'sat', size: 1, variables: 1, clauses: [[1], []] });
+  const units = CDCLSolver.solve({ type: 'sat', size: 1, variables: 1, clauses: [[1], [-1]] });
+  
+  assert.strictEqual(empty.status, 'UNSAT');
+  assert.strictEqual(units.status, 'UNSAT');
+  assert.strictEqual(units.stats.decisions, 0);
+});
+
+test('the conflict budget ends a run with UNKNOWN', () => {
+  const problem = ProblemGenerator.generateSAT(150, 639, 4);
+  const result = CDCLSolver.solve(problem, { maxConflicts: 10 });
+  
+  assert.strictEqual(result.status, 'UNKNOWN');
+  assert.strictEqual(result.satisfiable, null);
+  assert.strictEqual(result.stats.conflicts, 10);
+});
@@ -0,0 +1,58 @@
+/**
+ * GraphColorer tests; run with `node --test test/`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { GraphColorer } = require('../src/coloring');
+const { CertificateChecker } = require('../src/checker');
+const { ProblemGenerator } = require('../src/problems');
+
+const cycle = n => ({
+  type: 'graph-coloring',
+  size: n,
+  maxColors: n,
+  graph: Array.from({ length: n }, (_, v) => [(v + n - 1) % n, (v + 1) % n])
+});
+
+test('TabuCol brings a planted 5-colourable graph down from DSATUR to 5 colours', () => {
+  const problem = ProblemGenerator.generatePlantedColoring(120, 5, 0.5, 3);
+  const dsatur = GraphColorer.dsatur(GraphColorer.neighborLists(problem.graph));
+  const result = GraphColorer.color(problem, { seed: 1 });
+  
+  assert.ok(Math.max(...dsatur) + 1 > 5);
+  assert.strictEqual(result.colorCount, 5);
+  assert.strictEqual(result.optimal, true);
+  assert.strictEqual(CertificateChecker.checkGraphColoring(problem, result).valid, true);
+  assert.ok(result.history.some(step => step.method === 'tabucol' && step.found));
+});
+
+test('the clique bound stops the search and marks even cycles optimal', () => {
+  const result = GraphColorer.color(cycle(6));
+  
+  assert.strictEqual(result.colorCount, 2);
+  assert.strictEqual(result.lowerBound, 2);
+  assert.strictEqual(result.optimal, true);
+  assert.strictEqual(result.history.length, 1);
+});
+
+test('odd cycles need three colours above their clique bound of two', () => {
+  const result = GraphColorer.color(cycle(7), { seed: 2, maxIterations: 500 });
+  
+  assert.strictEqual(result.colorCount, 3);
+  assert.strictEqual(result.lowerBound, 2);
+  assert.strictEqual(result.optimal, false);
+  assert.deepStrictEqual(result.history[result.history.length - 1],
+    { k: 2, method: 'tabucol', found: false, iterations: 500, conflicts: 1 });
+});
+
+test('a proper initial coloring is weighed against DSATUR and an improper one ignored', () => {
+  const problem = cycle(6);
+  const proper = GraphColorer.color(problem, { initial: [0, 1, 0, 1, 0, 2] });
+  const improper = GraphColorer.color(problem, { initial: [0, 0, 0, 0, 0, 0] });
+  
+  assert.ok(proper.history.some(step => step.method === 'initial' && step.k === 3));
+  assert.strictEqual(proper.colorCount, 2);
+  assert.ok(!improper.history.some(step => step.method === 'initial'));
+});
@@ -0,0 +1,72 @@
+/**
+ * DIMACS reader and writer tests; run with `node --test test/`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { DimacsCNF, DimacsGraph } = require('../src/dimacs');
+const { ParseError } = require('../src/errors');
+const { ProblemGenerator } = require('../src/problems');
+const { SparseGraph } = require('../src/graph');
+
+test('CNF round trips through serialize and parse', () => {
+  const problem = ProblemGenerator.generateSAT(10, 30, 4);
+  const parsed = DimacsCNF.parse(DimacsCNF.serialize(problem));
+  
+  assert.strictEqual(parsed.type, 'sat');
+  assert.strictEqual(parsed.variables, problem.variables);
+  assert.deepStrictEqual(parsed.clauses, problem.clauses);
+});
+
+test('CNF clauses may span lines and share them', () => {
+  const parsed = DimacsCNF.parse('c example\np cnf 3 2\n1 -2\n 3 0 -1 2 0\n');
+  
+  assert.deepStrictEqual(parsed.clauses, [[1, -2, 3], [-1, 2]]);
+  assert.deepStrictEqual(parsed.comments, ['example']);
+});
+
+test('CNF errors carry the line they were found on', () => {
+  assert.throws(() => DimacsCNF.parse('p cnf 2 1\n1 3 0\n'), error =>
+    error instanceof ParseError && error.line === 2);
+  assert.throws(() => DimacsCNF.parse('p cnf 2 1\n1 2\n'), ParseError);
+});
+
+test('SAT models round trip through serializeModel and parseModel', () => {
+  const problem = ProblemGenerator.generateSAT(23, 40, 1);
+  const assignment = Array.from({ length: 23 }, (_, i) => i % 3 === 0);
+  const model = DimacsCNF.parseModel(DimacsCNF.serializeModel(problem, { assignment, satisfied: true }), 23);
+  
+  assert.strictEqual(model.status, 'SATISFIABLE');
+  assert.deepStrictEqual(model.assignment, assignment);
+  assert.strictEqual(DimacsCNF.parseModel('s UNSATISFIABLE\n', 23).status, 'UNSATISFIABLE');
+});
+
+test('graphs round trip through serialize and parse', () => {
+  const problem = ProblemGenerator.generateGraphColoring(30, 0.3, 2);
+  const parsed = DimacsGraph.parse(DimacsGraph.serialize(problem));
+  
+  assert.strictEqual(parsed.type, 'graph-coloring');
+  assert.deepStrictEqual(SparseGraph.toJSON(SparseGraph.from(parsed.graph)),
+    SparseGraph.toJSON(SparseGraph.from(problem.graph)));
+});
+
+test('graph edges are read as undirected and out-of-range nodes are rejected', () => {
+  const { graph } = DimacsGraph.parse('c triangle\np edge 4 3\ne 1 2\ne 2 3\ne 3 1\n');
+  const csr = SparseGraph.from(graph);
+  
+  assert.strictEqual(csr.nodes, 4);
+  assert.ok(SparseGraph.hasEdge(csr, 2, 0) && SparseGraph.hasEdge(csr, 0, 2));
+  assert.ok(!SparseGraph.hasEdge(csr, 0, 3));
+  assert.throws(() => DimacsGraph.parse('p edge 3 1\ne 1 5\n'), error =>
+    error instanceof ParseError && error.line === 2);
+});
+
+test('colorings round trip through serializeColoring and parseColoring', () => {
+  const problem = ProblemGenerator.generateGraphColoring(12, 0.3, 2);
+  const coloring = Array.from({ length: 12 }, (_, v) => v % 3);
+  const parsed = DimacsGraph.parseColoring(DimacsGraph.serializeColoring(problem, { coloring }));
+  
+  assert.deepStrictEqual(parsed.coloring, coloring);
+  assert.strictEqual(parsed.colorCount, 3);
+});
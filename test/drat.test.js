@@ -0,0 +1,66 @@
+/**
+ * DratChecker tests; run with `node --test test/`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { DratChecker } = require('../src/drat');
+const { CDCLSolver } = require('../src/cdcl');
+const { CertificateChecker } = require('../src/checker');
+const { ParseError } = require('../src/errors');
+const { ProblemGenerator } = require('../src/problems');
+
+// Three pigeons in two holes: variable 2p+h+1 puts pigeon p in hole h
+const pigeonhole = {
+  type: 'sat',
+  size: 6,
+  variables: 6,
+  clauses: [[1, 2], [3, 4], [5, 6], [-1, -3], [-1, -5], [-3, -5], [-2, -4], [-2, -6], [-4, -6]]
+};
+
+test('CDCL proofs of UNSAT random CNFs verify', () => {
+  let proofs = 0;
+  for (let seed = 0; seed < 40; seed++) {
+    const problem = ProblemGenerator.generateSAT(20, 92, seed);
+    const result = CDCLSolver.solve(problem, { proof: true });
+    if (result.status !== 'UNSAT') continue;
+    
+    proofs++;
+    assert.strictEqual(DratChecker.check(problem, result.proof).valid, true, `seed ${seed}`);
+  }
+  assert.ok(proofs > 0);
+});
+
+test('the certificate checker accepts UNSAT claims only with a verified proof', () => {
+  const { proof } = CDCLSolver.solve(pigeonhole, { proof: true });
+  const proven = CertificateChecker.checkSAT(pigeonhole, { satisfiable: false, proof });
+  const unproven = CertificateChecker.checkSAT(pigeonhole, { satisfiable: false });
+  
+  assert.strictEqual(proven.valid, true);
+  assert.strictEqual(proven.proofVerified, true);
+  assert.strictEqual(unproven.valid, false);
+  assert.strictEqual(unproven.reasons[0].code, 'unproven-unsat');
+});
+
+test('a proof that never reaches the empty clause is rejected', () => {
+  const result = DratChecker.check(pigeonhole, '0\n');
+  
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.reasons[0].code, 'no-refutation');
+});
+
+test('a lemma that is neither RUP nor RAT is rejected', () => {
+  const problem = { type: 'sat', size: 2, variables: 2, clauses: [[1, 2], [-1, 2]] };
+  const result = DratChecker.check(problem, '-2 0\n0\n');
+  
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.reasons[0].lemma, [-2]);
+  assert.strictEqual(result.reasons[0].code, 'lemma-not-implied');
+});
+
+test('malformed proof lines are parse errors', () => {
+  assert.throws(() => DratChecker.parse('1 2\n'), ParseError);
+  assert.deepStrictEqual(DratChecker.parse('c note\nd 1 -2 0\n0\n'),
+    [{ lits: [1, -2], deletion: true, line: 2 }, { lits: [], deletion: false, line: 3 }]);
+});
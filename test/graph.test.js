@@ -0,0 +1,64 @@
+/**
+ * SparseGraph tests; run with `node --test test/`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { SparseGraph } = require('../src/graph');
+const { GraphColorer } = require('../src/coloring');
+const { CertificateChecker } = require('../src/checker');
+const { ProblemGenerator } = require('../src/problems');
+
+// A triangle 0-1-2 with a tail 2-3 and an isolated vertex 4
+const edges = [[0, 1], [1, 2], [2, 0], [2, 3]];
+const lists = [[1, 2], [0, 2], [0, 1, 3], [2], []];
+const dense = [
+  [0, 1, 1, 0, 0],
+  [1, 0, 1, 0, 0],
+  [1, 1, 0, 1, 0],
+  [0, 0, 1, 0, 0],
+  [0, 0, 0, 0, 0]
+];
+
+test('dense, list and edge input give the same CSR graph', () => {
+  const expected = { format: 'csr', nodes: 5, offsets: [0, 2, 4, 7, 8, 8], targets: [1, 2, 0, 2, 0, 1, 3, 2] };
+  
+  assert.deepStrictEqual(SparseGraph.toJSON(dense), expected);
+  assert.deepStrictEqual(SparseGraph.toJSON(lists), expected);
+  assert.deepStrictEqual(SparseGraph.toJSON(SparseGraph.fromEdges(5, [...edges, [1, 0]])), expected);
+  assert.deepStrictEqual(SparseGraph.toDense(SparseGraph.fromEdges(5, edges)), dense);
+});
+
+test('queries answer from the CSR arrays', () => {
+  const csr = SparseGraph.from(lists);
+  const seen = [];
+  SparseGraph.forEachEdge(csr, (u, v) => seen.push([u, v]));
+  
+  assert.deepStrictEqual(Array.from(SparseGraph.neighbors(csr, 2)), [0, 1, 3]);
+  assert.ok(SparseGraph.hasEdge(csr, 3, 2) && !SparseGraph.hasEdge(csr, 3, 4));
+  assert.deepStrictEqual(seen, [[0, 1], [0, 2], [1, 2], [2, 3]]);
+  assert.strictEqual(SparseGraph.nodeCount(dense), 5);
+});
+
+test('dense and CSR forms of an instance give identical checks', () => {
+  const problem = ProblemGenerator.generateGraphColoring(40, 0.2, 6);
+  const denseProblem = { ...problem, graph: SparseGraph.toDense(problem.graph) };
+  const listProblem = { ...problem, graph: SparseGraph.adjacencyLists(problem.graph).map(list => Array.from(list)) };
+  const answers = [
+    { coloring: Array.from({ length: 40 }, (_, v) => v % 4) },
+    { coloring: GraphColorer.dsatur(GraphColorer.neighborLists(problem.graph)) }
+  ];
+  assert.deepStrictEqual(answers.map(answer => CertificateChecker.checkGraphColoring(problem, answer).valid), [false, true]);
+  
+  for (const answer of answers) {
+    const expected = CertificateChecker.checkGraphColoring(problem, answer);
+    assert.deepStrictEqual(CertificateChecker.checkGraphColoring(denseProblem, answer), expected);
+    assert.deepStrictEqual(CertificateChecker.checkGraphColoring(listProblem, answer), expected);
+  }
+});
+
+test('self-loops and out-of-range neighbours are rejected', () => {
+  assert.throws(() => SparseGraph.fromEdges(3, [[1, 1]]), RangeError);
+  assert.throws(() => SparseGraph.from([[1], [3]]), RangeError);
+});
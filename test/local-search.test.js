@@ -0,0 +1,44 @@
+/**
+ * TourImprover tests; run with `node --test test/`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { TSPLIB } = require('../src/tsplib');
+const { TourImprover } = require('../src/local-search');
+const { ProblemGenerator } = require('../src/problems');
+
+const identity = n => [...Array(n).keys()];
+const isPermutation = (tour, n) => tour.length === n && new Set(tour).size === n && tour.every(city => city >= 0 && city < n);
+
+test('burma14 improves from the identity tour to its optimum of 3323', () => {
+  const problem = TSPLIB.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'burma14.tsp'), 'utf8'));
+  const result = TourImprover.improve(problem, identity(14));
+  
+  assert.ok(isPermutation(result.path, 14));
+  assert.strictEqual(result.distance, 3323);
+  assert.strictEqual(result.improvement, result.initialDistance - 3323);
+});
+
+test('improved tours are permutations no longer than where they started', () => {
+  const problem = ProblemGenerator.generate('tsp', 'uniform', 200, 3);
+  const result = TourImprover.improve(problem, identity(200));
+  
+  assert.ok(isPermutation(result.path, 200));
+  assert.ok(result.distance < result.initialDistance);
+  assert.ok(Math.abs(result.distance - TSPLIB.tourLength(problem, result.path)) < 1e-6);
+  assert.strictEqual(result.totalMoves, Object.values(result.moves).reduce((a, b) => a + b, 0));
+});
+
+test('only the enabled moves are used and maxMoves caps the search', () => {
+  const problem = ProblemGenerator.generate('tsp', 'uniform', 200, 3);
+  const twoOpt = TourImprover.improve(problem, identity(200), { moves: ['2-opt'] });
+  const capped = TourImprover.improve(problem, identity(200), { maxMoves: 5 });
+  
+  assert.deepStrictEqual({ ...twoOpt.moves, twoOpt: 0 }, { twoOpt: 0, orOpt: 0, or3Opt: 0, linKernighan: 0 });
+  assert.ok(twoOpt.moves.twoOpt > 0);
+  assert.strictEqual(capped.totalMoves, 5);
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for the vertex cover, knapsack, Hamiltonian cycle and maximum clique types; run with `node --test test/`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ProblemGenerator } = require('../src/problems');
+const { ExactSolver } = require('../src/exact');
+const { CertificateChecker } = require('../src/checker');
+const { SparseGraph } = require('../src/graph');
+const { NPSolver } = require('../src/solver');
+
+// Keep the solver's progress logging out of the test report
+console.log = () => {};
+
+// Best value of score over every subset of n items, skipping subsets where score is null
+const bruteForce = (n, score, better) => {
+  let best = null;
+  for (let mask = 0; mask < 1 << n; mask++) {
+    const items = [];
+    for (let i = 0; i < n; i++) if (mask & (1 << i)) items.push(i);
+    const value = score(items);
+    if (value !== null && (best === null || better(value, best))) best = value;
+  }
+  return best;
+};
+
+const edgeList = graph => {
+  const edges = [];
+  SparseGraph.forEachEdge(SparseGraph.from(graph), (u, v) => edges.push([u, v]));
+  return edges;
+};
+
+test('exact vertex cover matches brute force', () => {
+  for (let seed = 0; seed < 5; seed++) {
+    const problem = ProblemGenerator.generate('vertex-cover', 'erdos-renyi', 12, seed);
+    const edges = edgeList(problem.graph);
+    const optimum = bruteForce(12, items => edges.every(([u, v]) => items.includes(u) || items.includes(v))
+      ? items.length : null, (a, b) => a < b);
+    const exact = ExactSolver.solveVertexCover(problem);
+    
+    assert.strictEqual(exact.coverSize, optimum, `seed ${seed}`);
+    assert.strictEqual(CertificateChecker.checkVertexCover(problem, exact).valid, true);
+  }
+});
+
+test('exact knapsack matches brute force', () => {
+  for (const family of ProblemGenerator.FAMILIES.knapsack) {
+    const problem = ProblemGenerator.generate('knapsack', family, 12, 4);
+    const total = (items, values) => items.reduce((sum, i) => sum + values[i], 0);
+    const optimum = bruteForce(12, items => total(items, problem.weights) <= problem.capacity
+      ? total(items, problem.values) : null, (a, b) => a > b);
+    const exact = ExactSolver.solveKnapsack(problem);
+    
+    assert.strictEqual(exact.value, optimum, family);
+    assert.strictEqual(CertificateChecker.checkKnapsack(problem, exact).valid, true);
+  }
+});
+
+test('exact maximum clique matches brute force and reaches the planted clique', () => {
+  for (let seed = 0; seed < 5; seed++) {
+    const problem = ProblemGenerator.generate('max-clique', 'planted', 12, seed);
+    const csr = SparseGraph.from(problem.graph);
+    const optimum = bruteForce(12, items => items.every((u, i) => items.slice(i + 1).every(v => SparseGraph.hasEdge(csr, u, v)))
+      ? items.length : null, (a, b) => a > b);
+    const exact = ExactSolver.solveMaxClique(problem);
+    
+    assert.strictEqual(exact.cliqueSize, optimum, `seed ${seed}`);
+    assert.ok(exact.cliqueSize >= problem.metadata.cliqueLowerBound);
+    assert.strictEqual(CertificateChecker.checkMaxClique(problem, exact).valid, true);
+  }
+});
+
+test('exact Hamiltonian cycle search finds planted cycles and proves their absence', () => {
+  const planted = ProblemGenerator.generate('hamiltonian-cycle', 'planted', 14, 2);
+  const star = { type: 'hamiltonian-cycle', size: 5, graph: [[1, 2, 3, 4], [0], [0], [0], [0]] };
+  
+  const found = ExactSolver.solveHamiltonianCycle(planted);
+  assert.strictEqual(found.hamiltonian, true);
+  assert.strictEqual(CertificateChecker.checkHamiltonianCycle(planted, found).valid, true);
+  assert.strictEqual(ExactSolver.solveHamiltonianCycle(star).hamiltonian, false);
+});
+
+test('Posa search traces its best attempts and stops at the time limit', () => {
+  const problem = ProblemGenerator.generate('hamiltonian-cycle', 'planted', 400, 1);
+  const trace = [];
+  const found = new NPSolver()._greedyHamiltonianCycle(problem, { seed: 1, onImprove: value => trace.push(value) });
+  
+  assert.ok(trace.length > 1);
+  assert.ok(trace.every((value, i) => i === 0 || value < trace[i - 1]));
+  assert.strictEqual(trace[trace.length - 1], found.missingEdges);
+  assert.strictEqual(found.timedOut, false);
+  
+  const stopped = new NPSolver()._greedyHamiltonianCycle(problem, { seed: 1, deadline: performance.now() - 1 });
+  assert.strictEqual(stopped.timedOut, true);
+  assert.strictEqual(new Set(stopped.cycle).size, 400);
+});
+
+test('the checkers reject answers that break the constraints', () => {
+  const cover = ProblemGenerator.generate('vertex-cover', 'erdos-renyi', 12, 1);
+  const knapsack = ProblemGenerator.generate('knapsack', 'uncorrelated', 12, 1);
+  const clique = ProblemGenerator.generate('max-clique', 'planted', 12, 1);
+  const allItems = [...Array(12).keys()];
+  
+  assert.strictEqual(CertificateChecker.checkVertexCover(cover, { cover: [], coverSize: 0 }).valid, false);
+  assert.strictEqual(CertificateChecker.checkKnapsack(knapsack, { items: allItems,
+    weight: knapsack.weights.reduce((a, b) => a + b, 0), value: knapsack.values.reduce((a, b) => a + b, 0) }).valid, false);
+  assert.strictEqual(CertificateChecker.checkMaxClique(clique, { clique: allItems, cliqueSize: 12 }).valid, false);
+});
+
+test('greedy answers for the new types pass their certificate checks', () => {
+  for (const type of ['vertex-cover', 'knapsack', 'hamiltonian-cycle', 'max-clique']) {
+    const problem = ProblemGenerator.generate(type, undefined, 30, 3);
+    const result = new NPSolver().solve(problem, { strategy: 'greedy', exact: false });
+    
+    assert.strictEqual(result.isValid, true, type);
+  }
+});
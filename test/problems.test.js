@@ -0,0 +1,30 @@
+/**
+ * ProblemGenerator tests; run with `node --test test/`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ProblemGenerator } = require('../src/problems');
+
+test('SAT statistics count tautologies, repeats and occurrences', () => {
+  const problem = { type: 'sat', size: 4, variables: 4, clauses: [[1, -2, 1], [2, -2, 3], [-2, 1], [3, 1, 1]] };
+  const stats = ProblemGenerator.satStatistics(problem);
+  
+  assert.strictEqual(stats.tautologies, 1);
+  assert.strictEqual(stats.repeatedLiterals, 2);
+  assert.strictEqual(stats.duplicateClauses, 1);
+  assert.deepStrictEqual(stats.occurrences, { min: 0, max: 3, mean: 2, histogram: [1, 0, 1, 2] });
+});
+
+test('SAT statistics handle instances with hundreds of thousands of variables', () => {
+  const problem = ProblemGenerator.generateKSAT(200000, undefined, 3, 1, { ratio: 1 });
+  const { occurrences } = problem.metadata.stats;
+  const cleaned = ProblemGenerator.cleanSAT(problem);
+  
+  assert.strictEqual(problem.clauses.length, 200000);
+  assert.strictEqual(occurrences.mean, 3);
+  assert.ok(occurrences.min >= 0 && occurrences.max > 3);
+  assert.strictEqual(occurrences.histogram.reduce((sum, count) => sum + count, 0), 200000);
+  assert.strictEqual(cleaned.metadata.stats.occurrences.max, occurrences.max);
+});
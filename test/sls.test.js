@@ -0,0 +1,49 @@
+/**
+ * SATLocalSearch tests; run with `node --test test/`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { SATLocalSearch } = require('../src/sls');
+const { CertificateChecker } = require('../src/checker');
+const { ProblemGenerator } = require('../src/problems');
+
+for (const algorithm of SATLocalSearch.ALGORITHMS) {
+  test(`${algorithm} satisfies a planted 3-SAT instance at the threshold`, () => {
+    const problem = ProblemGenerator.generatePlantedSAT(100, 426, 3, 7);
+    const result = SATLocalSearch.solve(problem, { algorithm, seed: 1 });
+    
+    assert.strictEqual(result.satisfied, true);
+    assert.strictEqual(result.unsatisfied, 0);
+    assert.strictEqual(CertificateChecker.checkSAT(problem, result).valid, true);
+  });
+  
+  test(`${algorithm} is reproducible from its seed`, () => {
+    const problem = ProblemGenerator.generateSAT(60, 240, 2);
+    const first = SATLocalSearch.solve(problem, { algorithm, seed: 'repeat' });
+    const second = SATLocalSearch.solve(problem, { algorithm, seed: 'repeat' });
+    
+    assert.deepStrictEqual(second, first);
+  });
+}
+
+test('an unsatisfiable formula ends with its best assignment after every try', () => {
+  const problem = { type: 'sat', size: 2, variables: 2, clauses: [[1], [-1], [2]] };
+  const improvements = [];
+  const result = SATLocalSearch.solve(problem, { maxFlips: 100, restarts: 1, seed: 3, onImprove: count => improvements.push(count) });
+  
+  assert.strictEqual(result.satisfied, false);
+  assert.strictEqual(result.unsatisfied, 1);
+  assert.strictEqual(result.tries, 2);
+  assert.strictEqual(result.flips, 200);
+  assert.ok(improvements.every((count, i) => i === 0 || count < improvements[i - 1]));
+  assert.strictEqual(improvements[improvements.length - 1], 1);
+});
+
+test('unknown algorithms and out-of-range noise are rejected', () => {
+  const problem = ProblemGenerator.generateSAT(10, 40, 1);
+  
+  assert.throws(() => SATLocalSearch.solve(problem, { algorithm: 'gsat' }), /Unknown SAT local search algorithm/);
+  assert.throws(() => SATLocalSearch.solve(problem, { noise: 2 }), RangeError);
+});
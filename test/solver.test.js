@@ -0,0 +1,120 @@
+/**
+ * NPSolver tests; run with `node --test test/`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ProblemGenerator } = require('../src/problems');
+const { ExactSolver } = require('../src/exact');
+const { NPSolver } = require('../src/solver');
+
+// Keep the solver's progress logging out of the test report
+console.log = () => {};
+
+test('subset sum keeps a heuristic subset that hits the target', () => {
+  const problem = ProblemGenerator.generateSubsetSum(12, 9);
+  const { solution } = new NPSolver().solve(problem, { strategy: 'greedy', exact: false });
+  
+  assert.strictEqual(solution.difference, 0);
+  assert.strictEqual(solution.completedBy, undefined);
+});
+
+test('subset sum marks answers the exact engine completed', () => {
+  const problem = ProblemGenerator.generateSubsetSum(12, 1);
+  const { solution } = new NPSolver().solve(problem, { strategy: 'greedy', exact: false });
+  
+  assert.strictEqual(solution.difference, 0);
+  assert.strictEqual(solution.completedBy, 'exact');
+  assert.ok(solution.initialDifference > 0);
+});
+
+test('timedOut reports a search the time limit stopped', () => {
+  const problem = ProblemGenerator.generate('tsp', 'uniform', 1000, 1);
+  const result = new NPSolver().solve(problem, { strategy: 'greedy', timeLimit: 1, exact: false });
+  
+  assert.strictEqual(result.timedOut, true);
+  assert.strictEqual(result.solution.timedOut, true);
+});
+
+test('timedOut stays false when the searches finish on their own', () => {
+  const problem = ProblemGenerator.generate('sat', 'planted', 20, 3);
+  const result = new NPSolver().solve(problem, { strategy: 'walksat', timeLimit: 60000 });
+  
+  assert.strictEqual(result.isValid, true);
+  assert.strictEqual(result.timedOut, false);
+});
+
+test('the exact strategy gives up at the time limit', () => {
+  const problem = ProblemGenerator.generate('sat', 'uniform', 80, 1);
+  
+  assert.strictEqual(ExactSolver.solveSAT(problem, performance.now() - 1), null);
+  assert.throws(() => new NPSolver().solve(problem, { strategy: 'exact', timeLimit: 1 }), /within the time limit/);
+});
+
+test('the optimality comparison is skipped once the time limit has passed', () => {
+  const problem = ProblemGenerator.generate('tsp', 'uniform', 1000, 1);
+  const result = new NPSolver().solve(problem, { strategy: 'greedy', timeLimit: 1 });
+  
+  assert.strictEqual(result.timedOut, true);
+  assert.strictEqual(result.optimality, null);
+});
+
+test('projection SAT at n=20 is not the all-false assignment', () => {
+  const problem = ProblemGenerator.generate('sat', 'uniform', 20, 5);
+  const { solution } = new NPSolver().solve(problem, { strategy: 'projection', exact: false });
+  
+  assert.ok(solution.assignment.some(Boolean));
+});
+
+test('projection TSP at n=20 is not the identity tour before local search', () => {
+  const problem = ProblemGenerator.generate('tsp', 'uniform', 20, 5);
+  const { solution } = new NPSolver().solve(problem, { strategy: 'projection', localSearch: false, exact: false });
+  
+  assert.notDeepStrictEqual(solution.path, [...Array(20).keys()]);
+});
+
+test('projection coloring at n=20 assigns real colours before improvement', () => {
+  const problem = ProblemGenerator.generate('graph-coloring', 'erdos-renyi', 20, 5);
+  const { solution } = new NPSolver().solve(problem, { strategy: 'projection', coloring: false, exact: false });
+  
+  assert.ok(solution.coloring.every(color => color >= 0));
+});
+
+test('projection answers do not depend on the pattern cache', () => {
+  const problem = ProblemGenerator.generate('sat', 'uniform', 20, 5);
+  const solver = new NPSolver();
+  const first = solver.solve(problem, { strategy: 'projection', exact: false });
+  const second = solver.solve(problem, { strategy: 'projection', exact: false });
+  const uncached = new NPSolver({ cache: false }).solve(problem, { strategy: 'projection', exact: false });
+  
+  assert.strictEqual(second.cache.status, 'hit');
+  assert.deepStrictEqual(second.solution, first.solution);
+  assert.deepStrictEqual(uncached.solution, first.solution);
+});
+
+test('a state snapshot changes only what the pattern cache saves', () => {
+  const problem = ProblemGenerator.generate('tsp', 'uniform', 20, 7);
+  const options = { strategy: 'projection', exact: false };
+  const warm = NPSolver.run(problem, options, null).state;
+  
+  const fresh = NPSolver.run(problem, options, null).result;
+  const restored = NPSolver.run(problem, options, warm).result;
+  assert.strictEqual(fresh.cache.status, 'miss');
+  assert.strictEqual(restored.cache.status, 'hit');
+  assert.deepStrictEqual(restored.solution, fresh.solution);
+  
+  // A snapshot warmed on another instance has nothing to offer
+  const other = ProblemGenerator.generate('tsp', 'uniform', 20, 8);
+  const unrelated = NPSolver.run(other, options, warm).result;
+  assert.strictEqual(unrelated.cache.status, 'miss');
+  assert.deepStrictEqual(unrelated.solution, NPSolver.run(other, options, null).result.solution);
+});
+
+test('getState holds the pattern cache only', () => {
+  const { state } = NPSolver.run(ProblemGenerator.generate('sat', 'uniform', 20, 5), { exact: false }, null);
+  
+  assert.deepStrictEqual(Object.keys(state).sort(), ['cache', 'version']);
+  assert.deepStrictEqual(NPSolver.fromState(JSON.parse(JSON.stringify(state))).getState(), state);
+  assert.throws(() => NPSolver.fromState({ ...state, version: 1 }), RangeError);
+});
@@ -0,0 +1,37 @@
+/**
+ * SubsetSumSolver tests; run with `node --test test/`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { SubsetSumSolver } = require('../src/subset-sum');
+const { CertificateChecker } = require('../src/checker');
+const { ProblemGenerator } = require('../src/problems');
+
+test('every engine gives the same answer on small instances', () => {
+  for (let seed = 0; seed < 10; seed++) {
+    const problem = ProblemGenerator.generateSubsetSum(16, seed);
+    const missed = { ...problem, target: problem.target + 1 };
+    for (const instance of [problem, missed]) {
+      const answers = SubsetSumSolver.ENGINES.map(engine => SubsetSumSolver.solve(instance, { engine }));
+      for (const answer of answers) {
+        assert.strictEqual(answer.difference, answers[0].difference, `seed ${seed}, ${answer.engine}`);
+        assert.strictEqual(answer.sum, answer.subset.reduce((sum, i) => sum + instance.numbers[i], 0));
+      }
+    }
+  }
+});
+
+test('Schroeppel-Shamir takes large values up to 50 numbers and no further', () => {
+  const problem = ProblemGenerator.generate('subset-sum', 'low-density', 50, 3);
+  const larger = ProblemGenerator.generate('subset-sum', 'low-density', 51, 3);
+  
+  assert.strictEqual(SubsetSumSolver.LIMITS.schroeppelShamirItems, 50);
+  assert.strictEqual(SubsetSumSolver.selectEngine(problem), 'schroeppel-shamir');
+  assert.strictEqual(SubsetSumSolver.selectEngine(larger), null);
+  
+  const result = SubsetSumSolver.solve(problem);
+  assert.strictEqual(result.exists, true);
+  assert.strictEqual(CertificateChecker.checkSubsetSum(problem, result).valid, true);
+});
@@ -0,0 +1,53 @@
+/**
+ * TSPLIB reader, writer and distance tests; run with `node --test test/`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { TSPLIB } = require('../src/tsplib');
+const { ParseError } = require('../src/errors');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+test('burma14 optimal tour has the published GEO length of 3323', () => {
+  const problem = TSPLIB.parse(fixture('burma14.tsp'));
+  const tour = TSPLIB.parseTour(fixture('burma14.opt.tour'));
+  
+  assert.strictEqual(problem.size, 14);
+  assert.strictEqual(problem.edgeWeightType, 'GEO');
+  assert.strictEqual(TSPLIB.tourLength(problem, tour.path), 3323);
+});
+
+test('tours round trip through serializeTour and parseTour', () => {
+  const problem = TSPLIB.parse(fixture('burma14.tsp'));
+  const { path: tour } = TSPLIB.parseTour(fixture('burma14.opt.tour'));
+  const text = TSPLIB.serializeTour(problem, { path: tour }, { name: 'burma14.opt' });
+  
+  assert.deepStrictEqual(TSPLIB.parseTour(text).path, tour);
+  assert.match(text, /COMMENT : Length 3323/);
+});
+
+test('EUC_2D rounds to the nearest integer and CEIL_2D rounds up', () => {
+  const instance = type => `DIMENSION: 2\nEDGE_WEIGHT_TYPE: ${type}\nNODE_COORD_SECTION\n1 0 0\n2 3 4.4\nEOF\n`;
+  const euclidean = TSPLIB.parse(instance('EUC_2D'));
+  const ceiling = TSPLIB.parse(instance('CEIL_2D'));
+  
+  assert.strictEqual(TSPLIB.distance(euclidean, 0, 1), 5);
+  assert.strictEqual(TSPLIB.distance(ceiling, 0, 1), 6);
+});
+
+test('explicit weights are read from a lower diagonal row matrix', () => {
+  const problem = TSPLIB.parse('DIMENSION: 3\nEDGE_WEIGHT_TYPE: EXPLICIT\nEDGE_WEIGHT_FORMAT: LOWER_DIAG_ROW\n' +
+    'EDGE_WEIGHT_SECTION\n0\n2 0\n7 4 0\nEOF\n');
+  
+  assert.strictEqual(TSPLIB.distance(problem, 0, 2), 7);
+  assert.strictEqual(TSPLIB.distance(problem, 2, 1), 4);
+  assert.strictEqual(TSPLIB.tourLength(problem, [0, 1, 2]), 13);
+});
+
+test('unsupported edge weight types are rejected', () => {
+  assert.throws(() => TSPLIB.parse('DIMENSION: 2\nEDGE_WEIGHT_TYPE: MAN_3D\nEOF\n'), ParseError);
+});